@@ -11,6 +11,8 @@ const cors = require("cors");
 const corsOptions = require("./config/corsOptions");
 const connectDB = require("./config/dbConnect");
 const mongoose = require("mongoose");
+const startTrashRetentionJob = require("./jobs/trashRetention");
+const startDueReminderJob = require("./jobs/dueReminders");
 const PORT = process.env.PORT || 5000;
 
 /**
@@ -44,6 +46,9 @@ app.use("/auth", require("./routes/authRoutes"));
 app.use("/account", require("./routes/accountRoutes"));
 app.use("/users", require("./routes/userRoutes"));
 app.use("/notes", require("./routes/noteRoutes"));
+app.use("/settings", require("./routes/settingRoutes"));
+app.use("/labels", require("./routes/labelRoutes"));
+app.use("/trash", require("./routes/trashRoutes"));
 
 // Handle 404 Not Found error
 app.all("*", (req, res) => {
@@ -64,6 +69,10 @@ app.use(errorHandler);
 mongoose.connection.once("open", () => {
   console.log("⚡Connected to MongoDB");
   app.listen(PORT, () => console.log(`⚡Server is running on port ${PORT}`));
+  // Purge notes and users that have been in the trash for too long
+  startTrashRetentionJob();
+  // Email assignees about notes that are due soon or overdue
+  startDueReminderJob();
 });
 
 // Handle MongoDB connection errors
@@ -0,0 +1,26 @@
+/**
+ * @description This file contains the limits for note attachments
+ * @author [Hoang Le Chau](https://github.com/hoanglechau)
+ */
+const attachmentOptions = {
+  // Maximum size of one file in bytes
+  maxFileSize:
+    (parseInt(process.env.ATTACHMENT_MAX_SIZE_MB) || 10) * 1024 * 1024,
+  // Screenshots, documents, and plain data files
+  allowedMimeTypes: [
+    "image/png",
+    "image/jpeg",
+    "image/gif",
+    "image/webp",
+    "application/pdf",
+    "text/plain",
+    "text/csv",
+    "application/msword",
+    "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+    "application/vnd.ms-excel",
+    "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+    "application/zip",
+  ],
+};
+
+module.exports = attachmentOptions;
@@ -18,6 +18,8 @@ const corsOptions = {
   },
   // Set the Access-Control-Allow-Credentials header
   credentials: true,
+  // Let the frontend read the version of a note or user, to send it back in If-Match
+  exposedHeaders: ["ETag"],
   // The default status code is 204, but 200 can prevent problems on some devices
   optionsSuccessStatus: 200,
 };
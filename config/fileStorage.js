@@ -0,0 +1,24 @@
+/**
+ * @description This file selects the storage for uploaded files
+ * The files are kept on the local disk in FILE_STORAGE_DIR (default: uploads). Other storages can be added in utils/fileStorages.js and selected with FILE_STORAGE
+ * @author [Hoang Le Chau](https://github.com/hoanglechau)
+ */
+const path = require("path");
+const { createLocalStorage } = require("../utils/fileStorages");
+
+const storages = {
+  local: () =>
+    createLocalStorage(
+      process.env.FILE_STORAGE_DIR || path.join(__dirname, "..", "uploads")
+    ),
+};
+
+const storageName = process.env.FILE_STORAGE || "local";
+
+if (!storages[storageName]) {
+  throw new Error(`Unknown file storage: ${storageName}`);
+}
+
+const fileStorage = storages[storageName]();
+
+module.exports = fileStorage;
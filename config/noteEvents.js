@@ -0,0 +1,18 @@
+/**
+ * @description This file selects the pub/sub backend for the real-time note events
+ * Set NOTE_EVENTS_STORE=mongo when running several server instances, so the events reach the clients of every instance. The events are kept in memory by default
+ * @author [Hoang Le Chau](https://github.com/hoanglechau)
+ */
+const { createMemoryPubSub, createMongoPubSub } = require("../utils/pubSubs");
+
+const noteEvents =
+  process.env.NOTE_EVENTS_STORE === "mongo"
+    ? createMongoPubSub({
+        pollIntervalMs: parseInt(process.env.NOTE_EVENTS_POLL_MS) || 1000,
+        gapTimeoutMs: 5000,
+      })
+    : createMemoryPubSub({
+        historySize: parseInt(process.env.NOTE_EVENTS_HISTORY_SIZE) || 1000,
+      });
+
+module.exports = noteEvents;
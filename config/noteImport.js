@@ -0,0 +1,19 @@
+/**
+ * @description This file contains the limits for importing notes from CSV files
+ * @author [Hoang Le Chau](https://github.com/hoanglechau)
+ */
+const noteImportOptions = {
+  // Maximum size of the CSV file in bytes
+  maxFileSize: (parseInt(process.env.IMPORT_MAX_SIZE_MB) || 5) * 1024 * 1024,
+  // Maximum number of notes in one import, not counting the header row
+  maxRows: parseInt(process.env.IMPORT_MAX_ROWS) || 1000,
+  // Browsers send different types for CSV files, e.g. Windows sends the Excel type
+  allowedMimeTypes: [
+    "text/csv",
+    "text/plain",
+    "application/csv",
+    "application/vnd.ms-excel",
+  ],
+};
+
+module.exports = noteImportOptions;
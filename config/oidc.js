@@ -0,0 +1,20 @@
+/**
+ * @description This file contains the options for logging in with an external OpenID Connect provider
+ * OIDC login is only enabled when OIDC_ISSUER is set. A local mock OIDC server can be used for testing by pointing OIDC_ISSUER at it
+ * @author [Hoang Le Chau](https://github.com/hoanglechau)
+ */
+const oidcOptions = {
+  enabled: !!process.env.OIDC_ISSUER,
+  // The discovery document is loaded from `${issuer}/.well-known/openid-configuration`
+  issuer: process.env.OIDC_ISSUER,
+  clientId: process.env.OIDC_CLIENT_ID,
+  // Leave empty for public clients, PKCE protects the flow either way
+  clientSecret: process.env.OIDC_CLIENT_SECRET,
+  redirectUri: process.env.OIDC_REDIRECT_URI,
+  scope: process.env.OIDC_SCOPES || "openid email profile",
+  // Create users that don't exist yet on their first login
+  jitProvisioning: process.env.OIDC_JIT_PROVISIONING === "true",
+  defaultRole: process.env.OIDC_DEFAULT_ROLE || "Employee",
+};
+
+module.exports = oidcOptions;
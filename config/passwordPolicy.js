@@ -0,0 +1,31 @@
+/**
+ * @description This file contains the password policy that every new password has to meet
+ * @author [Hoang Le Chau](https://github.com/hoanglechau)
+ */
+
+/**
+ * @description Read a whole number from an environment variable. Unlike `parseInt(value) || fallback`, an explicit 0 is kept
+ * @param {*} value
+ * @param {*} fallback Used when the variable is unset or not a number
+ * @returns
+ */
+const parseCount = (value, fallback) => {
+  const count = parseInt(value);
+  return Number.isNaN(count) ? fallback : Math.max(count, 0);
+};
+
+const passwordPolicy = {
+  minLength: parseInt(process.env.PASSWORD_MIN_LENGTH) || 8,
+  requireLowercase: true,
+  requireUppercase: true,
+  requireNumber: true,
+  requireSymbol: false,
+  // Reject passwords that contain the username or the name part of the email address
+  disallowPersonalInfo: true,
+  // Reject passwords from the bundled list of common and breached passwords
+  disallowCommon: true,
+  // Number of previous passwords that can't be used again. 0 turns the password history off
+  historySize: parseCount(process.env.PASSWORD_HISTORY_SIZE, 5),
+};
+
+module.exports = passwordPolicy;
@@ -0,0 +1,12 @@
+/**
+ * @description This file contains the note priorities. Priorities are stored as numbers so that notes can be sorted by them
+ * @author [Hoang Le Chau](https://github.com/hoanglechau)
+ */
+const PRIORITIES = {
+  Low: 1,
+  Medium: 2,
+  High: 3,
+  Urgent: 4,
+};
+
+module.exports = PRIORITIES;
@@ -0,0 +1,16 @@
+/**
+ * @description This file selects the store for the rate limit and failed login counters
+ * Set RATE_LIMIT_STORE=memory to keep the counters in memory during development. MongoDB is used by default
+ * @author [Hoang Le Chau](https://github.com/hoanglechau)
+ */
+const {
+  createMongoStore,
+  createMemoryStore,
+} = require("../utils/rateLimitStores");
+
+const rateLimitStore =
+  process.env.RATE_LIMIT_STORE === "memory"
+    ? createMemoryStore()
+    : createMongoStore();
+
+module.exports = rateLimitStore;
@@ -0,0 +1,11 @@
+/**
+ * @description This file contains the roles that users can have in the app
+ * @author [Hoang Le Chau](https://github.com/hoanglechau)
+ */
+const ROLES = {
+  Admin: "Admin",
+  Manager: "Manager",
+  Employee: "Employee",
+};
+
+module.exports = ROLES;
@@ -0,0 +1,7 @@
+/**
+ * @description This file contains the scopes that personal access tokens can be given
+ * @author [Hoang Le Chau](https://github.com/hoanglechau)
+ */
+const SCOPES = ["notes:read", "notes:write", "users:read", "users:write"];
+
+module.exports = SCOPES;
@@ -0,0 +1,30 @@
+const ROLES = require("./roles");
+
+/**
+ * @description This file contains the default note status workflow. Admins can replace it at runtime through PUT /settings/workflow
+ * @author [Hoang Le Chau](https://github.com/hoanglechau)
+ */
+const ALL_ROLES = Object.values(ROLES);
+
+const defaultWorkflow = {
+  // New notes start in this status
+  initialStatus: "Open",
+  // Terminal statuses mean the work on a note is done. The statuses are the columns of the board, in order
+  // wipLimit is the most notes a column can hold, or null for no limit
+  statuses: [
+    { name: "Open", terminal: false, wipLimit: null },
+    { name: "In Progress", terminal: false, wipLimit: null },
+    { name: "Completed", terminal: true, wipLimit: null },
+  ],
+  // The only status changes that are allowed, and the roles that may make them
+  transitions: [
+    { from: "Open", to: "In Progress", roles: ALL_ROLES },
+    { from: "Open", to: "Completed", roles: ALL_ROLES },
+    { from: "In Progress", to: "Open", roles: ALL_ROLES },
+    { from: "In Progress", to: "Completed", roles: ALL_ROLES },
+    // Only admins and managers can reopen completed notes
+    { from: "Completed", to: "Open", roles: [ROLES.Admin, ROLES.Manager] },
+  ],
+};
+
+module.exports = defaultWorkflow;
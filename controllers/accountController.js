@@ -1,6 +1,29 @@
 const User = require("../models/User");
+const Session = require("../models/Session");
+const ApiToken = require("../models/ApiToken");
+const SCOPES = require("../config/scopes");
 const bcrypt = require("bcrypt");
 const { StatusCodes } = require("http-status-codes");
+const { createAccessToken } = require("../utils/tokens");
+const {
+  getTwoFactorRequiredRoles,
+  generateTwoFactorSecret,
+  getTwoFactorTimeStep,
+  generateRecoveryCodes,
+} = require("../utils/twoFactor");
+const { revokeSessions } = require("../utils/sessions");
+const { sendVerificationEmail } = require("../utils/emails");
+const {
+  validatePassword,
+  sendPasswordErrors,
+  getPasswordHashes,
+  nextPasswordHistory,
+} = require("../utils/passwordPolicy");
+const { generateApiToken } = require("../utils/apiTokens");
+
+// Personal access tokens expire after 30 days by default, and after 1 year at most
+const DEFAULT_API_TOKEN_DAYS = 30;
+const MAX_API_TOKEN_DAYS = 365;
 
 /**
  * @description This file contains the controllers for the account endpoints
@@ -8,40 +31,42 @@ const { StatusCodes } = require("http-status-codes");
  */
 
 /**
- * @description Get the currently logged-in user's account by their id
- * @param {id} req
+ * @description Get the currently logged-in user's account
+ * @param {*} req
  * @param {*} res
- * @route GET /account/:id
+ * @route GET /account
  * @access Private
  */
 const getSingleAccount = async (req, res) => {
-  const user = await User.findById(req.params.id);
+  // Always use the id from the access token, never an id from the request
+  const user = await User.findById(req.userId).select("-password").exec();
   if (!user) {
     return res
       .status(StatusCodes.BAD_REQUEST)
-      .json({ message: `No user with id: ${req.params.id}` });
+      .json({ message: "User not found!" });
   }
   res.status(StatusCodes.OK).json({ user });
 };
 
 /**
  * @description Update the currently logged-in user's account
- * @param {id, username, email, password} req
+ * @param {username, email, password, currentPassword} req
  * @param {*} res
- * @route PATCH /account/:id
+ * @route PATCH /account
  * @access Private
  */
 const updateAccount = async (req, res) => {
-  const { id, username, email, password } = req.body;
+  const { username, email, password, currentPassword } = req.body;
+  const id = req.userId;
 
   // Check for required data
-  if (!id || !username || !email) {
+  if (!username || !email) {
     return res
       .status(StatusCodes.BAD_REQUEST)
       .json({ message: "Missing required data! Only password is optional!" });
   }
 
-  const user = await User.findById(id).exec();
+  const user = await User.findById(id).select("+passwordHistory").exec();
 
   // Check if user exists
   if (!user) {
@@ -72,12 +97,52 @@ const updateAccount = async (req, res) => {
       .json({ message: "This email has already been used!" });
   }
 
+  // Changing the email or password requires the current password
+  if (password || email !== user.email) {
+    if (!currentPassword) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        message:
+          "Please enter your current password to change your email or password!",
+      });
+    }
+
+    const match = await bcrypt.compare(currentPassword, user.password);
+
+    if (!match) {
+      return res
+        .status(StatusCodes.UNAUTHORIZED)
+        .json({ message: "Incorrect current password!" });
+    }
+  }
+
+  // Check the new password against the password policy and the user's previous passwords
+  if (password) {
+    const passwordErrors = await validatePassword(password, {
+      username,
+      email,
+      passwordHashes: getPasswordHashes(user),
+    });
+
+    if (passwordErrors.length) {
+      return sendPasswordErrors(res, passwordErrors);
+    }
+  }
+
+  // A new email address has to be verified again
+  const emailChanged = email !== user.email;
+
   // Update the user with the new data
   // Can only do this if these properties exist in the Mongoose User model
   user.username = username;
   user.email = email;
 
+  if (emailChanged) {
+    user.emailVerified = false;
+  }
+
   if (password) {
+    // Keep the replaced password in the history, so it can't be used again
+    user.passwordHistory = nextPasswordHistory(user);
     // Hash the new password with 10 salt rounds
     user.password = await bcrypt.hash(password, 10);
   }
@@ -85,24 +150,34 @@ const updateAccount = async (req, res) => {
   // Save the updated user in the database
   const updatedUser = await user.save();
 
+  // Don't send the password history back to the client
+  updatedUser.passwordHistory = undefined;
+
+  if (emailChanged) {
+    sendVerificationEmail(updatedUser);
+  }
+
   res.status(StatusCodes.OK).json({
     updatedUser,
-    message: `Your account settings have been updated!`,
+    message: emailChanged
+      ? "Your account settings have been updated! Please check your email to verify your new email address!"
+      : `Your account settings have been updated!`,
   });
 };
 
 /**
  * @description Update the currently logged-in user's profile
- * @param {id, fullname, avatarUrl} req
+ * @param {fullname, avatarUrl} req
  * @param {*} res
- * @route PUT /account/:id
+ * @route PUT /account
  * @access Private
  */
 const updateProfile = async (req, res) => {
-  const { id, fullname, avatarUrl } = req.body;
+  const { fullname, avatarUrl } = req.body;
+  const id = req.userId;
 
   // Check for required data
-  if (!id || !fullname) {
+  if (!fullname) {
     return res
       .status(StatusCodes.BAD_REQUEST)
       .json({ message: "Missing required data!" });
@@ -131,8 +206,328 @@ const updateProfile = async (req, res) => {
   });
 };
 
+/**
+ * @description Start the 2FA enrolment by generating a new TOTP secret
+ * @param {*} req
+ * @param {*} res
+ * @route POST /account/2fa/setup
+ * @access Private
+ */
+const setupTwoFactor = async (req, res) => {
+  const user = await User.findById(req.userId).exec();
+
+  if (!user) {
+    return res
+      .status(StatusCodes.BAD_REQUEST)
+      .json({ message: "User not found!" });
+  }
+
+  if (user.twoFactorEnabled) {
+    return res
+      .status(StatusCodes.CONFLICT)
+      .json({ message: "Two-factor authentication is already enabled!" });
+  }
+
+  // The secret is only used for logging in once the first code has been verified
+  const { secret, otpauthUrl } = generateTwoFactorSecret(user);
+  user.twoFactorSecret = secret;
+  await user.save();
+
+  res.status(StatusCodes.OK).json({
+    otpauthUrl,
+    secret,
+    message:
+      "Scan the QR code with your authenticator app and enter the code to finish the setup!",
+  });
+};
+
+/**
+ * @description Finish the 2FA enrolment by verifying the first code, and send back the recovery codes
+ * @param {code} req
+ * @param {*} res
+ * @route POST /account/2fa/verify
+ * @access Private
+ */
+const enableTwoFactor = async (req, res) => {
+  const { code } = req.body;
+
+  // Check for required data
+  if (!code) {
+    return res
+      .status(StatusCodes.BAD_REQUEST)
+      .json({ message: "Missing required data!" });
+  }
+
+  const user = await User.findById(req.userId)
+    .select("+twoFactorSecret")
+    .exec();
+
+  if (!user) {
+    return res
+      .status(StatusCodes.BAD_REQUEST)
+      .json({ message: "User not found!" });
+  }
+
+  if (user.twoFactorEnabled) {
+    return res
+      .status(StatusCodes.CONFLICT)
+      .json({ message: "Two-factor authentication is already enabled!" });
+  }
+
+  if (!user.twoFactorSecret) {
+    return res.status(StatusCodes.BAD_REQUEST).json({
+      message: "Please start the two-factor authentication setup first!",
+    });
+  }
+
+  const timeStep = getTwoFactorTimeStep(user.twoFactorSecret, code);
+
+  if (timeStep === null) {
+    return res
+      .status(StatusCodes.BAD_REQUEST)
+      .json({ message: "Invalid two-factor authentication code!" });
+  }
+
+  // Only the hashes of the recovery codes are stored. The codes themselves are only shown this once
+  const { codes, hashes } = generateRecoveryCodes();
+  user.twoFactorEnabled = true;
+  // The code used to enable 2FA can't be used again to log in
+  user.twoFactorLastTimeStep = timeStep;
+  user.recoveryCodes = hashes;
+  await user.save();
+
+  // Send a new access token, since the old one may still be limited to the 2FA setup
+  const accessToken = createAccessToken(user, { sessionId: req.sessionId });
+
+  res.status(StatusCodes.OK).json({
+    recoveryCodes: codes,
+    accessToken,
+    message:
+      "Two-factor authentication has been enabled! Please store your recovery codes somewhere safe!",
+  });
+};
+
+/**
+ * @description Turn off 2FA for the currently logged-in user
+ * @param {currentPassword} req
+ * @param {*} res
+ * @route DELETE /account/2fa
+ * @access Private
+ */
+const disableTwoFactor = async (req, res) => {
+  const { currentPassword } = req.body;
+
+  // Check for required data
+  if (!currentPassword) {
+    return res
+      .status(StatusCodes.BAD_REQUEST)
+      .json({ message: "Please enter your current password!" });
+  }
+
+  const user = await User.findById(req.userId).exec();
+
+  if (!user) {
+    return res
+      .status(StatusCodes.BAD_REQUEST)
+      .json({ message: "User not found!" });
+  }
+
+  const requiredRoles = await getTwoFactorRequiredRoles();
+
+  if (requiredRoles.includes(user.role)) {
+    return res.status(StatusCodes.FORBIDDEN).json({
+      message: "Two-factor authentication is mandatory for your role!",
+    });
+  }
+
+  const match = await bcrypt.compare(currentPassword, user.password);
+
+  if (!match) {
+    return res
+      .status(StatusCodes.UNAUTHORIZED)
+      .json({ message: "Incorrect current password!" });
+  }
+
+  user.twoFactorEnabled = false;
+  user.twoFactorSecret = null;
+  user.twoFactorLastTimeStep = null;
+  user.recoveryCodes = [];
+  await user.save();
+
+  res
+    .status(StatusCodes.OK)
+    .json({ message: "Two-factor authentication has been disabled!" });
+};
+
+/**
+ * @description Get the active sessions (signed-in devices) of the currently logged-in user
+ * @param {*} req
+ * @param {*} res
+ * @route GET /account/sessions
+ * @access Private
+ */
+const getSessions = async (req, res) => {
+  const sessions = await Session.find({
+    user: req.userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  })
+    .sort({ lastSeenAt: -1 })
+    .lean()
+    .exec();
+
+  // Mark the session that made this request
+  const sessionsWithCurrent = sessions.map(session => ({
+    ...session,
+    current: session._id.toString() === req.sessionId,
+  }));
+
+  res.status(StatusCodes.OK).json({ sessions: sessionsWithCurrent });
+};
+
+/**
+ * @description Sign out one of the currently logged-in user's sessions
+ * @param {id} req
+ * @param {*} res
+ * @route DELETE /account/sessions/:id
+ * @access Private
+ */
+const revokeSession = async (req, res) => {
+  const { id } = req.params;
+
+  // Only look for the session among the user's own sessions
+  const count = await revokeSessions({ _id: id, user: req.userId });
+
+  if (!count) {
+    return res
+      .status(StatusCodes.BAD_REQUEST)
+      .json({ message: "Session not found!" });
+  }
+
+  res
+    .status(StatusCodes.OK)
+    .json({ message: "The session has been signed out!" });
+};
+
+/**
+ * @description Get the personal access tokens of the currently logged-in user
+ * @param {*} req
+ * @param {*} res
+ * @route GET /account/tokens
+ * @access Private
+ */
+const getApiTokens = async (req, res) => {
+  const apiTokens = await ApiToken.find({ user: req.userId, revokedAt: null })
+    .sort({ createdAt: -1 })
+    .lean()
+    .exec();
+
+  res.status(StatusCodes.OK).json({ apiTokens });
+};
+
+/**
+ * @description Create a personal access token for the currently logged-in user
+ * @param {name, scopes, expiresInDays} req
+ * @param {*} res
+ * @route POST /account/tokens
+ * @access Private
+ */
+const createApiToken = async (req, res) => {
+  const { name, scopes, expiresInDays } = req.body;
+
+  // Check for required data
+  if (!name || !Array.isArray(scopes) || !scopes.length) {
+    return res
+      .status(StatusCodes.BAD_REQUEST)
+      .json({ message: "Missing required data!" });
+  }
+
+  const invalidScopes = scopes.filter(scope => !SCOPES.includes(scope));
+
+  if (invalidScopes.length) {
+    return res.status(StatusCodes.BAD_REQUEST).json({
+      message: `Invalid scopes: ${invalidScopes.join(
+        ", "
+      )}! Scopes must be any of: ${SCOPES.join(", ")}!`,
+    });
+  }
+
+  const days =
+    expiresInDays === undefined
+      ? DEFAULT_API_TOKEN_DAYS
+      : parseInt(expiresInDays);
+
+  if (!days || days < 1 || days > MAX_API_TOKEN_DAYS) {
+    return res.status(StatusCodes.BAD_REQUEST).json({
+      message: `Tokens must expire within 1 to ${MAX_API_TOKEN_DAYS} days!`,
+    });
+  }
+
+  const { token, tokenHash, prefix } = generateApiToken();
+
+  const expiresAt = new Date();
+  expiresAt.setDate(expiresAt.getDate() + days);
+
+  const apiToken = await ApiToken.create({
+    user: req.userId,
+    name,
+    tokenHash,
+    prefix,
+    scopes: [...new Set(scopes)],
+    expiresAt,
+  });
+
+  // The token itself is only sent this once, only its hash is stored
+  res.status(StatusCodes.CREATED).json({
+    apiToken: {
+      _id: apiToken._id,
+      name: apiToken.name,
+      prefix: apiToken.prefix,
+      scopes: apiToken.scopes,
+      expiresAt: apiToken.expiresAt,
+      createdAt: apiToken.createdAt,
+    },
+    token,
+    message: `Personal access token "${name}" created! Please copy it now, you won't be able to see it again!`,
+  });
+};
+
+/**
+ * @description Revoke one of the currently logged-in user's personal access tokens
+ * @param {id} req
+ * @param {*} res
+ * @route DELETE /account/tokens/:id
+ * @access Private
+ */
+const revokeApiToken = async (req, res) => {
+  // Only look for the token among the user's own tokens
+  const apiToken = await ApiToken.findOneAndUpdate(
+    { _id: req.params.id, user: req.userId, revokedAt: null },
+    { revokedAt: new Date() },
+    { new: true }
+  ).exec();
+
+  if (!apiToken) {
+    return res
+      .status(StatusCodes.BAD_REQUEST)
+      .json({ message: "Token not found!" });
+  }
+
+  res.status(StatusCodes.OK).json({
+    message: `Personal access token "${apiToken.name}" has been revoked!`,
+  });
+};
+
 module.exports = {
   getSingleAccount,
   updateAccount,
   updateProfile,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  getSessions,
+  revokeSession,
+  getApiTokens,
+  createApiToken,
+  revokeApiToken,
 };
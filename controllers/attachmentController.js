@@ -0,0 +1,178 @@
+const { v4: uuid } = require("uuid");
+const Attachment = require("../models/Attachment");
+const { StatusCodes } = require("http-status-codes");
+const fileStorage = require("../config/fileStorage");
+const { logEvents } = require("../middleware/logger");
+const { forbidden } = require("../middleware/authorize");
+const { getActor, canEditNote } = require("../utils/policy");
+const { findViewableNote } = require("../utils/notes");
+
+/**
+ * @description This file contains the controllers for the attachment endpoints of a note
+ * @author [Hoang Le Chau](https://github.com/hoanglechau)
+ */
+
+/**
+ * @description Get the attachments of a note, oldest first
+ * @param {id} req
+ * @param {*} res
+ * @route GET /notes/:id/attachments
+ * @access Private
+ */
+const getAttachments = async (req, res) => {
+  const found = await findViewableNote(req, res);
+  if (!found) return;
+
+  const attachments = await Attachment.find({ note: found.note._id })
+    .sort({ createdAt: 1 })
+    .populate("uploadedBy", "username fullname")
+    .lean()
+    .exec();
+
+  res.status(StatusCodes.OK).json({ attachments });
+};
+
+/**
+ * @description Upload a file to a note. The file is parsed by the uploadAttachment middleware
+ * @param {id, file} req
+ * @param {*} res
+ * @route POST /notes/:id/attachments
+ * @access Private - for users who can edit the note
+ */
+const createAttachment = async (req, res) => {
+  const found = await findViewableNote(req, res);
+  if (!found) return;
+
+  if (!canEditNote(getActor(req), found.owner)) {
+    return forbidden(res);
+  }
+
+  const { originalname, mimetype, size, buffer } = req.file;
+  // The original file name is never used in the storage key, so it can't be used to write outside the note's folder
+  const storageKey = `notes/${found.note._id}/${uuid()}`;
+
+  await fileStorage.save(storageKey, buffer);
+
+  const attachment = await Attachment.create({
+    note: found.note._id,
+    uploadedBy: req.userId,
+    filename: originalname,
+    mimeType: mimetype,
+    size,
+    storageKey,
+  });
+
+  // Don't send the storage key to the client
+  const attachmentData = attachment.toObject();
+  delete attachmentData.storageKey;
+
+  res.status(StatusCodes.CREATED).json({
+    attachment: attachmentData,
+    message: `File "${originalname}" uploaded successfully!`,
+  });
+};
+
+/**
+ * @description Find an attachment of a note that the logged-in user may see
+ * @param {*} req
+ * @param {*} res
+ * @returns The note, its assignee, and the attachment, or null if a response has already been sent
+ */
+const findAttachment = async (req, res) => {
+  const found = await findViewableNote(req, res);
+  if (!found) return null;
+
+  const attachment = await Attachment.findOne({
+    _id: req.params.attachmentId,
+    note: found.note._id,
+  })
+    .select("+storageKey")
+    .lean()
+    .exec();
+
+  if (!attachment) {
+    res
+      .status(StatusCodes.BAD_REQUEST)
+      .json({ message: "Attachment not found!" });
+    return null;
+  }
+
+  return { ...found, attachment };
+};
+
+/**
+ * @description Download an attachment
+ * @param {id, attachmentId} req
+ * @param {*} res
+ * @route GET /notes/:id/attachments/:attachmentId
+ * @access Private - for users who can see the note
+ */
+const downloadAttachment = async (req, res) => {
+  const found = await findAttachment(req, res);
+  if (!found) return;
+
+  const { attachment } = found;
+
+  res.set({
+    "Content-Type": attachment.mimeType,
+    "Content-Length": attachment.size,
+    // Always download the file instead of opening it in the browser, and don't let the browser guess another type
+    "Content-Disposition": `attachment; filename="${attachment.filename.replace(
+      /[^\x20-\x7e]|["\\]/g,
+      "_"
+    )}"; filename*=UTF-8''${encodeURIComponent(attachment.filename)}`,
+    "X-Content-Type-Options": "nosniff",
+  });
+
+  const stream = fileStorage.createReadStream(attachment.storageKey);
+
+  stream.on("error", err => {
+    logEvents(
+      `Attachment download failed: ${err.message}\t${req.method}\t${req.url}`,
+      "errLog.log"
+    );
+    if (res.headersSent) {
+      res.destroy(err);
+    } else {
+      // The headers of the file are replaced, so the message is sent as JSON
+      res
+        .status(StatusCodes.NOT_FOUND)
+        .set({
+          "Content-Type": "application/json",
+          "Content-Disposition": "inline",
+        })
+        .json({ message: "The file of this attachment is missing!" });
+    }
+  });
+
+  stream.pipe(res);
+};
+
+/**
+ * @description Delete an attachment. It's soft deleted, and the file is removed when the trash is purged
+ * @param {id, attachmentId} req
+ * @param {*} res
+ * @route DELETE /notes/:id/attachments/:attachmentId
+ * @access Private - for users who can edit the note
+ */
+const deleteAttachment = async (req, res) => {
+  const found = await findAttachment(req, res);
+  if (!found) return;
+
+  if (!canEditNote(getActor(req), found.owner)) {
+    return forbidden(res);
+  }
+
+  await Attachment.softDeleteOne({ _id: found.attachment._id }).exec();
+
+  res.status(StatusCodes.OK).json({
+    message: `File "${found.attachment.filename}" has been deleted!`,
+  });
+};
+
+module.exports = {
+  getAttachments,
+  createAttachment,
+  downloadAttachment,
+  deleteAttachment,
+};
@@ -1,27 +1,98 @@
 const User = require("../models/User");
+const RefreshToken = require("../models/RefreshToken");
+const Session = require("../models/Session");
 const bcrypt = require("bcrypt");
 const crypto = require("crypto");
 const jwt = require("jsonwebtoken");
 const { StatusCodes } = require("http-status-codes");
 const sendMail = require("../utils/sendMail");
+const { logEvents } = require("../middleware/logger");
+const {
+  REFRESH_COOKIE_NAME,
+  hashToken,
+  createAccessToken,
+  createChallengeToken,
+  verifyChallengeToken,
+  verifyEmailVerificationToken,
+  createRefreshToken,
+  setRefreshCookie,
+  clearRefreshCookie,
+} = require("../utils/tokens");
+const {
+  isTwoFactorSetupRequired,
+  useTwoFactorCode,
+} = require("../utils/twoFactor");
+const {
+  createSession,
+  extendSession,
+  revokeSessions,
+} = require("../utils/sessions");
+const {
+  INVITATION_EXPIRES_IN_HOURS,
+  getFrontendURL,
+  sendVerificationEmail,
+} = require("../utils/emails");
+const {
+  getLoginBlock,
+  recordFailedLogin,
+  resetLoginAttempts,
+} = require("../utils/loginAttempts");
+const {
+  validatePassword,
+  sendPasswordErrors,
+  getPasswordHashes,
+  nextPasswordHistory,
+} = require("../utils/passwordPolicy");
+const oidcOptions = require("../config/oidc");
+const {
+  createAuthorizationUrl,
+  handleCallback,
+  findOrCreateOidcUser,
+} = require("../utils/oidc");
 
 /**
  * @description This file contains the controllers for the auth endpoints
  * @author [Hoang Le Chau](https://github.com/hoanglechau)
  */
 
+/**
+ * @description Record a new session, issue the access token and start the session's refresh token family in an httpOnly cookie
+ * @param {*} req
+ * @param {*} res
+ * @param {*} user
+ * @returns
+ */
+const issueTokens = async (req, res, user) => {
+  // A successful login clears the failed logins of the account
+  await resetLoginAttempts(user.username);
+
+  const session = await createSession(req, user);
+
+  // Users whose role requires 2FA but who haven't enabled it yet can only reach the 2FA setup endpoints
+  const twoFactorSetupRequired = await isTwoFactorSetupRequired(user);
+  const accessToken = createAccessToken(user, {
+    sessionId: session._id,
+    twoFactorSetupRequired,
+  });
+
+  const refreshToken = await createRefreshToken(user, session.family);
+  setRefreshCookie(res, refreshToken);
+
+  return { accessToken, twoFactorSetupRequired };
+};
+
 /**
  * @description Register new user (for demo purposes only)
- * @param {username, fullname, email, password, role} req
+ * @param {username, fullname, email, password} req
  * @param {*} res
  * @route POST /auth/register
  * @access Public
  */
 const register = async (req, res) => {
-  const { username, fullname, email, password, role } = req.body;
+  const { username, fullname, email, password } = req.body;
 
   // Check for required data
-  // 'Roles' is not required since it already has a default as 'Employee'
+  // Self-registered users always get the default 'Employee' role
   if (!username || !fullname || !email || !password) {
     return res
       .status(StatusCodes.BAD_REQUEST)
@@ -50,22 +121,33 @@ const register = async (req, res) => {
       .json({ message: "This email has already been used!" });
   }
 
+  // Check the password against the password policy
+  const passwordErrors = await validatePassword(password, { username, email });
+
+  if (passwordErrors.length) {
+    return sendPasswordErrors(res, passwordErrors);
+  }
+
   // Hash the password, put it through 10 salt rounds to ensure that the password is safe. Even when looking at it in the database, we wouldn't know what the password is
   const hashedPassword = await bcrypt.hash(password, 10);
 
-  // If role doesn't exist in the request body, don't include it in the user object
-  const userObject = !role
-    ? { username, fullname, email, password: hashedPassword }
-    : { username, fullname, email, password: hashedPassword, role };
-
   // Create and store the new user in the database
-  const user = await User.create(userObject);
+  // The user has to verify their email address before they can log in
+  const user = await User.create({
+    username,
+    fullname,
+    email,
+    password: hashedPassword,
+    emailVerified: false,
+  });
 
   // Check if the user was created successfully
   if (user) {
-    res
-      .status(StatusCodes.CREATED)
-      .json({ message: `New user ${username} registered successfully!` });
+    sendVerificationEmail(user);
+
+    res.status(StatusCodes.CREATED).json({
+      message: `New user ${username} registered successfully! Please check your email to verify your email address!`,
+    });
   } else {
     res.status(StatusCodes.BAD_REQUEST).json({ message: "Invalid user data!" });
   }
@@ -88,10 +170,18 @@ const login = async (req, res) => {
       .json({ message: "Missing username or password!" });
   }
 
+  // Objects like { "$gt": "" } would be run as query operators
+  if (typeof username !== "string" || typeof password !== "string") {
+    return res
+      .status(StatusCodes.BAD_REQUEST)
+      .json({ message: "Username and password must be text!" });
+  }
+
   // Check if user exists or is active
   const foundUser = await User.findOne({ username }).exec();
 
   if (!foundUser || !foundUser.active) {
+    await recordFailedLogin(username, null);
     return res
       .status(StatusCodes.UNAUTHORIZED)
       .json({ message: "Username not found!" });
@@ -100,35 +190,434 @@ const login = async (req, res) => {
   // Compare the password that we receive and the password stored in the database
   const match = await bcrypt.compare(password, foundUser.password);
 
-  if (!match)
+  if (!match) {
+    // Count the failed login for this account, no matter which IP address it came from
+    await recordFailedLogin(username, foundUser);
     return res
       .status(StatusCodes.UNAUTHORIZED)
       .json({ message: "Incorrect password!" });
+  }
 
-  // Create access token containing username and role
-  const accessToken = jwt.sign(
-    {
-      // Insert this information into the access token
-      UserInfo: {
-        username: foundUser.username,
-        role: foundUser.role,
-        avatarUrl: foundUser.avatarUrl,
-        _id: foundUser._id,
-      },
-    },
-    // Pass in the environment variable that contains the secret token
-    process.env.ACCESS_TOKEN_SECRET,
-    { expiresIn: "7d" }
+  // Users have to verify their email address before they can log in
+  if (!foundUser.emailVerified) {
+    return res.status(StatusCodes.FORBIDDEN).json({
+      emailVerified: false,
+      message: "Please verify your email address before logging in!",
+    });
+  }
+
+  // With 2FA enabled, the user has to exchange a challenge token and a code for the access token at POST /auth/2fa
+  if (foundUser.twoFactorEnabled) {
+    return res.status(StatusCodes.OK).json({
+      twoFactorRequired: true,
+      challengeToken: createChallengeToken(foundUser),
+      message: "Please enter your two-factor authentication code!",
+    });
+  }
+
+  // Create a short-lived access token containing username and role, and the refresh token cookie
+  const { accessToken, twoFactorSetupRequired } = await issueTokens(
+    req,
+    res,
+    foundUser
   );
 
   // Send accessToken containing username and role
   res.json({
     user: foundUser,
     accessToken,
+    twoFactorSetupRequired,
     message: `Welcome, ${foundUser.fullname}!`,
   });
 };
 
+/**
+ * @description Finish logging in with a TOTP code or a one-time recovery code
+ * @param {challengeToken, code, recoveryCode} req
+ * @param {*} res
+ * @route POST /auth/2fa
+ * @access Public
+ */
+const verifyTwoFactor = async (req, res) => {
+  const { challengeToken, code, recoveryCode } = req.body;
+
+  // Check for required data
+  if (!challengeToken || (!code && !recoveryCode)) {
+    return res
+      .status(StatusCodes.BAD_REQUEST)
+      .json({ message: "Missing required data!" });
+  }
+
+  const challenge = verifyChallengeToken(challengeToken);
+
+  if (!challenge) {
+    return res
+      .status(StatusCodes.UNAUTHORIZED)
+      .json({ message: "Your login has expired! Please log in again!" });
+  }
+
+  const foundUser = await User.findById(challenge._id)
+    .select("+twoFactorSecret")
+    .exec();
+
+  if (!foundUser || !foundUser.active || !foundUser.twoFactorEnabled) {
+    return res
+      .status(StatusCodes.UNAUTHORIZED)
+      .json({ message: "Unauthorized!" });
+  }
+
+  // Wrong codes count as failed logins, so the same delays and lockout apply
+  const block = await getLoginBlock(foundUser.username);
+
+  if (block) {
+    res.set("Retry-After", block.retryAfter.toString());
+    return res
+      .status(block.locked ? StatusCodes.LOCKED : StatusCodes.TOO_MANY_REQUESTS)
+      .json({
+        message: `Too many failed login attempts, please try again in ${block.retryAfter} second(s)!`,
+      });
+  }
+
+  let valid = false;
+  if (code) {
+    valid = await useTwoFactorCode(foundUser, code);
+  } else {
+    // Remove the recovery code in the same update that checks it, so it can only be used once
+    const recoveryCodeHash = hashToken(recoveryCode.toString().trim());
+    const updatedUser = await User.findOneAndUpdate(
+      { _id: foundUser._id, recoveryCodes: recoveryCodeHash },
+      { $pull: { recoveryCodes: recoveryCodeHash } }
+    ).exec();
+    valid = !!updatedUser;
+  }
+
+  if (!valid) {
+    await recordFailedLogin(foundUser.username, foundUser);
+    return res
+      .status(StatusCodes.UNAUTHORIZED)
+      .json({ message: "Invalid two-factor authentication code!" });
+  }
+
+  const { accessToken } = await issueTokens(req, res, foundUser);
+
+  // Don't send the 2FA secret back to the client
+  foundUser.twoFactorSecret = undefined;
+
+  res.status(StatusCodes.OK).json({
+    user: foundUser,
+    accessToken,
+    message: `Welcome, ${foundUser.fullname}!`,
+  });
+};
+
+/**
+ * @description Redirect to the OpenID Connect provider to log in
+ * @param {*} req
+ * @param {*} res
+ * @route GET /auth/oidc
+ * @access Public
+ */
+const oidcLogin = async (req, res) => {
+  if (!oidcOptions.enabled) {
+    return res
+      .status(StatusCodes.NOT_FOUND)
+      .json({ message: "OIDC login is not configured!" });
+  }
+
+  const authorizationUrl = await createAuthorizationUrl(res);
+
+  res.redirect(authorizationUrl);
+};
+
+/**
+ * @description Finish logging in with the OpenID Connect provider and redirect back to the frontend
+ * @param {code, state} req
+ * @param {*} res
+ * @route GET /auth/oidc/callback
+ * @access Public
+ */
+const oidcCallback = async (req, res) => {
+  if (!oidcOptions.enabled) {
+    return res
+      .status(StatusCodes.NOT_FOUND)
+      .json({ message: "OIDC login is not configured!" });
+  }
+
+  // This is a browser redirect, so errors are sent back to the frontend's login page
+  const loginURL = `${getFrontendURL()}/login`;
+
+  let claims;
+  try {
+    claims = await handleCallback(req, res);
+  } catch (err) {
+    logEvents(
+      `OIDC login failed: ${err.message}\t${req.method}\t${req.path}\t${req.headers.origin}`,
+      "errLog.log"
+    );
+    return res.redirect(`${loginURL}?error=oidc`);
+  }
+
+  const foundUser = await findOrCreateOidcUser(claims);
+
+  if (!foundUser || !foundUser.active || foundUser.isDeleted) {
+    return res.redirect(`${loginURL}?error=oidc_user`);
+  }
+
+  // With 2FA enabled, the provider login is only the first factor. The frontend finishes the login at POST /auth/2fa like after a password login
+  if (foundUser.twoFactorEnabled) {
+    return res.redirect(
+      `${getFrontendURL()}/oidc/callback#twoFactorRequired=true&challengeToken=${createChallengeToken(
+        foundUser
+      )}`
+    );
+  }
+
+  // Same access token and refresh token cookie as a password login
+  const { accessToken } = await issueTokens(req, res, foundUser);
+
+  // The URL fragment is never sent to a server, so the access token stays in the browser
+  res.redirect(`${getFrontendURL()}/oidc/callback#accessToken=${accessToken}`);
+};
+
+/**
+ * @description Rotate the refresh token in the cookie and issue a new access token
+ * @param {*} req
+ * @param {*} res
+ * @route POST /auth/refresh
+ * @access Public - requires the refresh token cookie
+ */
+const refresh = async (req, res) => {
+  const refreshToken = req.cookies?.[REFRESH_COOKIE_NAME];
+
+  if (!refreshToken) {
+    return res
+      .status(StatusCodes.UNAUTHORIZED)
+      .json({ message: "Unauthorized!" });
+  }
+
+  let decoded;
+  try {
+    decoded = jwt.verify(refreshToken, process.env.REFRESH_TOKEN_SECRET);
+  } catch (err) {
+    clearRefreshCookie(res);
+    return res.status(StatusCodes.FORBIDDEN).json({ message: "Forbidden!" });
+  }
+
+  // Mark the refresh token as used in one atomic step, so two requests can't both rotate the same token
+  const tokenHash = hashToken(refreshToken);
+  const storedToken = await RefreshToken.findOneAndUpdate(
+    { tokenHash, revokedAt: null },
+    { revokedAt: new Date() }
+  ).exec();
+
+  // A valid refresh token that has already been used means it was stolen. Revoke the whole family so neither the thief nor the user can keep using it
+  if (!storedToken) {
+    await revokeSessions({ family: decoded.family });
+    logEvents(
+      `Refresh token reuse detected for ${decoded.username}\t${req.method}\t${req.url}\t${req.headers.origin}`,
+      "errLog.log"
+    );
+    clearRefreshCookie(res);
+    return res
+      .status(StatusCodes.FORBIDDEN)
+      .json({ message: "Your session has expired! Please log in again!" });
+  }
+
+  const foundUser = await User.findById(storedToken.user).exec();
+  const session = await Session.findOne({ family: storedToken.family }).exec();
+
+  // The session may have been signed out from another device or by an admin
+  if (!foundUser || !foundUser.active || !session || session.revokedAt) {
+    await revokeSessions({ family: storedToken.family });
+    clearRefreshCookie(res);
+    return res
+      .status(StatusCodes.UNAUTHORIZED)
+      .json({ message: "Unauthorized!" });
+  }
+
+  // Rotate: issue a new refresh token in the same family and link it to the old one
+  const newRefreshToken = await createRefreshToken(
+    foundUser,
+    storedToken.family
+  );
+  await RefreshToken.updateOne(
+    { _id: storedToken._id },
+    { replacedBy: hashToken(newRefreshToken) }
+  ).exec();
+  setRefreshCookie(res, newRefreshToken);
+  await extendSession(session);
+
+  const twoFactorSetupRequired = await isTwoFactorSetupRequired(foundUser);
+  const accessToken = createAccessToken(foundUser, {
+    sessionId: session._id,
+    twoFactorSetupRequired,
+  });
+
+  res.status(StatusCodes.OK).json({ accessToken, twoFactorSetupRequired });
+};
+
+/**
+ * @description Logout, revoke the session and its refresh tokens and clear the cookie
+ * @param {*} req
+ * @param {*} res
+ * @route POST /auth/logout
+ * @access Public
+ */
+const logout = async (req, res) => {
+  const refreshToken = req.cookies?.[REFRESH_COOKIE_NAME];
+
+  // No content
+  if (!refreshToken) return res.sendStatus(StatusCodes.NO_CONTENT);
+
+  const storedToken = await RefreshToken.findOne({
+    tokenHash: hashToken(refreshToken),
+  })
+    .lean()
+    .exec();
+
+  if (storedToken) {
+    await revokeSessions({ family: storedToken.family });
+  }
+
+  clearRefreshCookie(res);
+  res.status(StatusCodes.OK).json({ message: "Logged out successfully!" });
+};
+
+/**
+ * @description Verify the user's email address with the token from the verification link
+ * @param {verificationToken} req
+ * @param {*} res
+ * @route PATCH /auth/verifyemail/:verificationToken
+ * @access Public
+ */
+const verifyEmail = async (req, res) => {
+  const { verificationToken } = req.params;
+
+  const verification = verifyEmailVerificationToken(verificationToken);
+
+  // The link only works for the email address it was sent to
+  const user = verification
+    ? await User.findOneAndUpdate(
+        { _id: verification._id, email: verification.email },
+        { emailVerified: true },
+        { new: true }
+      ).exec()
+    : null;
+
+  if (!user) {
+    return res
+      .status(StatusCodes.BAD_REQUEST)
+      .json({ message: "Invalid token or token has expired!" });
+  }
+
+  res
+    .status(StatusCodes.OK)
+    .json({ message: "Your email address has been verified!" });
+};
+
+/**
+ * @description Send a new email verification link
+ * @param {email} req
+ * @param {*} res
+ * @route POST /auth/verifyemail
+ * @access Public
+ */
+const resendVerificationEmail = async (req, res) => {
+  const { email } = req.body;
+
+  // Check for required data
+  if (!email) {
+    return res
+      .status(StatusCodes.BAD_REQUEST)
+      .json({ message: "Missing required data!" });
+  }
+
+  const user = await User.findOne({ email }).exec();
+
+  // Don't reveal whether the email address belongs to an account
+  if (user && !user.emailVerified) {
+    sendVerificationEmail(user);
+  }
+
+  res.status(StatusCodes.OK).json({
+    message:
+      "If this email address needs to be verified, a new verification link has been sent!",
+  });
+};
+
+/**
+ * @description Accept an invitation by setting a password with the token from the invitation link
+ * @param {invitationToken, password} req
+ * @param {*} res
+ * @route PATCH /auth/acceptinvitation/:invitationToken
+ * @access Public
+ */
+const acceptInvitation = async (req, res) => {
+  const { invitationToken } = req.params;
+  const { password } = req.body;
+
+  if (!invitationToken || !password) {
+    return res
+      .status(StatusCodes.BAD_REQUEST)
+      .json({ message: "Missing required data!" });
+  }
+
+  // Invitations sent before this date have expired
+  const expiresBefore = new Date();
+  expiresBefore.setHours(
+    expiresBefore.getHours() - INVITATION_EXPIRES_IN_HOURS
+  );
+
+  // Only the hash of the invitation token is stored
+  const hashedToken = hashToken(invitationToken);
+
+  const invitedUser = await User.findOne({
+    invitationToken: hashedToken,
+    invitationSentAt: { $gt: expiresBefore },
+  })
+    .lean()
+    .exec();
+
+  if (!invitedUser) {
+    return res
+      .status(StatusCodes.BAD_REQUEST)
+      .json({ message: "Invalid token or token has expired!" });
+  }
+
+  // Check the password against the password policy
+  const passwordErrors = await validatePassword(password, invitedUser);
+
+  if (passwordErrors.length) {
+    return sendPasswordErrors(res, passwordErrors);
+  }
+
+  // Hash the new password with 10 salt rounds
+  const hashedPassword = await bcrypt.hash(password, 10);
+
+  // Clear the token in the same update that uses it, so the link can only be used once
+  // Opening the link proves that the user owns the email address
+  const user = await User.findOneAndUpdate(
+    { _id: invitedUser._id, invitationToken: hashedToken },
+    {
+      password: hashedPassword,
+      emailVerified: true,
+      invitationToken: null,
+      invitationSentAt: null,
+    },
+    { new: true }
+  ).exec();
+
+  if (!user) {
+    return res
+      .status(StatusCodes.BAD_REQUEST)
+      .json({ message: "Invalid token or token has expired!" });
+  }
+
+  res.status(StatusCodes.OK).json({
+    message: `Welcome to Meganote, ${user.fullname}! You can now log in with your new password!`,
+  });
+};
+
 /**
  * @description Send reset password email
  * @param {email} req
@@ -216,12 +705,14 @@ const resetPassword = async (req, res) => {
   const user = await User.findOne({
     passwordResetToken,
     passwordResetAt: { $lt: date },
-  }).exec();
+  })
+    .select("+passwordHistory")
+    .exec();
 
-  let resetDate = new Date(user.passwordResetAt);
   let isExpired = false;
 
   if (user) {
+    let resetDate = new Date(user.passwordResetAt);
     resetDate.setMinutes(resetDate.getMinutes() + 60);
     if (date > resetDate) {
       isExpired = true;
@@ -234,6 +725,17 @@ const resetPassword = async (req, res) => {
       .json({ message: "Invalid token or token has expired!" });
   }
 
+  // Check the password against the password policy and the user's previous passwords
+  const passwordErrors = await validatePassword(password, {
+    username: user.username,
+    email: user.email,
+    passwordHashes: getPasswordHashes(user),
+  });
+
+  if (passwordErrors.length) {
+    return sendPasswordErrors(res, passwordErrors);
+  }
+
   // Hash the new password with 10 salt rounds
   const hashedPassword = await bcrypt.hash(password, 10);
 
@@ -241,6 +743,7 @@ const resetPassword = async (req, res) => {
     { _id: user._id },
     {
       password: hashedPassword,
+      passwordHistory: nextPasswordHistory(user),
       passwordResetToken: null,
       passwordResetAt: null,
     },
@@ -253,6 +756,14 @@ const resetPassword = async (req, res) => {
 module.exports = {
   register,
   login,
+  verifyTwoFactor,
+  oidcLogin,
+  oidcCallback,
+  refresh,
+  logout,
+  verifyEmail,
+  resendVerificationEmail,
+  acceptInvitation,
   forgotPassword,
   resetPassword,
 };
@@ -0,0 +1,219 @@
+const mongoose = require("mongoose");
+const Note = require("../models/Note");
+const User = require("../models/User");
+const { StatusCodes } = require("http-status-codes");
+const { forbidden } = require("../middleware/authorize");
+const { getActor, canEditNote } = require("../utils/policy");
+const { getSnapshot, recordRevision } = require("../utils/noteRevisions");
+const { findViewableNote } = require("../utils/notes");
+const { buildNoteFilter } = require("../utils/noteFilters");
+const { getWorkflow } = require("../utils/workflow");
+const {
+  withWipLimits,
+  getStatusMoveError,
+  rankUnrankedNotes,
+} = require("../utils/board");
+const { rankBetween, rankAfter } = require("../utils/ranks");
+const { NOTE_EVENTS, publishNoteEvent } = require("../utils/noteEvents");
+
+/**
+ * @description This file contains the controllers for the note board, where every status of the workflow is a column
+ * @author [Hoang Le Chau](https://github.com/hoanglechau)
+ */
+
+// The number of notes that are returned for each column by default, and at most
+const DEFAULT_COLUMN_LIMIT = 100;
+const MAX_COLUMN_LIMIT = 500;
+
+/**
+ * @description Get the board: the notes that the logged-in user can see, grouped by status in the order of the workflow, and in their saved order in each column
+ * @param {limit, ...filter} req limit is the number of notes in each column. The filters are the same as GET /notes
+ * @param {*} res
+ * @route GET /notes/board
+ * @access Private
+ */
+const getBoard = async (req, res) => {
+  const { limit, ...filter } = req.query;
+  const columnLimit = Math.min(
+    parseInt(limit) || DEFAULT_COLUMN_LIMIT,
+    MAX_COLUMN_LIMIT
+  );
+
+  const { filterCriteria, error } = await buildNoteFilter(
+    getActor(req),
+    filter
+  );
+  if (error) {
+    return res.status(StatusCodes.BAD_REQUEST).json({ message: error });
+  }
+
+  const workflow = await getWorkflow();
+  const assignees = new Map();
+  const columns = [];
+
+  for (const { name, terminal, wipLimit = null } of workflow.statuses) {
+    await rankUnrankedNotes(name);
+
+    const columnFilter = { $and: [...filterCriteria.$and, { status: name }] };
+    const count = await Note.countDocuments(columnFilter);
+    const notes = await Note.find(columnFilter)
+      .populate("labels", "name color")
+      .sort({ boardRank: 1, _id: 1 })
+      .limit(columnLimit)
+      .lean()
+      .exec();
+
+    // Add the assignee's full name to each note
+    for (const note of notes) {
+      const userId = note.user.toString();
+      if (!assignees.has(userId)) {
+        assignees.set(
+          userId,
+          await User.findById(userId).select("fullname").lean().exec()
+        );
+      }
+      // The assignee may have been deleted since the note was assigned
+      note.username = assignees.get(userId)?.fullname || "Unassigned";
+    }
+
+    columns.push({
+      status: name,
+      terminal: !!terminal,
+      wipLimit,
+      // The WIP limit counts every note in the column, not only the ones the user can see
+      ...(wipLimit && {
+        wipCount: await Note.countDocuments({ status: name }),
+      }),
+      count,
+      notes,
+    });
+  }
+
+  res.status(StatusCodes.OK).json({ columns });
+};
+
+/**
+ * @description Move a note to a place on the board. The column and the place are changed in one step, and no other note is changed
+ * @param {id, status, after} req after is the id of the note to place it after in the column, or empty to place it at the top
+ * @param {*} res
+ * @route POST /notes/:id/move
+ * @access Private - for users who can edit the note
+ */
+const moveNote = async (req, res) => {
+  const { status, after } = req.body;
+
+  // Check for required data
+  if (!status) {
+    return res
+      .status(StatusCodes.BAD_REQUEST)
+      .json({ message: "Missing required data!" });
+  }
+
+  const found = await findViewableNote(req, res);
+  if (!found) return;
+
+  const { note, owner } = found;
+
+  if (!canEditNote(getActor(req), owner)) {
+    return forbidden(res);
+  }
+
+  // Check if the workflow allows the logged-in user to make this status change, and if the new column has room
+  const workflow = await getWorkflow();
+  const statusError = await getStatusMoveError(
+    workflow,
+    note.status,
+    status,
+    req.role,
+    { noteId: note._id, blockedBy: note.blockedBy }
+  );
+
+  if (statusError) {
+    return res
+      .status(statusError.statusCode)
+      .json({ message: statusError.message });
+  }
+
+  await rankUnrankedNotes(status);
+
+  // Find the rank of the note to place it after, and of the next note in the column
+  let previousRank = "";
+  if (after) {
+    if (!mongoose.isValidObjectId(after) || note._id.equals(after)) {
+      return res
+        .status(StatusCodes.BAD_REQUEST)
+        .json({ message: "A note can't be placed after itself!" });
+    }
+
+    const previous = await Note.findOne({ _id: after, status })
+      .select("boardRank")
+      .lean()
+      .exec();
+
+    if (!previous) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        message: `The note to place it after must be in the "${status}" column!`,
+      });
+    }
+    previousRank = previous.boardRank || "";
+  }
+
+  // Notes with the same rank, from two moves at the same time, are skipped, so the new rank is always between two different ranks
+  const next = await Note.findOne({
+    status,
+    _id: { $ne: note._id },
+    boardRank: { $gt: previousRank },
+  })
+    .sort({ boardRank: 1 })
+    .select("boardRank")
+    .lean()
+    .exec();
+
+  const boardRank = next
+    ? rankBetween(previousRank, next.boardRank)
+    : rankAfter(previousRank);
+
+  // Only move the note if nobody has changed its status in the meantime, and if the new column still has room
+  const previousSnapshot = getSnapshot(note);
+  const moved = await withWipLimits(
+    workflow,
+    note.status !== status ? { [status]: 1 } : {},
+    () =>
+      Note.findOneAndUpdate(
+        { _id: note._id, status: note.status },
+        // Moving a note is a change, so clients with the old version can see that it has moved
+        { status, boardRank, $inc: { __v: 1 } },
+        { new: true }
+      ).exec()
+  );
+
+  if (moved.error) {
+    return res
+      .status(moved.error.statusCode)
+      .json({ message: moved.error.message });
+  }
+
+  const movedNote = moved.result;
+
+  if (!movedNote) {
+    return res.status(StatusCodes.CONFLICT).json({
+      message: "This note has just been changed, please try again!",
+    });
+  }
+
+  // Moving a note in its column isn't a change of the note, so only a new status is recorded
+  await recordRevision(movedNote, previousSnapshot, req.userId, "update");
+  await publishNoteEvent(NOTE_EVENTS.updated, movedNote);
+
+  res.status(StatusCodes.OK).json({
+    note: {
+      _id: movedNote._id,
+      ticket: movedNote.ticket,
+      status: movedNote.status,
+      boardRank: movedNote.boardRank,
+    },
+    message: `Note #${movedNote.ticket} moved successfully!`,
+  });
+};
+
+module.exports = { getBoard, moveNote };
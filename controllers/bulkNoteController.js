@@ -0,0 +1,289 @@
+const mongoose = require("mongoose");
+const Note = require("../models/Note");
+const User = require("../models/User");
+const { StatusCodes } = require("http-status-codes");
+const sendMail = require("../utils/sendMail");
+const { forbidden } = require("../middleware/authorize");
+const {
+  getActor,
+  canEditNote,
+  canDeleteNote,
+  canAssignNote,
+  isSameUser,
+  findNoteOwner,
+} = require("../utils/policy");
+const {
+  getSnapshot,
+  diffSnapshots,
+  recordRevision,
+} = require("../utils/noteRevisions");
+const {
+  softDeleteNote,
+  parseLabelIds,
+  getLabelsError,
+} = require("../utils/notes");
+const { getWorkflow } = require("../utils/workflow");
+const {
+  withWipLimits,
+  getStatusMoveError,
+  rankAtEndOfColumn,
+} = require("../utils/board");
+const { NOTE_EVENTS, publishNoteEvent } = require("../utils/noteEvents");
+
+/**
+ * @description This file contains the controller for applying one action to many notes at once
+ * @author [Hoang Le Chau](https://github.com/hoanglechau)
+ */
+
+const BULK_ACTIONS = [
+  "status",
+  "reassign",
+  "addLabels",
+  "removeLabels",
+  "delete",
+];
+
+// Keeps a single request from touching too many notes
+const MAX_BULK_NOTES = 100;
+
+/**
+ * @description Check the action and its data, and load what every note needs for it
+ * @param {*} req
+ * @returns The error to send, or the context of the action
+ */
+const prepareBulkAction = async req => {
+  const { action, status, user, labels } = req.body;
+
+  switch (action) {
+    case "status": {
+      if (!status) return { error: "Missing required data!" };
+      return { workflow: await getWorkflow() };
+    }
+    case "reassign": {
+      if (!user || !mongoose.isValidObjectId(user)) {
+        return { error: "Missing required data!" };
+      }
+      const assignee = await User.findById(user).lean().exec();
+      if (!assignee) return { error: "User not found!" };
+      if (!canAssignNote(getActor(req), assignee)) return { forbidden: true };
+      return { assignee };
+    }
+    case "addLabels":
+    case "removeLabels": {
+      if (!Array.isArray(labels) || !labels.length) {
+        return { error: "Missing required data!" };
+      }
+      const labelsError = await getLabelsError(labels);
+      if (labelsError) return { error: labelsError };
+      return { labelIds: parseLabelIds(labels) };
+    }
+    default:
+      return {};
+  }
+};
+
+/**
+ * @description Apply the action to one note
+ * @param {*} note
+ * @param {*} owner The note's assignee
+ * @param {*} req
+ * @param {*} context The context from prepareBulkAction
+ * @returns The result for the note, and the description of the change for the notification emails. The change is null if the note already was as the action asks
+ */
+const applyBulkAction = async (note, owner, req, context) => {
+  const { action, status } = req.body;
+  const actor = getActor(req);
+
+  if (action === "delete") {
+    if (!canDeleteNote(actor, owner)) {
+      return { error: "You don't have permission to delete this note!" };
+    }
+    await softDeleteNote(note._id);
+    await publishNoteEvent(NOTE_EVENTS.deleted, note);
+    return { change: "deleted" };
+  }
+
+  if (!canEditNote(actor, owner)) {
+    return { error: "You don't have permission to edit this note!" };
+  }
+
+  const previous = getSnapshot(note);
+  let change;
+  // The number of notes that the change adds to each board column
+  let additions = {};
+
+  switch (action) {
+    case "status": {
+      const statusError = await getStatusMoveError(
+        context.workflow,
+        note.status,
+        status,
+        req.role,
+        { noteId: note._id, blockedBy: note.blockedBy }
+      );
+      if (statusError) return { error: statusError.message };
+      note.status = status;
+      // Like a single update, the note goes to the end of its new board column
+      if (note.isModified("status")) {
+        note.boardRank = await rankAtEndOfColumn(status, note._id);
+        additions = { [status]: 1 };
+      }
+      change = `status changed to "${status}"`;
+      break;
+    }
+    case "reassign":
+      note.user = context.assignee._id;
+      change = `reassigned to ${context.assignee.fullname}`;
+      break;
+    case "addLabels":
+      note.labels = parseLabelIds([...note.labels, ...context.labelIds]);
+      change = "labels added";
+      break;
+    case "removeLabels":
+      note.labels = note.labels.filter(
+        label => !context.labelIds.includes(label.toString())
+      );
+      change = "labels removed";
+      break;
+  }
+
+  // Notes that already are as the action asks aren't saved, and get no revision, event, or email
+  if (!diffSnapshots(previous, getSnapshot(note)).length) {
+    return { change: null };
+  }
+
+  // The save fails if someone else has saved the note since it was loaded here, or if the new board column has filled up in the meantime
+  let saved;
+  try {
+    saved = await withWipLimits(context.workflow, additions, () => note.save());
+  } catch (err) {
+    if (!(err instanceof mongoose.Error.VersionError)) throw err;
+    return { error: "This note has just been changed, please try again!" };
+  }
+  if (saved.error) return { error: saved.error.message };
+
+  const updatedNote = saved.result;
+  await recordRevision(updatedNote, previous, req.userId, "update");
+  await publishNoteEvent(NOTE_EVENTS.updated, updatedNote, {
+    previousOwner: owner,
+  });
+
+  return { change };
+};
+
+/**
+ * @description Send every affected user one email that lists all of their notes that changed
+ * @param {*} changesByUser A map from user id to the user and the list of changes
+ */
+const sendBulkNotifications = changesByUser => {
+  changesByUser.forEach(({ user, changes }) => {
+    const list = changes
+      .map(
+        ({ note, change }) =>
+          `- Note #${note.ticket} "${note.title}": ${change}`
+      )
+      .join("\n");
+    const message = `Hi ${user.username}! ${changes.length} of your notes on Meganote have been updated:\n\n${list}`;
+    sendMail(user.email, "Meganote - Notes Updated", message);
+  });
+};
+
+/**
+ * @description Apply one action to many notes. Permissions are checked for every note, and the result is reported per note
+ * @param {ids, action, status, user, labels} req action is one of status, reassign, addLabels, removeLabels, or delete
+ * @param {*} res
+ * @route POST /notes/bulk
+ * @access Private
+ */
+const bulkUpdateNotes = async (req, res) => {
+  const { ids, action } = req.body;
+
+  // Check for required data
+  if (!Array.isArray(ids) || !ids.length || !BULK_ACTIONS.includes(action)) {
+    return res.status(StatusCodes.BAD_REQUEST).json({
+      message: `Missing required data! The action must be one of: ${BULK_ACTIONS.join(
+        ", "
+      )}`,
+    });
+  }
+
+  const noteIds = [...new Set(ids.map(String))];
+
+  if (noteIds.length > MAX_BULK_NOTES) {
+    return res.status(StatusCodes.BAD_REQUEST).json({
+      message: `At most ${MAX_BULK_NOTES} notes can be changed at once!`,
+    });
+  }
+
+  const context = await prepareBulkAction(req);
+
+  if (context.forbidden) return forbidden(res);
+  if (context.error) {
+    return res.status(StatusCodes.BAD_REQUEST).json({ message: context.error });
+  }
+
+  const results = [];
+  const changesByUser = new Map();
+
+  // Collect the change for a user's notification email
+  // Deleted users don't get emails
+  const addChange = (user, note, change) => {
+    if (!user || user.isDeleted) return;
+    const key = user._id.toString();
+    if (!changesByUser.has(key)) changesByUser.set(key, { user, changes: [] });
+    changesByUser.get(key).changes.push({ note, change });
+  };
+
+  // The notes are changed one after the other, so a failure only affects its own note
+  for (const id of noteIds) {
+    const note = mongoose.isValidObjectId(id)
+      ? await Note.findById(id).exec()
+      : null;
+
+    if (!note) {
+      results.push({ id, success: false, message: "Note not found!" });
+      continue;
+    }
+
+    const owner = await findNoteOwner(note.user);
+    const { error, change } = await applyBulkAction(note, owner, req, context);
+
+    if (error) {
+      results.push({ id, ticket: note.ticket, success: false, message: error });
+      continue;
+    }
+
+    if (!change) {
+      results.push({
+        id,
+        ticket: note.ticket,
+        success: true,
+        message: "Nothing to change!",
+      });
+      continue;
+    }
+
+    results.push({ id, ticket: note.ticket, success: true });
+    addChange(owner, note, change);
+    // The new assignee hears about the note too, unless they already had it
+    if (
+      action === "reassign" &&
+      !isSameUser(owner?._id, context.assignee._id)
+    ) {
+      addChange(context.assignee, note, change);
+    }
+  }
+
+  sendBulkNotifications(changesByUser);
+
+  const succeeded = results.filter(result => result.success).length;
+
+  res.status(StatusCodes.OK).json({
+    results,
+    succeeded,
+    failed: results.length - succeeded,
+    message: `${succeeded} of ${results.length} note(s) updated successfully!`,
+  });
+};
+
+module.exports = { bulkUpdateNotes };
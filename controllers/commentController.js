@@ -0,0 +1,168 @@
+const Comment = require("../models/Comment");
+const { StatusCodes } = require("http-status-codes");
+const { forbidden } = require("../middleware/authorize");
+const { getActor, canEditComment, isSameUser } = require("../utils/policy");
+const { findViewableNote } = require("../utils/notes");
+const { resolveMentions, notifyMentionedUsers } = require("../utils/mentions");
+
+/**
+ * @description This file contains the controllers for the comment endpoints of a note
+ * @author [Hoang Le Chau](https://github.com/hoanglechau)
+ */
+
+/**
+ * @description Get the comments of a note, oldest first
+ * @param {id} req
+ * @param {*} res
+ * @route GET /notes/:id/comments
+ * @access Private
+ */
+const getComments = async (req, res) => {
+  const found = await findViewableNote(req, res);
+  if (!found) return;
+
+  const comments = await Comment.find({ note: found.note._id })
+    .sort({ createdAt: 1 })
+    .populate("author", "username fullname avatarUrl")
+    .populate("mentions", "username fullname")
+    .lean()
+    .exec();
+
+  res.status(StatusCodes.OK).json({ comments });
+};
+
+/**
+ * @description Add a comment to a note and email the users that are mentioned in it
+ * @param {id, text} req
+ * @param {*} res
+ * @route POST /notes/:id/comments
+ * @access Private
+ */
+const createComment = async (req, res) => {
+  const { text } = req.body;
+
+  // Check for required data
+  if (typeof text !== "string" || !text.trim()) {
+    return res
+      .status(StatusCodes.BAD_REQUEST)
+      .json({ message: "Missing required data!" });
+  }
+
+  const found = await findViewableNote(req, res);
+  if (!found) return;
+
+  const mentionedUsers = await resolveMentions(text);
+
+  const comment = await Comment.create({
+    note: found.note._id,
+    author: req.userId,
+    text,
+    mentions: mentionedUsers.map(user => user._id),
+  });
+
+  if (!comment) {
+    return res
+      .status(StatusCodes.BAD_REQUEST)
+      .json({ message: "Invalid comment data received!" });
+  }
+
+  notifyMentionedUsers(mentionedUsers, {
+    ...found,
+    author: getActor(req),
+    text,
+  });
+
+  res
+    .status(StatusCodes.CREATED)
+    .json({ comment, message: "Comment added successfully!" });
+};
+
+/**
+ * @description Find a comment of a note that the logged-in user may see, and check if they may edit it
+ * @param {*} req
+ * @param {*} res
+ * @returns The note, its assignee and the comment, or null if a response has already been sent
+ */
+const findEditableComment = async (req, res) => {
+  const found = await findViewableNote(req, res);
+  if (!found) return null;
+
+  const comment = await Comment.findOne({
+    _id: req.params.commentId,
+    note: found.note._id,
+  }).exec();
+
+  if (!comment) {
+    res.status(StatusCodes.BAD_REQUEST).json({ message: "Comment not found!" });
+    return null;
+  }
+
+  if (!canEditComment(getActor(req), comment)) {
+    forbidden(res);
+    return null;
+  }
+
+  return { ...found, comment };
+};
+
+/**
+ * @description Edit a comment. Only users who weren't mentioned before get an email
+ * @param {id, commentId, text} req
+ * @param {*} res
+ * @route PATCH /notes/:id/comments/:commentId
+ * @access Private - for the author of the comment and admins
+ */
+const updateComment = async (req, res) => {
+  const { text } = req.body;
+
+  // Check for required data
+  if (typeof text !== "string" || !text.trim()) {
+    return res
+      .status(StatusCodes.BAD_REQUEST)
+      .json({ message: "Missing required data!" });
+  }
+
+  const found = await findEditableComment(req, res);
+  if (!found) return;
+
+  const { comment } = found;
+  const mentionedUsers = await resolveMentions(text);
+  const newlyMentionedUsers = mentionedUsers.filter(
+    user => !comment.mentions.some(id => isSameUser(id, user._id))
+  );
+
+  comment.text = text;
+  comment.mentions = mentionedUsers.map(user => user._id);
+  comment.editedAt = new Date();
+
+  const updatedComment = await comment.save();
+
+  notifyMentionedUsers(newlyMentionedUsers, {
+    ...found,
+    author: getActor(req),
+    text,
+  });
+
+  res.status(StatusCodes.OK).json({
+    updatedComment,
+    message: "Comment updated successfully!",
+  });
+};
+
+/**
+ * @description Delete a comment
+ * @param {id, commentId} req
+ * @param {*} res
+ * @route DELETE /notes/:id/comments/:commentId
+ * @access Private - for the author of the comment and admins
+ */
+const deleteComment = async (req, res) => {
+  const found = await findEditableComment(req, res);
+  if (!found) return;
+
+  await Comment.deleteOne({ _id: found.comment._id }).exec();
+
+  res.status(StatusCodes.OK).json({ message: "Comment has been deleted!" });
+};
+
+module.exports = { getComments, createComment, updateComment, deleteComment };
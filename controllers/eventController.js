@@ -0,0 +1,133 @@
+const { StatusCodes } = require("http-status-codes");
+const noteEvents = require("../config/noteEvents");
+const { logEvents } = require("../middleware/logger");
+const { getActor } = require("../utils/policy");
+const { createEventTicket } = require("../utils/tokens");
+const { getVisibleEvent } = require("../utils/noteEvents");
+
+/**
+ * @description This file contains the controller for the real-time note event stream (Server-Sent Events)
+ * @author [Hoang Le Chau](https://github.com/hoanglechau)
+ */
+
+// A comment is sent this often, so proxies don't close an idle stream
+const HEARTBEAT_INTERVAL = 25 * 1000; // 25 seconds
+// How long clients wait before they reconnect
+const RETRY_DELAY = 3000; // 3 seconds
+// The longest delay that setTimeout supports
+const MAX_TIMER_DELAY = 2 ** 31 - 1;
+
+/**
+ * @description Create a short-lived ticket for opening the note event stream with EventSource, which can't send the Authorization header
+ * @param {*} req
+ * @param {*} res
+ * @route POST /notes/events/ticket
+ * @access Private
+ */
+const createNoteEventsTicket = async (req, res) => {
+  const ticket = createEventTicket({
+    username: req.user,
+    role: req.role,
+    _id: req.userId,
+    sessionId: req.sessionId,
+    scopes: req.scopes,
+    // The stream still ends when the access token that asked for the ticket expires
+    tokenExpiresAt: req.tokenExpiresAt,
+  });
+
+  res.status(StatusCodes.CREATED).json({ ticket });
+};
+
+/**
+ * @description Stream the note events that the logged-in user may see: note.created, note.updated, and note.deleted
+ * After a reconnect, the events since the Last-Event-ID header (or the lastEventId query) are sent first. If they aren't kept anymore, a resync event tells the client to reload its notes
+ * The stream is closed with a token.expired event when the access token expires, so the client reconnects with a new one
+ * @param {lastEventId, ticket} req
+ * @param {*} res
+ * @route GET /notes/events
+ * @access Private
+ */
+const streamNoteEvents = async (req, res) => {
+  const actor = getActor(req);
+  const lastEventId = parseInt(
+    req.get("Last-Event-ID") || req.query.lastEventId
+  );
+
+  res.status(StatusCodes.OK).set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    // Stop nginx from buffering the stream
+    "X-Accel-Buffering": "no",
+  });
+  res.flushHeaders();
+  res.write(`retry: ${RETRY_DELAY}\n\n`);
+
+  let lastSentId = Number.isNaN(lastEventId) ? 0 : lastEventId;
+  const send = event => {
+    // Events can arrive both in the replay and live, only send them once
+    if (event.id <= lastSentId) return;
+    lastSentId = event.id;
+
+    const visibleEvent = getVisibleEvent(actor, event);
+    if (visibleEvent) {
+      res.write(
+        `id: ${event.id}\nevent: ${visibleEvent.type}\ndata: ${JSON.stringify(
+          visibleEvent
+        )}\n\n`
+      );
+    }
+  };
+
+  // Subscribe before the replay, and hold the live events until the replay has been sent, so no event is lost in between
+  let pending = [];
+  const unsubscribe = noteEvents.subscribe(event =>
+    pending ? pending.push(event) : send(event)
+  );
+
+  let heartbeat;
+  let expiryTimer;
+  res.on("close", () => {
+    unsubscribe();
+    clearInterval(heartbeat);
+    clearTimeout(expiryTimer);
+  });
+
+  if (!Number.isNaN(lastEventId)) {
+    // The headers have already been sent, so errors can't go to the error handler. The stream is closed instead, and the client reconnects
+    let missedEvents;
+    try {
+      missedEvents = await noteEvents.getEventsSince(lastEventId);
+    } catch (err) {
+      logEvents(
+        `Note events since ${lastEventId} couldn't be replayed: ${err.message}`,
+        "errLog.log"
+      );
+      return res.end();
+    }
+
+    if (missedEvents) {
+      missedEvents.forEach(send);
+    } else {
+      res.write(`event: resync\ndata: {}\n\n`);
+    }
+  }
+
+  pending.forEach(send);
+  pending = null;
+
+  heartbeat = setInterval(
+    () => res.write(": heartbeat\n\n"),
+    HEARTBEAT_INTERVAL
+  );
+
+  const tokenExpiry = req.tokenExpiresAt;
+  if (tokenExpiry) {
+    expiryTimer = setTimeout(() => {
+      res.write(`event: token.expired\ndata: {}\n\n`);
+      res.end();
+    }, Math.min(Math.max(tokenExpiry - Date.now(), 0), MAX_TIMER_DELAY));
+  }
+};
+
+module.exports = { createNoteEventsTicket, streamNoteEvents };
@@ -0,0 +1,205 @@
+const Label = require("../models/Label");
+const Note = require("../models/Note");
+const { StatusCodes } = require("http-status-codes");
+const { getActor, noteVisibilityFilter } = require("../utils/policy");
+
+/**
+ * @description This file contains the controllers for the label endpoints
+ * @author [Hoang Le Chau](https://github.com/hoanglechau)
+ */
+
+// Labels have a hex colour like #1e90ff
+const COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+
+/**
+ * @description Check the name and colour of a label, and that no other label has the same name
+ * @param {*} name
+ * @param {*} color
+ * @param {*} id The id of the label that is being updated, if any
+ * @returns The HTTP status code and the message to send, or null if they're valid
+ */
+const getLabelError = async (name, color, id) => {
+  if (typeof name !== "string" || !name.trim() || !color) {
+    return {
+      statusCode: StatusCodes.BAD_REQUEST,
+      message: "Missing required data!",
+    };
+  }
+
+  if (!COLOR_PATTERN.test(color)) {
+    return {
+      statusCode: StatusCodes.BAD_REQUEST,
+      message: "Colour must be a hex colour like #1e90ff!",
+    };
+  }
+
+  // Collation is used to make the search case insensitive
+  const existingLabel = await Label.findOne({ name: name.trim() })
+    .collation({ locale: "en", strength: 2 })
+    .lean()
+    .exec();
+
+  if (existingLabel && existingLabel._id.toString() !== id) {
+    return {
+      statusCode: StatusCodes.CONFLICT,
+      message: "This label name has already been used!",
+    };
+  }
+
+  return null;
+};
+
+/**
+ * @description Get all labels, sorted by name
+ * @param {*} req
+ * @param {*} res
+ * @route GET /labels
+ * @access Private
+ */
+const getLabels = async (req, res) => {
+  const labels = await Label.find()
+    .collation({ locale: "en", strength: 2 })
+    .sort({ name: 1 })
+    .lean()
+    .exec();
+
+  res.status(StatusCodes.OK).json({ labels });
+};
+
+/**
+ * @description Get the number of notes that have each label. Only the notes that the logged-in user may see are counted
+ * @param {*} req
+ * @param {*} res
+ * @route GET /labels/usage
+ * @access Private
+ */
+const getLabelUsage = async (req, res) => {
+  const visibilityFilter = await noteVisibilityFilter(getActor(req));
+  const labels = await Label.find()
+    .collation({ locale: "en", strength: 2 })
+    .sort({ name: 1 })
+    .lean()
+    .exec();
+
+  // Count the notes of every label in one query. Aggregations don't cast, so the ids in the filter are cast by a query first
+  const counts = await Note.aggregate([
+    { $match: Note.find(visibilityFilter).cast(Note) },
+    { $unwind: "$labels" },
+    { $group: { _id: "$labels", count: { $sum: 1 } } },
+  ]);
+  const countsByLabel = new Map(
+    counts.map(({ _id, count }) => [_id.toString(), count])
+  );
+
+  const usage = labels.map(label => ({
+    ...label,
+    count: countsByLabel.get(label._id.toString()) || 0,
+  }));
+
+  res.status(StatusCodes.OK).json({ labels: usage });
+};
+
+/**
+ * @description Create a new label
+ * @param {name, color} req
+ * @param {*} res
+ * @route POST /labels
+ * @access Admin, Manager
+ */
+const createLabel = async (req, res) => {
+  const { name, color } = req.body;
+
+  const labelError = await getLabelError(name, color);
+
+  if (labelError) {
+    return res
+      .status(labelError.statusCode)
+      .json({ message: labelError.message });
+  }
+
+  const label = await Label.create({ name: name.trim(), color });
+
+  res.status(StatusCodes.CREATED).json({
+    label,
+    message: `New label "${label.name}" created successfully!`,
+  });
+};
+
+/**
+ * @description Update the name or colour of a label
+ * @param {id, name, color} req
+ * @param {*} res
+ * @route PATCH /labels/:id
+ * @access Admin, Manager
+ */
+const updateLabel = async (req, res) => {
+  const { id } = req.params;
+
+  const label = await Label.findById(id).exec();
+
+  if (!label) {
+    return res
+      .status(StatusCodes.BAD_REQUEST)
+      .json({ message: "Label not found!" });
+  }
+
+  const name = req.body.name ?? label.name;
+  const color = req.body.color ?? label.color;
+
+  const labelError = await getLabelError(name, color, id);
+
+  if (labelError) {
+    return res
+      .status(labelError.statusCode)
+      .json({ message: labelError.message });
+  }
+
+  label.name = name.trim();
+  label.color = color;
+
+  const updatedLabel = await label.save();
+
+  res.status(StatusCodes.OK).json({
+    updatedLabel,
+    message: `Label "${updatedLabel.name}" updated successfully!`,
+  });
+};
+
+/**
+ * @description Delete a label and remove it from every note, including the notes in the trash
+ * @param {id} req
+ * @param {*} res
+ * @route DELETE /labels/:id
+ * @access Admin, Manager
+ */
+const deleteLabel = async (req, res) => {
+  const label = await Label.findById(req.params.id).lean().exec();
+
+  if (!label) {
+    return res
+      .status(StatusCodes.BAD_REQUEST)
+      .json({ message: "Label not found!" });
+  }
+
+  const { modifiedCount } = await Note.updateMany(
+    { labels: label._id },
+    // Bump the version, so clients with the old version can see that the labels have changed
+    { $pull: { labels: label._id }, $inc: { __v: 1 } }
+  )
+    .withDeleted()
+    .exec();
+
+  await Label.deleteOne({ _id: label._id }).exec();
+
+  res.status(StatusCodes.OK).json({
+    message: `Label "${label.name}" has been deleted and removed from ${modifiedCount} note(s)!`,
+  });
+};
+
+module.exports = {
+  getLabels,
+  getLabelUsage,
+  createLabel,
+  updateLabel,
+  deleteLabel,
+};
@@ -1,7 +1,58 @@
+const mongoose = require("mongoose");
 const Note = require("../models/Note");
+const Label = require("../models/Label");
+const NoteRevision = require("../models/NoteRevision");
 const User = require("../models/User");
 const { StatusCodes } = require("http-status-codes");
 const sendMail = require("../utils/sendMail");
+const { forbidden } = require("../middleware/authorize");
+const {
+  getActor,
+  canViewNote,
+  canEditNote,
+  canDeleteNote,
+  canAssignNote,
+  findNoteOwner,
+  noteVisibilityFilter,
+} = require("../utils/policy");
+const {
+  getSnapshot,
+  diffSnapshots,
+  recordRevision,
+} = require("../utils/noteRevisions");
+const {
+  findViewableNote,
+  softDeleteNote,
+  getCommentCounts,
+  getScheduleError,
+  parseDueAt,
+  parseLabelIds,
+  getLabelsError,
+} = require("../utils/notes");
+const {
+  parseSearchTerm,
+  searchNotes,
+  getHighlights,
+} = require("../utils/search");
+const { getWorkflow } = require("../utils/workflow");
+const {
+  withWipLimits,
+  getStatusMoveError,
+  rankAtEndOfColumn,
+} = require("../utils/board");
+const {
+  parseBlockedBy,
+  getRelationsError,
+  getNoteRelations,
+} = require("../utils/noteRelations");
+const { parseNoteSort, buildNoteFilter } = require("../utils/noteFilters");
+const { NOTE_EVENTS, publishNoteEvent } = require("../utils/noteEvents");
+const {
+  setVersionETag,
+  getExpectedVersion,
+  isStaleVersion,
+  sendStaleVersion,
+} = require("../utils/versions");
 
 /**
  * @description This file contains the routes for the note endpoints
@@ -16,8 +67,9 @@ const sendMail = require("../utils/sendMail");
  * @access Private
  */
 const getAllNotes = async (req, res) => {
-  // Get all notes from MongoDB
-  const notes = await Note.find().lean();
+  // Get all notes that the logged-in user is allowed to see from MongoDB
+  const visibilityFilter = await noteVisibilityFilter(getActor(req));
+  const notes = await Note.find(visibilityFilter).lean();
 
   // If no notes exists in the database
   if (!notes?.length) {
@@ -28,7 +80,8 @@ const getAllNotes = async (req, res) => {
   const notesWithUser = await Promise.all(
     notes.map(async note => {
       const user = await User.findById(note.user).lean().exec();
-      return { ...note, username: user.username };
+      // The assignee may have been deleted since the note was assigned
+      return { ...note, username: user ? user.username : "Unassigned" };
     })
   );
 
@@ -36,66 +89,79 @@ const getAllNotes = async (req, res) => {
 };
 
 /**
- * @description Get notes with search query, filter, and paginations
- * @param {page, limit, ...filter} req
+ * @description Get notes with search query, filter, sorting, and paginations
+ * @param {page, limit, sort, order, ...filter} req
  * @param {*} res
  * @route GET /notes
  * @access Private
  */
 const getNotes = async (req, res) => {
-  let { page, limit, ...filter } = { ...req.query };
+  let { page, limit, sort, order, ...filter } = { ...req.query };
   page = parseInt(page) || 1;
   limit = parseInt(limit) || 10;
 
-  // Not showing notes that have been soft deleted
-  const filterConditions = [{ isDeleted: false }];
-  // If there's a ticket number in the query, search for the ticket number
-  if (filter.ticket) {
-    filterConditions.push({
-      ticket: filter.ticket,
-    });
+  const sortResult = parseNoteSort({ sort, order });
+  if (sortResult.error) {
+    return res
+      .status(StatusCodes.BAD_REQUEST)
+      .json({ message: sortResult.error });
+  }
+  const { sortOrder } = sortResult;
+  sort = sortResult.sort;
+
+  const { filterCriteria, error } = await buildNoteFilter(
+    getActor(req),
+    filter
+  );
+  if (error) {
+    return res.status(StatusCodes.BAD_REQUEST).json({ message: error });
   }
-  // Else, first search for the notes by the fullnames of assignees
-  if (filter.term) {
-    const foundUsers = await User.find({
-      fullname: { $regex: filter.term, $options: "i" },
-    })
-      .lean()
-      .exec();
 
-    const foundUsersIds = foundUsers.map(user => user._id);
+  const offset = limit * (page - 1);
+  let count;
+  let notes;
+  let searchResults;
+  let parsedTerm;
 
-    // If there are users found, search for the notes by the users' ids
-    // Else, search for the notes by the title
-    if (foundUsers?.length) {
-      filterConditions.push({
-        user: { $in: foundUsersIds },
-      });
+  // If there's a search term, search the titles and texts of the notes and the full names of the assignees
+  // The results are ranked by relevance, unless the query asks for another sort order
+  if (filter.term) {
+    parsedTerm = parseSearchTerm(filter.term);
+    searchResults = await searchNotes(filterCriteria, parsedTerm);
+    count = searchResults.length;
+    const ids = searchResults.map(result => result._id);
+
+    if (req.query.sort) {
+      notes = await Note.find({ _id: { $in: ids } })
+        .populate("labels", "name color")
+        .sort({ [sort]: sortOrder, createdAt: -1 })
+        .skip(offset)
+        .limit(limit);
     } else {
-      filterConditions.push({
-        title: { $regex: filter.term, $options: "i" },
-      });
+      const pageIds = ids
+        .slice(offset, offset + limit)
+        .map(id => id.toString());
+      const pageNotes = await Note.find({ _id: { $in: pageIds } }).populate(
+        "labels",
+        "name color"
+      );
+      notes = pageIds
+        .map(id => pageNotes.find(note => note._id.toString() === id))
+        .filter(Boolean);
     }
+  } else {
+    count = await Note.countDocuments(filterCriteria);
+
+    // Notes with the same value are shown newest first
+    notes = await Note.find(filterCriteria)
+      .populate("labels", "name color")
+      .sort({ [sort]: sortOrder, createdAt: -1 })
+      .skip(offset)
+      .limit(limit);
   }
-  // If there's a status in the query, search for the note status
-  if (filter.status) {
-    filterConditions.push({
-      status: { $ne: filter.status },
-    });
-  }
-  const filterCriteria = filterConditions.length
-    ? { $and: filterConditions }
-    : {};
 
   // For table pagination
-  const count = await Note.countDocuments(filterCriteria);
   const totalPage = Math.ceil(count / limit);
-  const offset = limit * (page - 1);
-
-  let notes = await Note.find(filterCriteria)
-    .sort({ createdAt: -1 })
-    .skip(offset)
-    .limit(limit);
 
   if (!notes?.length) {
     return res
@@ -103,41 +169,30 @@ const getNotes = async (req, res) => {
       .json({ message: "No notes found!" });
   }
 
-  // Add the user's username and role to each note before sending the response
+  const commentCounts = await getCommentCounts(notes.map(note => note._id));
+
+  // Add the user's username and role, and the number of comments to each note before sending the response
   const notesWithUser = await Promise.all(
     notes.map(async note => {
-      const user = await User.findById(note.user);
-      if (user) {
-        return {
-          _id: note._id,
-          title: note.title,
-          text: note.text,
-          username: user.fullname,
-          role: user.role,
-          user: note.user,
-          status: note.status,
-          createdAt: note.createdAt,
-          updatedAt: note.updatedAt,
-          ticket: note.ticket,
-          __v: note.__v,
-        };
-      }
+      const user = await User.findById(note.user).lean().exec();
       return {
-        _id: note._id,
-        title: note.title,
-        text: note.text,
-        username: "Unassigned",
-        role: "",
-        user: note.user,
-        status: note.status,
-        createdAt: note.createdAt,
-        updatedAt: note.updatedAt,
-        ticket: note.ticket,
-        __v: note.__v,
+        ...noteWithUser(note, user),
+        commentCount: commentCounts.get(note._id.toString()) || 0,
       };
     })
   );
 
+  // Search results also have their relevance score and the highlighted matches
+  if (searchResults) {
+    const scores = new Map(
+      searchResults.map(result => [result._id.toString(), result.score])
+    );
+    notesWithUser.forEach(note => {
+      note.score = scores.get(note._id.toString());
+      note.highlights = getHighlights(note, parsedTerm);
+    });
+  }
+
   // Not using "return" because we're at the end of the function here
   return res
     .status(StatusCodes.OK)
@@ -145,75 +200,172 @@ const getNotes = async (req, res) => {
 };
 
 /**
- * @description Get a single note by its id
- * @param {id} req
- * @param {*} res
- * @route GET /notes/:id
- * @access Private
+ * @description Add the assignee's full name and role to a note before sending it
+ * @param {*} note A note with populated labels
+ * @param {*} user The assignee, or null if they have been purged. Deleted users are shown as unassigned too
+ * @returns
  */
-const getSingleNote = async (req, res) => {
-  const note = await Note.findById(req.params.id);
-  if (!note) {
-    return res
-      .status(StatusCodes.BAD_REQUEST)
-      .json({ message: `No note with id: ${req.params.id}` });
-  }
-
-  // Add username and user's role to each note before sending the response
-  const noteWithUser = async note => {
-    const user = await User.findById(note.user);
-    if (user) {
-      return {
-        _id: note._id,
-        title: note.title,
-        text: note.text,
-        username: user.fullname,
-        role: user.role,
-        user: note.user,
-        status: note.status,
-        createdAt: note.createdAt,
-        updatedAt: note.updatedAt,
-        ticket: note.ticket,
-        __v: note.__v,
-      };
-    }
+const noteWithUser = (note, user) => {
+  if (user && !user.isDeleted) {
     return {
       _id: note._id,
       title: note.title,
       text: note.text,
-      username: "Unassigned",
-      role: "",
+      username: user.fullname,
+      role: user.role,
       user: note.user,
       status: note.status,
+      dueAt: note.dueAt,
+      priority: note.priority,
+      labels: note.labels,
+      parent: note.parent,
+      blockedBy: note.blockedBy,
       createdAt: note.createdAt,
       updatedAt: note.updatedAt,
       ticket: note.ticket,
       __v: note.__v,
     };
+  }
+  return {
+    _id: note._id,
+    title: note.title,
+    text: note.text,
+    username: "Unassigned",
+    role: "",
+    user: note.user,
+    status: note.status,
+    dueAt: note.dueAt,
+    priority: note.priority,
+    labels: note.labels,
+    parent: note.parent,
+    blockedBy: note.blockedBy,
+    createdAt: note.createdAt,
+    updatedAt: note.updatedAt,
+    ticket: note.ticket,
+    __v: note.__v,
   };
+};
+
+/**
+ * @description Send the current state of a note that has been changed since the update was made from it
+ * @param {*} res
+ * @param {*} expected The versions from getExpectedVersion, or null
+ * @param {*} id
+ * @returns
+ */
+const sendStaleNote = async (res, expected, id) => {
+  const current = await Note.findById(id).populate("labels", "name color");
+
+  // The note may have been deleted in the meantime
+  if (!current) {
+    return res
+      .status(StatusCodes.BAD_REQUEST)
+      .json({ message: "Note not found!" });
+  }
+
+  const owner = await findNoteOwner(current.user);
+  return sendStaleVersion(
+    res,
+    expected,
+    noteWithUser(current, owner),
+    "This note has been changed by someone else since you loaded it! Please check the current version and try again."
+  );
+};
+
+/**
+ * @description Get a single note by its id
+ * @param {id} req
+ * @param {*} res
+ * @route GET /notes/:id
+ * @access Private
+ */
+const getSingleNote = async (req, res) => {
+  const note = await Note.findById(req.params.id).populate(
+    "labels",
+    "name color"
+  );
+  if (!note) {
+    return res
+      .status(StatusCodes.BAD_REQUEST)
+      .json({ message: `No note with id: ${req.params.id}` });
+  }
+
+  const owner = await findNoteOwner(note.user);
+
+  const actor = getActor(req);
 
-  const noteResult = await noteWithUser(note);
+  if (!canViewNote(actor, owner)) {
+    return forbidden(res);
+  }
+
+  const noteResult = {
+    ...noteWithUser(note, owner),
+    // The parent, subtasks, and blocking dependencies of the note
+    relations: await getNoteRelations(actor, note),
+  };
 
+  // The version of the note, for If-Match on updates
+  setVersionETag(res, note);
   res.status(StatusCodes.OK).json({ note: noteResult });
 };
 
 /**
- * @description Create a new note
- * @param {user, title, text, status} req
+ * @description Create a new note. The status defaults to the initial status of the workflow
+ * @param {user, title, text, status, dueAt, priority, labels, parent, blockedBy} req
  * @param {*} res
  * @route POST /notes
  * @access Private
  */
 const createNote = async (req, res) => {
-  const { user, title, text, status } = req.body;
+  const { user, title, text, dueAt, priority, labels, parent, blockedBy } =
+    req.body;
 
   // Check for required data
-  if (!user || !title || !text || !status) {
+  if (!user || !title || !text) {
     return res
       .status(StatusCodes.BAD_REQUEST)
       .json({ message: "Missing required data" });
   }
 
+  const fieldError =
+    getScheduleError({ dueAt, priority }) ||
+    (await getLabelsError(labels)) ||
+    (await getRelationsError(getActor(req), { parent, blockedBy }));
+
+  if (fieldError) {
+    return res.status(StatusCodes.BAD_REQUEST).json({ message: fieldError });
+  }
+
+  // Check if the logged-in user may create a note in this status, if its board column has room, and if its blocking notes are done
+  const workflow = await getWorkflow();
+  const status = req.body.status || workflow.initialStatus;
+  const statusError = await getStatusMoveError(
+    workflow,
+    null,
+    status,
+    req.role,
+    { blockedBy: parseBlockedBy(blockedBy) }
+  );
+
+  if (statusError) {
+    return res
+      .status(statusError.statusCode)
+      .json({ message: statusError.message });
+  }
+
+  // Check if the assignee exists and if the logged-in user may assign notes to them
+  const assignee = await User.findById(user).lean().exec();
+
+  if (!assignee) {
+    return res
+      .status(StatusCodes.BAD_REQUEST)
+      .json({ message: "User not found!" });
+  }
+
+  if (!canAssignNote(getActor(req), assignee)) {
+    return forbidden(res);
+  }
+
   // Check if the note title has already been used
   // Collation is used to make the search case insensitive (Check for both uppercase and lowercase letters)
   const existingNote = await Note.findOne({ title })
@@ -227,10 +379,34 @@ const createNote = async (req, res) => {
       .json({ message: "This note title has already been used!" });
   }
 
-  // Create and store the new note
-  const note = await Note.create({ user, title, text, status });
+  // Create and store the new note. The WIP limit is checked again while the note is added, since another note may have taken the last place in the column
+  const created = await withWipLimits(workflow, { [status]: 1 }, () =>
+    Note.create({
+      user,
+      title,
+      text,
+      status,
+      dueAt: parseDueAt(dueAt) ?? null,
+      ...(priority !== undefined && { priority: Number(priority) }),
+      labels: parseLabelIds(labels),
+      parent: parent || null,
+      blockedBy: parseBlockedBy(blockedBy),
+    })
+  );
+
+  if (created.error) {
+    return res
+      .status(created.error.statusCode)
+      .json({ message: created.error.message });
+  }
+
+  const note = created.result;
 
   if (note) {
+    // The first revision of the note
+    await recordRevision(note, null, req.userId, "create");
+    await publishNoteEvent(NOTE_EVENTS.created, note);
+
     return res
       .status(StatusCodes.CREATED)
       .json({ message: `New note #${note.ticket} created successfully!` });
@@ -242,14 +418,26 @@ const createNote = async (req, res) => {
 };
 
 /**
- * @description Update an existing note
- * @param {id, user, title, text, status} req
+ * @description Update an existing note. The due date, priority, labels, parent, and blocking notes are only changed if they're sent
+ * The version that the update was made from can be sent in the If-Match header or as __v, and the update is rejected if the note has changed since then
+ * @param {id, user, title, text, status, dueAt, priority, labels, parent, blockedBy, __v} req
  * @param {*} res
  * @route PATCH /notes/:id
  * @access Private
  */
 const updateNote = async (req, res) => {
-  const { id, user, title, text, status } = req.body;
+  const {
+    id,
+    user,
+    title,
+    text,
+    status,
+    dueAt,
+    priority,
+    labels,
+    parent,
+    blockedBy,
+  } = req.body;
 
   // Check for required data
   if (!id || !user || !title || !text || !status) {
@@ -258,6 +446,15 @@ const updateNote = async (req, res) => {
       .json({ message: "Missing required data" });
   }
 
+  const fieldError =
+    getScheduleError({ dueAt, priority }) ||
+    (await getLabelsError(labels)) ||
+    (await getRelationsError(getActor(req), { noteId: id, parent, blockedBy }));
+
+  if (fieldError) {
+    return res.status(StatusCodes.BAD_REQUEST).json({ message: fieldError });
+  }
+
   // Check if note exists
   const note = await Note.findById(id).exec();
 
@@ -267,6 +464,56 @@ const updateNote = async (req, res) => {
       .json({ message: "Note not found!" });
   }
 
+  // Check if the logged-in user may edit this note
+  const actor = getActor(req);
+  const owner = await findNoteOwner(note.user);
+
+  if (!canEditNote(actor, owner)) {
+    return forbidden(res);
+  }
+
+  // Check if the note has been changed since the logged-in user loaded it. Updates without a version are still allowed
+  const expectedVersion = getExpectedVersion(req);
+
+  if (isStaleVersion(expectedVersion, note)) {
+    return sendStaleNote(res, expectedVersion, id);
+  }
+
+  // Check if the logged-in user may assign the note to the new assignee
+  if (note.user.toString() !== user) {
+    const assignee = await User.findById(user).lean().exec();
+
+    if (!assignee) {
+      return res
+        .status(StatusCodes.BAD_REQUEST)
+        .json({ message: "User not found!" });
+    }
+
+    if (!canAssignNote(actor, assignee)) {
+      return forbidden(res);
+    }
+  }
+
+  // Check if the workflow allows the logged-in user to make this status change, if the new board column has room, and if the note's blocking notes and subtasks are done
+  const workflow = await getWorkflow();
+  const statusError = await getStatusMoveError(
+    workflow,
+    note.status,
+    status,
+    req.role,
+    {
+      noteId: note._id,
+      blockedBy:
+        blockedBy !== undefined ? parseBlockedBy(blockedBy) : note.blockedBy,
+    }
+  );
+
+  if (statusError) {
+    return res
+      .status(statusError.statusCode)
+      .json({ message: statusError.message });
+  }
+
   // Check if the note title has already been used
   const existingNote = await Note.findOne({ title })
     .collation({ locale: "en", strength: 2 })
@@ -280,20 +527,72 @@ const updateNote = async (req, res) => {
       .json({ message: "This note title has already been used!" });
   }
 
+  // Keep the old values for the revision history
+  const previous = getSnapshot(note);
+
   // Update the note with the new data
   note.user = user;
   note.title = title;
   note.text = text;
   note.status = status;
+  // A note that changes its status goes to the end of its new board column
+  if (note.isModified("status")) {
+    note.boardRank = await rankAtEndOfColumn(status, note._id);
+  }
+  if (priority !== undefined) {
+    note.priority = Number(priority);
+  }
+  if (labels !== undefined) {
+    note.labels = parseLabelIds(labels);
+  }
+  if (parent !== undefined) {
+    note.parent = parent || null;
+  }
+  if (blockedBy !== undefined) {
+    note.blockedBy = parseBlockedBy(blockedBy);
+  }
+  if (dueAt !== undefined) {
+    const newDueAt = parseDueAt(dueAt);
+    // A new due date gets its own reminders
+    if (newDueAt?.getTime() !== note.dueAt?.getTime()) {
+      note.dueAt = newDueAt;
+      note.dueSoonReminderSentAt = null;
+      note.overdueReminderSentAt = null;
+    }
+  }
 
-  const updatedNote = await note.save();
+  // The save fails if someone else has saved the note since it was loaded here, or if the new board column has filled up in the meantime
+  const additions = note.isModified("status") ? { [status]: 1 } : {};
+  let saved;
+  try {
+    saved = await withWipLimits(workflow, additions, () => note.save());
+  } catch (err) {
+    if (!(err instanceof mongoose.Error.VersionError)) throw err;
+    return sendStaleNote(res, expectedVersion, id);
+  }
+
+  if (saved.error) {
+    return res
+      .status(saved.error.statusCode)
+      .json({ message: saved.error.message });
+  }
+
+  const updatedNote = saved.result;
+
+  await recordRevision(updatedNote, previous, req.userId, "update");
+  await publishNoteEvent(NOTE_EVENTS.updated, updatedNote, {
+    previousOwner: owner,
+  });
 
   const noteUser = await User.findById(updatedNote.user).exec();
 
-  // Send a notification email to the user
-  const message = `Hi ${noteUser.username}! Your note #${updatedNote.ticket} on Meganote has been updated!`;
-  sendMail(noteUser.email, "Meganote - Account Updated", message);
+  // Send a notification email to the user, unless they have been deleted
+  if (noteUser) {
+    const message = `Hi ${noteUser.username}! Your note #${updatedNote.ticket} on Meganote has been updated!`;
+    sendMail(noteUser.email, "Meganote - Account Updated", message);
+  }
 
+  setVersionETag(res, updatedNote);
   return res.status(StatusCodes.OK).json({
     updatedNote,
     message: `Note #${updatedNote.ticket} updated successfully!`,
@@ -318,14 +617,107 @@ const deleteNote = async (req, res) => {
       .json({ message: "Missing required data" });
   }
 
-  const date = new Date();
+  // Check if the note exists
+  const existingNote = await Note.findById(id).lean().exec();
+
+  if (!existingNote) {
+    return res
+      .status(StatusCodes.BAD_REQUEST)
+      .json({ message: "Note not found!" });
+  }
+
+  // Check if the logged-in user may delete this note
+  const owner = await findNoteOwner(existingNote.user);
+
+  if (!canDeleteNote(getActor(req), owner)) {
+    return forbidden(res);
+  }
+
+  const note = await softDeleteNote(id);
+  await publishNoteEvent(NOTE_EVENTS.deleted, note);
+
+  res.status(StatusCodes.OK).json({
+    message: `Note #${note.ticket} has been deleted!`,
+  });
+};
+
+/**
+ * @description Get the revision history of a note
+ * @param {id} req
+ * @param {*} res
+ * @route GET /notes/:id/history
+ * @access Private
+ */
+const getNoteHistory = async (req, res) => {
+  const found = await findViewableNote(req, res);
+  if (!found) return;
+
+  const revisions = await NoteRevision.find({ note: found.note._id })
+    .sort({ revision: 1 })
+    .populate("author", "username fullname")
+    .lean()
+    .exec();
+
+  res.status(StatusCodes.OK).json({ revisions });
+};
+
+/**
+ * @description Get the field-level differences between two revisions of a note
+ * @param {id, from, to} req
+ * @param {*} res
+ * @route GET /notes/:id/diff?from=&to=
+ * @access Private
+ */
+const getNoteDiff = async (req, res) => {
+  const from = parseInt(req.query.from);
+  const to = parseInt(req.query.to);
+
+  // Check for required data
+  if (!from || !to) {
+    return res
+      .status(StatusCodes.BAD_REQUEST)
+      .json({ message: "Missing required data" });
+  }
+
+  const found = await findViewableNote(req, res);
+  if (!found) return;
 
-  // Check if the user exists
-  const note = await Note.findOneAndUpdate(
-    { _id: id },
-    { isDeleted: true, deletedAt: date },
-    { new: true }
-  ).exec();
+  const revisions = await NoteRevision.find({
+    note: found.note._id,
+    revision: { $in: [from, to] },
+  })
+    .lean()
+    .exec();
+
+  const fromRevision = revisions.find(revision => revision.revision === from);
+  const toRevision = revisions.find(revision => revision.revision === to);
+
+  if (!fromRevision || !toRevision) {
+    return res
+      .status(StatusCodes.BAD_REQUEST)
+      .json({ message: "Revision not found!" });
+  }
+
+  res.status(StatusCodes.OK).json({
+    from,
+    to,
+    changes: diffSnapshots(fromRevision.snapshot, toRevision.snapshot),
+  });
+};
+
+/**
+ * @description Roll a note back to an earlier revision. The restore is recorded as a new revision
+ * The version that the restore was made from can be sent in the If-Match header or as __v, like for updates
+ * @param {id, revision, __v} req
+ * @param {*} res
+ * @route POST /notes/:id/restore/:revision
+ * @access Private
+ */
+const restoreNote = async (req, res) => {
+  const { id } = req.params;
+  const revisionNumber = parseInt(req.params.revision);
+
+  const note = await Note.findById(id).exec();
 
   if (!note) {
     return res
@@ -333,8 +725,166 @@ const deleteNote = async (req, res) => {
       .json({ message: "Note not found!" });
   }
 
+  // Restoring is an edit, so the same rules apply
+  const actor = getActor(req);
+  const owner = await findNoteOwner(note.user);
+
+  if (!canEditNote(actor, owner)) {
+    return forbidden(res);
+  }
+
+  // Like updates, restores made from an old version of the note are rejected
+  const expectedVersion = getExpectedVersion(req);
+
+  if (isStaleVersion(expectedVersion, note)) {
+    return sendStaleNote(res, expectedVersion, id);
+  }
+
+  const revision = await NoteRevision.findOne({
+    note: note._id,
+    revision: revisionNumber,
+  })
+    .lean()
+    .exec();
+
+  if (!revision) {
+    return res
+      .status(StatusCodes.BAD_REQUEST)
+      .json({ message: "Revision not found!" });
+  }
+
+  const { snapshot } = revision;
+
+  // Check if the logged-in user may assign the note back to the old assignee
+  if (note.user.toString() !== snapshot.user?.toString()) {
+    const assignee = await User.findById(snapshot.user).lean().exec();
+
+    if (!assignee) {
+      return res
+        .status(StatusCodes.BAD_REQUEST)
+        .json({ message: "The user of this revision no longer exists!" });
+    }
+
+    if (!canAssignNote(actor, assignee)) {
+      return forbidden(res);
+    }
+  }
+
+  // Revisions from before subtasks and blocking notes existed don't have them, and related notes that have been deleted since then can't be restored
+  const relations = {
+    parent: "parent" in snapshot ? snapshot.parent : note.parent,
+    blockedBy:
+      "blockedBy" in snapshot ? snapshot.blockedBy || [] : note.blockedBy,
+  };
+  const existingRelated = await Note.find({
+    _id: { $in: [relations.parent, ...relations.blockedBy].filter(Boolean) },
+  }).distinct("_id");
+  const exists = relatedId =>
+    existingRelated.some(existingId => existingId.equals(relatedId));
+  relations.parent = exists(relations.parent) ? relations.parent : null;
+  relations.blockedBy = relations.blockedBy.filter(exists);
+
+  // The relations of the revision may make a cycle with changes made since then
+  const relationsError = await getRelationsError(actor, {
+    noteId: note._id,
+    ...relations,
+  });
+
+  if (relationsError) {
+    return res
+      .status(StatusCodes.BAD_REQUEST)
+      .json({ message: relationsError });
+  }
+
+  // Rolling back the status has to follow the workflow, the WIP limits, and the blocking notes like any other status change
+  const workflow = await getWorkflow();
+  const statusError = await getStatusMoveError(
+    workflow,
+    note.status,
+    snapshot.status,
+    req.role,
+    { noteId: note._id, blockedBy: relations.blockedBy }
+  );
+
+  if (statusError) {
+    return res
+      .status(statusError.statusCode)
+      .json({ message: statusError.message });
+  }
+
+  // The old title may have been taken by another note since then
+  const existingNote = await Note.findOne({ title: snapshot.title })
+    .collation({ locale: "en", strength: 2 })
+    .lean()
+    .exec();
+
+  if (existingNote && existingNote._id.toString() !== id) {
+    return res
+      .status(StatusCodes.CONFLICT)
+      .json({ message: "This note title has already been used!" });
+  }
+
+  const previous = getSnapshot(note);
+
+  note.user = snapshot.user;
+  note.title = snapshot.title;
+  note.text = snapshot.text;
+  note.status = snapshot.status;
+  if (note.isModified("status")) {
+    note.boardRank = await rankAtEndOfColumn(snapshot.status, note._id);
+  }
+  // Revisions from before due dates and priorities existed don't have them
+  if ("dueAt" in snapshot) {
+    note.dueAt = snapshot.dueAt;
+  }
+  if ("priority" in snapshot && snapshot.priority !== null) {
+    note.priority = snapshot.priority;
+  }
+  if ("labels" in snapshot) {
+    // Labels that have been deleted since then can't be restored
+    const existingLabels = await Label.find({
+      _id: { $in: snapshot.labels || [] },
+    })
+      .select("_id")
+      .lean()
+      .exec();
+    note.labels = existingLabels.map(label => label._id);
+  }
+  note.parent = relations.parent;
+  note.blockedBy = relations.blockedBy;
+
+  const additions = note.isModified("status") ? { [note.status]: 1 } : {};
+  let saved;
+  try {
+    saved = await withWipLimits(workflow, additions, () => note.save());
+  } catch (err) {
+    if (!(err instanceof mongoose.Error.VersionError)) throw err;
+    return sendStaleNote(res, expectedVersion, id);
+  }
+
+  if (saved.error) {
+    return res
+      .status(saved.error.statusCode)
+      .json({ message: saved.error.message });
+  }
+
+  const restoredNote = saved.result;
+
+  await recordRevision(
+    restoredNote,
+    previous,
+    req.userId,
+    "restore",
+    revisionNumber
+  );
+  await publishNoteEvent(NOTE_EVENTS.updated, restoredNote, {
+    previousOwner: owner,
+  });
+
+  setVersionETag(res, restoredNote);
   res.status(StatusCodes.OK).json({
-    message: `Note #${note.ticket} has been deleted!`,
+    restoredNote,
+    message: `Note #${restoredNote.ticket} restored to revision ${revisionNumber}!`,
   });
 };
 
@@ -345,4 +895,7 @@ module.exports = {
   createNote,
   updateNote,
   deleteNote,
+  getNoteHistory,
+  getNoteDiff,
+  restoreNote,
 };
@@ -0,0 +1,497 @@
+const Note = require("../models/Note");
+const Label = require("../models/Label");
+const User = require("../models/User");
+const { StatusCodes } = require("http-status-codes");
+const { logEvents } = require("../middleware/logger");
+const { getActor, canAssignNote } = require("../utils/policy");
+const { recordRevision } = require("../utils/noteRevisions");
+const { getScheduleError, parseDueAt } = require("../utils/notes");
+const { parseNoteSort, buildNoteFilter } = require("../utils/noteFilters");
+const { parseSearchTerm, searchNotes } = require("../utils/search");
+const { getWorkflow, getStatusChangeError } = require("../utils/workflow");
+const { getWipLimitError, withWipLimits } = require("../utils/board");
+const { NOTE_EVENTS, publishNoteEvent } = require("../utils/noteEvents");
+const { toCsvRow, parseCsv } = require("../utils/csv");
+const PRIORITIES = require("../config/priorities");
+const noteImportOptions = require("../config/noteImport");
+
+/**
+ * @description This file contains the controllers for exporting notes to files and importing them from CSV files
+ * @author [Hoang Le Chau](https://github.com/hoanglechau)
+ */
+
+// The columns of an exported note, in order
+const EXPORT_COLUMNS = [
+  "ticket",
+  "title",
+  "text",
+  "status",
+  "priority",
+  "dueAt",
+  "labels",
+  "assignee",
+  "username",
+  "createdAt",
+  "updatedAt",
+];
+
+// Priority names by their stored number
+const PRIORITY_NAMES = Object.fromEntries(
+  Object.entries(PRIORITIES).map(([name, value]) => [value, name])
+);
+
+/**
+ * @description Escape a value for a cell of a Markdown table
+ * @param {*} value
+ * @returns
+ */
+const toMarkdownCell = value =>
+  String(value ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/\|/g, "\\|")
+    .replace(/\r?\n/g, "<br>");
+
+// How each export format starts, writes a note, and ends
+const EXPORT_FORMATS = {
+  csv: {
+    contentType: "text/csv; charset=utf-8",
+    extension: "csv",
+    start: () => toCsvRow(EXPORT_COLUMNS),
+    row: record =>
+      toCsvRow(
+        EXPORT_COLUMNS.map(column =>
+          Array.isArray(record[column])
+            ? record[column].join("; ")
+            : record[column]
+        )
+      ),
+    end: () => "",
+  },
+  json: {
+    contentType: "application/json; charset=utf-8",
+    extension: "json",
+    start: () => "[",
+    row: (record, index) => `${index ? "," : ""}\n${JSON.stringify(record)}`,
+    end: count => (count ? "\n]\n" : "]\n"),
+  },
+  markdown: {
+    contentType: "text/markdown; charset=utf-8",
+    extension: "md",
+    start: () =>
+      `| ${EXPORT_COLUMNS.join(" | ")} |\n|${" --- |".repeat(
+        EXPORT_COLUMNS.length
+      )}\n`,
+    row: record =>
+      `| ${EXPORT_COLUMNS.map(column =>
+        toMarkdownCell(
+          Array.isArray(record[column])
+            ? record[column].join(", ")
+            : record[column]
+        )
+      ).join(" | ")} |\n`,
+    end: () => "",
+  },
+};
+
+/**
+ * @description Turn a note into the record that is exported
+ * @param {*} note A note with populated labels
+ * @param {*} assignee The assigned user, or null if the user is gone
+ * @returns
+ */
+const toExportRecord = (note, assignee) => ({
+  ticket: note.ticket,
+  title: note.title,
+  text: note.text,
+  status: note.status,
+  priority: PRIORITY_NAMES[note.priority] || note.priority,
+  dueAt: note.dueAt ? note.dueAt.toISOString() : null,
+  labels: (note.labels || []).map(label => label.name),
+  assignee: assignee ? assignee.fullname : "Unassigned",
+  username: assignee ? assignee.username : null,
+  createdAt: note.createdAt.toISOString(),
+  updatedAt: note.updatedAt.toISOString(),
+});
+
+/**
+ * @description Write a chunk to the response, and wait until the client has read it if the buffer is full
+ * @param {*} res
+ * @param {*} chunk
+ * @returns
+ */
+const writeChunk = (res, chunk) =>
+  new Promise(resolve => {
+    if (!chunk || res.write(chunk)) return resolve();
+    const done = () => {
+      res.off("drain", done);
+      res.off("close", done);
+      resolve();
+    };
+    res.on("drain", done);
+    res.on("close", done);
+  });
+
+/**
+ * @description Export the notes that match the same filters as GET /notes. The file is streamed, so large exports aren't loaded into memory
+ * @param {format, term, sort, order, ...filter} req format is csv (default), json, or markdown
+ * @param {*} res
+ * @route GET /notes/export
+ * @access Private
+ */
+const exportNotes = async (req, res) => {
+  // Paging doesn't apply to exports, every matching note is exported
+  const { format = "csv", sort, order, ...filter } = req.query;
+  const exportFormat = EXPORT_FORMATS[format];
+
+  if (!exportFormat) {
+    return res.status(StatusCodes.BAD_REQUEST).json({
+      message: `Notes can only be exported as: ${Object.keys(
+        EXPORT_FORMATS
+      ).join(", ")}!`,
+    });
+  }
+
+  const sortResult = parseNoteSort({ sort, order });
+  if (sortResult.error) {
+    return res
+      .status(StatusCodes.BAD_REQUEST)
+      .json({ message: sortResult.error });
+  }
+
+  const { filterCriteria, error } = await buildNoteFilter(
+    getActor(req),
+    filter
+  );
+  if (error) {
+    return res.status(StatusCodes.BAD_REQUEST).json({ message: error });
+  }
+
+  // A search term limits the export to the matching notes
+  if (filter.term) {
+    const searchResults = await searchNotes(
+      filterCriteria,
+      parseSearchTerm(filter.term)
+    );
+    filterCriteria.$and.push({
+      _id: { $in: searchResults.map(result => result._id) },
+    });
+  }
+
+  const date = new Date().toISOString().slice(0, 10);
+  res.status(StatusCodes.OK).set({
+    "Content-Type": exportFormat.contentType,
+    "Content-Disposition": `attachment; filename="notes-${date}.${exportFormat.extension}"`,
+    "X-Content-Type-Options": "nosniff",
+  });
+
+  const cursor = Note.find(filterCriteria)
+    .populate("labels", "name")
+    .sort({ [sortResult.sort]: sortResult.sortOrder, createdAt: -1 })
+    .lean()
+    .cursor();
+  // Only the assignees are kept in memory, there are far fewer of them than notes
+  const assignees = new Map();
+  let count = 0;
+
+  try {
+    await writeChunk(res, exportFormat.start());
+
+    for await (const note of cursor) {
+      // Stop reading notes if the client has gone away
+      if (res.destroyed) break;
+
+      const userId = note.user.toString();
+      if (!assignees.has(userId)) {
+        assignees.set(
+          userId,
+          await User.findById(userId).select("fullname username").lean().exec()
+        );
+      }
+
+      await writeChunk(
+        res,
+        exportFormat.row(toExportRecord(note, assignees.get(userId)), count)
+      );
+      count++;
+    }
+
+    res.end(exportFormat.end(count));
+  } catch (err) {
+    // The headers have already been sent, so the error handler can't send an error response
+    logEvents(
+      `Note export failed: ${err.message}\t${req.method}\t${req.url}`,
+      "errLog.log"
+    );
+    res.destroy(err);
+  }
+};
+
+/**
+ * @description Get the value of a priority cell. It can be the name or the number of the priority
+ * @param {*} value
+ * @returns The priority number, undefined if the cell is empty, or the value itself if it's unknown so that it fails validation
+ */
+const parsePriorityCell = value => {
+  if (!value) return undefined;
+  const name = Object.keys(PRIORITIES).find(
+    key => key.toLowerCase() === value.toLowerCase()
+  );
+  return name ? PRIORITIES[name] : value;
+};
+
+/**
+ * @description Check every row of an imported CSV file the same way createNote checks a new note
+ * @param {*} rows The rows of the file, without the header row
+ * @param {*} header The lowercase column names
+ * @param {*} req
+ * @returns The notes to create with their row numbers ({ row, noteData }), and the errors of each row
+ */
+const validateImportRows = async (rows, header, req) => {
+  const actor = getActor(req);
+  const workflow = await getWorkflow();
+  const labels = await Label.find().lean().exec();
+  const labelsByName = new Map(
+    labels.map(label => [label.name.toLowerCase(), label._id])
+  );
+  const assignees = new Map();
+  const titles = new Set();
+  // The number of valid rows in each status so far, for the WIP limits of the board columns
+  const statusCounts = new Map();
+  const notes = [];
+  const errors = [];
+
+  for (const [index, cells] of rows.entries()) {
+    // The header is row 1, like in a spreadsheet
+    const row = index + 2;
+    const addError = (field, message) => errors.push({ row, field, message });
+    const cell = column => (cells[header.indexOf(column)] || "").trim();
+
+    const title = cell("title");
+    const text = cell("text");
+    // Exported files have the assignee's full name in the assignee column and the username in its own column
+    const assigneeKey = (
+      cell("username") ||
+      cell("email") ||
+      cell("assignee")
+    ).toLowerCase();
+    const status = cell("status") || workflow.initialStatus;
+    const dueAt = cell("dueat") || undefined;
+    const priority = parsePriorityCell(cell("priority"));
+    // Label names are separated by ';' like in exported files, since names can contain commas
+    const labelNames = cell("labels")
+      .split(";")
+      .map(name => name.trim())
+      .filter(Boolean);
+
+    // Check for required data
+    if (!title) addError("title", "Missing required data: title!");
+    if (!text) addError("text", "Missing required data: text!");
+    if (!assigneeKey) addError("assignee", "Missing required data: assignee!");
+
+    // The due date and priority are checked one by one, so both can be reported
+    const dueAtError = getScheduleError({ dueAt });
+    if (dueAtError) addError("dueAt", dueAtError);
+    const priorityError = getScheduleError({ priority });
+    if (priorityError) addError("priority", priorityError);
+
+    const labelIds = [];
+    labelNames.forEach(name => {
+      const labelId = labelsByName.get(name.toLowerCase());
+      if (labelId) {
+        labelIds.push(labelId);
+      } else {
+        addError("labels", `Label not found: ${name}!`);
+      }
+    });
+
+    // Check if the logged-in user may create a note in this status, and if its board column has room for all the notes of the file
+    const statusError =
+      getStatusChangeError(workflow, null, status, req.role) ||
+      (await getWipLimitError(
+        workflow,
+        status,
+        (statusCounts.get(status) || 0) + 1
+      ));
+    if (statusError) addError("status", statusError.message);
+
+    // Assignees are matched by their username or email, case insensitively
+    if (assigneeKey) {
+      if (!assignees.has(assigneeKey)) {
+        assignees.set(
+          assigneeKey,
+          await User.findOne({
+            $or: [{ username: assigneeKey }, { email: assigneeKey }],
+          })
+            .collation({ locale: "en", strength: 2 })
+            .lean()
+            .exec()
+        );
+      }
+      const assignee = assignees.get(assigneeKey);
+      if (!assignee) {
+        addError("assignee", `User not found: ${assigneeKey}!`);
+      } else if (!canAssignNote(actor, assignee)) {
+        addError(
+          "assignee",
+          `You don't have permission to assign notes to ${assignee.username}!`
+        );
+      }
+    }
+
+    // Check if the note title has already been used, in the database or earlier in the file
+    if (title) {
+      if (titles.has(title.toLowerCase())) {
+        addError(
+          "title",
+          "This note title is used more than once in the file!"
+        );
+      } else {
+        titles.add(title.toLowerCase());
+        const existingNote = await Note.findOne({ title })
+          .collation({ locale: "en", strength: 2 })
+          .lean()
+          .exec();
+        if (existingNote) {
+          addError("title", "This note title has already been used!");
+        }
+      }
+    }
+
+    if (!errors.some(error => error.row === row)) {
+      statusCounts.set(status, (statusCounts.get(status) || 0) + 1);
+      notes.push({
+        row,
+        noteData: {
+          user: assignees.get(assigneeKey)._id,
+          title,
+          text,
+          status,
+          dueAt: parseDueAt(dueAt) ?? null,
+          ...(priority !== undefined && { priority: Number(priority) }),
+          labels: [...new Set(labelIds.map(String))],
+        },
+      });
+    }
+  }
+
+  return { notes, errors };
+};
+
+/**
+ * @description Import notes from a CSV file with the columns title, text, assignee (username or email), and optionally status, dueAt, priority, and labels (names separated by ';')
+ * Files exported by GET /notes/export can be imported again, their assignees are matched by the username column
+ * Every row is checked first, and no notes are imported if any row has errors. In a dry run, nothing is imported and the errors are reported
+ * If a note can't be created after the check, the import stops at that row and the response lists the rows that were imported
+ * @param {file, dryRun} req
+ * @param {*} res
+ * @route POST /notes/import
+ * @access Private
+ */
+const importNotes = async (req, res) => {
+  const dryRun = [req.query.dryRun, req.body.dryRun].includes("true");
+  const rows = parseCsv(req.file.buffer.toString("utf8"));
+
+  if (!rows) {
+    return res
+      .status(StatusCodes.BAD_REQUEST)
+      .json({ message: "The CSV file has a quote that is never closed!" });
+  }
+
+  const [headerRow = [], ...dataRows] = rows;
+  const header = headerRow.map(column => column.trim().toLowerCase());
+  const missingColumns = ["title", "text"].filter(
+    column => !header.includes(column)
+  );
+  if (
+    !["assignee", "username", "email"].some(column => header.includes(column))
+  ) {
+    missingColumns.push("assignee");
+  }
+
+  if (missingColumns.length) {
+    return res.status(StatusCodes.BAD_REQUEST).json({
+      message: `The CSV file is missing the columns: ${missingColumns.join(
+        ", "
+      )}!`,
+    });
+  }
+
+  if (!dataRows.length) {
+    return res
+      .status(StatusCodes.BAD_REQUEST)
+      .json({ message: "The CSV file has no notes!" });
+  }
+
+  if (dataRows.length > noteImportOptions.maxRows) {
+    return res.status(StatusCodes.BAD_REQUEST).json({
+      message: `At most ${noteImportOptions.maxRows} notes can be imported at once!`,
+    });
+  }
+
+  const { notes, errors } = await validateImportRows(dataRows, header, req);
+
+  if (dryRun) {
+    return res.status(StatusCodes.OK).json({
+      dryRun,
+      valid: !errors.length,
+      rows: dataRows.length,
+      errors,
+      message: errors.length
+        ? `${errors.length} error(s) found, please fix them before importing!`
+        : `${dataRows.length} note(s) can be imported!`,
+    });
+  }
+
+  if (errors.length) {
+    return res.status(StatusCodes.BAD_REQUEST).json({
+      errors,
+      message: "The CSV file has errors, no notes were imported!",
+    });
+  }
+
+  // The notes are created one by one, so they get their ticket numbers in the order of the file
+  // The ticket numbers can't be taken back, so there is no transaction. If a note can't be created, the import stops there and reports the rows that were imported
+  const imported = [];
+  const stopImport = (statusCode, row, message) =>
+    res.status(statusCode).json({
+      imported,
+      tickets: imported.map(entry => entry.ticket),
+      failed: { row, message },
+      message: `Row ${row} couldn't be imported, so the import stopped there! The ${imported.length} note(s) before it were imported, please remove them from the file before importing it again!`,
+    });
+
+  const workflow = await getWorkflow();
+  for (const { row, noteData } of notes) {
+    // Other notes may have filled the note's board column since the file was checked
+    let created;
+    try {
+      created = await withWipLimits(workflow, { [noteData.status]: 1 }, () =>
+        Note.create(noteData)
+      );
+    } catch (err) {
+      logEvents(
+        `Note import failed at row ${row}: ${err.message}\t${req.method}\t${req.url}`,
+        "errLog.log"
+      );
+      return stopImport(StatusCodes.INTERNAL_SERVER_ERROR, row, err.message);
+    }
+
+    if (created.error) {
+      return stopImport(created.error.statusCode, row, created.error.message);
+    }
+
+    const note = created.result;
+    // The first revision of the note
+    await recordRevision(note, null, req.userId, "create");
+    await publishNoteEvent(NOTE_EVENTS.created, note);
+    imported.push({ row, ticket: note.ticket });
+  }
+
+  res.status(StatusCodes.CREATED).json({
+    imported,
+    tickets: imported.map(entry => entry.ticket),
+    message: `${imported.length} note(s) imported successfully!`,
+  });
+};
+
+module.exports = { exportNotes, importNotes };
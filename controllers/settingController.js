@@ -0,0 +1,132 @@
+const Setting = require("../models/Setting");
+const Note = require("../models/Note");
+const ROLES = require("../config/roles");
+const { StatusCodes } = require("http-status-codes");
+const {
+  TWO_FACTOR_SETTING_KEY,
+  getTwoFactorRequiredRoles,
+} = require("../utils/twoFactor");
+const {
+  WORKFLOW_SETTING_KEY,
+  getWorkflow,
+  getStatusNames,
+  validateWorkflow,
+  normalizeWorkflow,
+} = require("../utils/workflow");
+
+/**
+ * @description This file contains the controllers for the setting endpoints
+ * @author [Hoang Le Chau](https://github.com/hoanglechau)
+ */
+
+/**
+ * @description Get the roles for which 2FA is mandatory
+ * @param {*} req
+ * @param {*} res
+ * @route GET /settings/2fa
+ * @access Admin
+ */
+const getTwoFactorPolicy = async (req, res) => {
+  const requiredRoles = await getTwoFactorRequiredRoles();
+  res.status(StatusCodes.OK).json({ requiredRoles });
+};
+
+/**
+ * @description Update the roles for which 2FA is mandatory
+ * @param {requiredRoles} req
+ * @param {*} res
+ * @route PUT /settings/2fa
+ * @access Admin
+ */
+const updateTwoFactorPolicy = async (req, res) => {
+  const { requiredRoles } = req.body;
+
+  // Check for required data
+  if (
+    !Array.isArray(requiredRoles) ||
+    requiredRoles.some(role => !Object.values(ROLES).includes(role))
+  ) {
+    return res.status(StatusCodes.BAD_REQUEST).json({
+      message: `Required roles must be a list of: ${Object.values(ROLES).join(
+        ", "
+      )}!`,
+    });
+  }
+
+  const setting = await Setting.findOneAndUpdate(
+    { key: TWO_FACTOR_SETTING_KEY },
+    { value: [...new Set(requiredRoles)] },
+    { new: true, upsert: true }
+  ).exec();
+
+  res.status(StatusCodes.OK).json({
+    requiredRoles: setting.value,
+    message: "Two-factor authentication policy updated successfully!",
+  });
+};
+
+/**
+ * @description Get the note status workflow
+ * @param {*} req
+ * @param {*} res
+ * @route GET /settings/workflow
+ * @access Admin
+ */
+const getNoteWorkflow = async (req, res) => {
+  const workflow = await getWorkflow();
+  res.status(StatusCodes.OK).json({ workflow });
+};
+
+/**
+ * @description Replace the note status workflow
+ * @param {initialStatus, statuses, transitions} req
+ * @param {*} res
+ * @route PUT /settings/workflow
+ * @access Admin
+ */
+const updateNoteWorkflow = async (req, res) => {
+  const errors = validateWorkflow(req.body);
+
+  if (errors.length) {
+    return res
+      .status(StatusCodes.BAD_REQUEST)
+      .json({ message: errors[0], errors });
+  }
+
+  const workflow = normalizeWorkflow(req.body);
+
+  // A status can't be removed while notes still have it
+  const removedStatuses = await Note.distinct("status", {
+    status: { $nin: getStatusNames(workflow) },
+  }).exec();
+  const currentStatuses = getStatusNames(await getWorkflow());
+  const statusesInUse = removedStatuses.filter(status =>
+    currentStatuses.includes(status)
+  );
+
+  if (statusesInUse.length) {
+    return res.status(StatusCodes.CONFLICT).json({
+      message: `Statuses that notes still have can't be removed: ${statusesInUse.join(
+        ", "
+      )}!`,
+    });
+  }
+
+  const setting = await Setting.findOneAndUpdate(
+    { key: WORKFLOW_SETTING_KEY },
+    { value: workflow },
+    { new: true, upsert: true }
+  ).exec();
+
+  res.status(StatusCodes.OK).json({
+    workflow: setting.value,
+    message: "Note workflow updated successfully!",
+  });
+};
+
+module.exports = {
+  getTwoFactorPolicy,
+  updateTwoFactorPolicy,
+  getNoteWorkflow,
+  updateNoteWorkflow,
+};
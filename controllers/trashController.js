@@ -0,0 +1,299 @@
+const Note = require("../models/Note");
+const User = require("../models/User");
+const Attachment = require("../models/Attachment");
+const { StatusCodes } = require("http-status-codes");
+const {
+  TRASH_RETENTION_DAYS,
+  purgeNotes,
+  purgeUsers,
+  purgeAttachments,
+} = require("../utils/trash");
+const { NOTE_EVENTS, publishNoteEvent } = require("../utils/noteEvents");
+const { getSnapshot, recordRevision } = require("../utils/noteRevisions");
+const { getWorkflow } = require("../utils/workflow");
+const { withWipLimits } = require("../utils/board");
+
+/**
+ * @description This file contains the controllers for the trash endpoints
+ * @author [Hoang Le Chau](https://github.com/hoanglechau)
+ */
+
+/**
+ * @description Get the date when an item deleted at deletedAt will be purged by the retention job
+ * @param {*} deletedAt
+ * @returns
+ */
+const getPurgeAt = deletedAt => {
+  if (!deletedAt) return null;
+  const purgeAt = new Date(deletedAt);
+  purgeAt.setDate(purgeAt.getDate() + TRASH_RETENTION_DAYS);
+  return purgeAt;
+};
+
+/**
+ * @description Get the soft deleted notes with pagination, most recently deleted first
+ * @param {page, limit} req
+ * @param {*} res
+ * @route GET /trash/notes
+ * @access Admin
+ */
+const getDeletedNotes = async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 10;
+
+  const count = await Note.countDocuments({ isDeleted: true });
+  const totalPage = Math.ceil(count / limit);
+  const offset = limit * (page - 1);
+
+  const notes = await Note.find({ isDeleted: true })
+    .select("+isDeleted +deletedAt")
+    .sort({ deletedAt: -1 })
+    .skip(offset)
+    .limit(limit)
+    .lean()
+    .exec();
+
+  // Add the assignee's full name to each note before sending the response
+  const notesWithUser = await Promise.all(
+    notes.map(async note => {
+      // The assignee may be in the trash too
+      const user = await User.findById(note.user).withDeleted().lean().exec();
+      return {
+        ...note,
+        username: user ? user.fullname : "Unassigned",
+        purgeAt: getPurgeAt(note.deletedAt),
+      };
+    })
+  );
+
+  res.status(StatusCodes.OK).json({
+    notes: notesWithUser,
+    totalPage,
+    count,
+    retentionDays: TRASH_RETENTION_DAYS,
+  });
+};
+
+/**
+ * @description Get the soft deleted users with pagination, most recently deleted first
+ * @param {page, limit} req
+ * @param {*} res
+ * @route GET /trash/users
+ * @access Admin
+ */
+const getDeletedUsers = async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 10;
+
+  const count = await User.countDocuments({ isDeleted: true });
+  const totalPage = Math.ceil(count / limit);
+  const offset = limit * (page - 1);
+
+  const users = await User.find({ isDeleted: true })
+    .select("-password +isDeleted +deletedAt")
+    .sort({ deletedAt: -1 })
+    .skip(offset)
+    .limit(limit)
+    .lean()
+    .exec();
+
+  res.status(StatusCodes.OK).json({
+    users: users.map(user => ({
+      ...user,
+      purgeAt: getPurgeAt(user.deletedAt),
+    })),
+    totalPage,
+    count,
+    retentionDays: TRASH_RETENTION_DAYS,
+  });
+};
+
+/**
+ * @description Restore a soft deleted note
+ * @param {id} req
+ * @param {*} res
+ * @route PATCH /trash/notes/:id/restore
+ * @access Admin
+ */
+const restoreNote = async (req, res) => {
+  const { id } = req.params;
+
+  const note = await Note.findOne({ _id: id, isDeleted: true })
+    .select("+deletedAt")
+    .lean()
+    .exec();
+
+  if (!note) {
+    return res
+      .status(StatusCodes.BAD_REQUEST)
+      .json({ message: "Note not found in the trash!" });
+  }
+
+  // Another note may have taken the title while this one was in the trash
+  const existingNote = await Note.findOne({ title: note.title })
+    .collation({ locale: "en", strength: 2 })
+    .lean()
+    .exec();
+
+  if (existingNote) {
+    return res.status(StatusCodes.CONFLICT).json({
+      message: `Note #${existingNote.ticket} already uses the title "${note.title}"! Rename it before restoring this note.`,
+      conflict: { _id: existingNote._id, ticket: existingNote.ticket },
+    });
+  }
+
+  // The note goes back into its board column, so the column needs room under its WIP limit
+  const restored = await withWipLimits(
+    await getWorkflow(),
+    { [note.status]: 1 },
+    () => Note.restoreOne({ _id: id }).exec()
+  );
+
+  if (restored.error) {
+    return res
+      .status(restored.error.statusCode)
+      .json({ message: restored.error.message });
+  }
+
+  const restoredNote = restored.result;
+  // Attachments that were deleted on their own before the note stay deleted
+  await Attachment.restoreMany({
+    note: note._id,
+    deletedAt: note.deletedAt,
+  }).exec();
+  // The note comes back as it was, the revision records who restored it and when
+  await recordRevision(
+    restoredNote,
+    getSnapshot(restoredNote),
+    req.userId,
+    "restore"
+  );
+  // The note is back on everyone's board
+  await publishNoteEvent(NOTE_EVENTS.created, restoredNote);
+
+  res.status(StatusCodes.OK).json({
+    message: `Note #${note.ticket} has been restored!`,
+  });
+};
+
+/**
+ * @description Restore a soft deleted user
+ * @param {id} req
+ * @param {*} res
+ * @route PATCH /trash/users/:id/restore
+ * @access Admin
+ */
+const restoreUser = async (req, res) => {
+  const { id } = req.params;
+
+  const user = await User.findOne({ _id: id, isDeleted: true }).lean().exec();
+
+  if (!user) {
+    return res
+      .status(StatusCodes.BAD_REQUEST)
+      .json({ message: "User not found in the trash!" });
+  }
+
+  // The username or email may have been given to another user while this one was in the trash
+  const existingUser = await User.findOne({ username: user.username })
+    .collation({ locale: "en", strength: 2 })
+    .lean()
+    .exec();
+
+  if (existingUser) {
+    return res
+      .status(StatusCodes.CONFLICT)
+      .json({ message: "This username already exists!" });
+  }
+
+  const existingEmail = await User.findOne({ email: user.email }).lean().exec();
+
+  if (existingEmail) {
+    return res
+      .status(StatusCodes.CONFLICT)
+      .json({ message: "This email has already been used!" });
+  }
+
+  await User.restoreOne({ _id: id }).exec();
+
+  res.status(StatusCodes.OK).json({
+    message: `User "${user.fullname}" has been restored!`,
+  });
+};
+
+/**
+ * @description Permanently delete a soft deleted note
+ * @param {id} req
+ * @param {*} res
+ * @route DELETE /trash/notes/:id
+ * @access Admin
+ */
+const purgeNote = async (req, res) => {
+  const note = await Note.findOne({ _id: req.params.id, isDeleted: true })
+    .lean()
+    .exec();
+
+  if (!note) {
+    return res
+      .status(StatusCodes.BAD_REQUEST)
+      .json({ message: "Note not found in the trash!" });
+  }
+
+  await purgeNotes({ _id: note._id });
+
+  res.status(StatusCodes.OK).json({
+    message: `Note #${note.ticket} has been permanently deleted!`,
+  });
+};
+
+/**
+ * @description Permanently delete a soft deleted user
+ * @param {id} req
+ * @param {*} res
+ * @route DELETE /trash/users/:id
+ * @access Admin
+ */
+const purgeUser = async (req, res) => {
+  const user = await User.findOne({ _id: req.params.id, isDeleted: true })
+    .lean()
+    .exec();
+
+  if (!user) {
+    return res
+      .status(StatusCodes.BAD_REQUEST)
+      .json({ message: "User not found in the trash!" });
+  }
+
+  await purgeUsers({ _id: user._id });
+
+  res.status(StatusCodes.OK).json({
+    message: `User "${user.fullname}" has been permanently deleted!`,
+  });
+};
+
+/**
+ * @description Permanently delete everything in the trash, including attachments that were deleted on their own
+ * @param {*} req
+ * @param {*} res
+ * @route DELETE /trash
+ * @access Admin
+ */
+const emptyTrash = async (req, res) => {
+  const notes = await purgeNotes({});
+  const users = await purgeUsers({});
+  const attachments = await purgeAttachments({});
+
+  res.status(StatusCodes.OK).json({
+    message: `${notes} note(s), ${users} user(s), and ${attachments} attachment(s) have been permanently deleted!`,
+  });
+};
+
+module.exports = {
+  getDeletedNotes,
+  getDeletedUsers,
+  restoreNote,
+  restoreUser,
+  purgeNote,
+  purgeUser,
+  emptyTrash,
+};
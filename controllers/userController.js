@@ -1,10 +1,24 @@
+const mongoose = require("mongoose");
 const User = require("../models/User");
 const Note = require("../models/Note");
+const Session = require("../models/Session");
 // Since we're using asyncHandler, we don't need to use try-catch blocks anymore. asyncHandler will catch any errors and pass them to the next middleware. We can then use our custom error handler to handle the errors
 // However, since we're also using 'express-async-errors', actually 'express-async-handler' is not necessary anymore. I'm just trying it out in this controller. The other controllerls don't use this package
 const bcrypt = require("bcrypt");
+const crypto = require("crypto");
 const { StatusCodes } = require("http-status-codes");
 const sendMail = require("../utils/sendMail");
+const { revokeSessions } = require("../utils/sessions");
+const { createHashedToken } = require("../utils/tokens");
+const { sendInvitationEmail } = require("../utils/emails");
+const { escapeRegex } = require("../utils/search");
+const { resetLoginAttempts } = require("../utils/loginAttempts");
+const {
+  setVersionETag,
+  getExpectedVersion,
+  isStaleVersion,
+  sendStaleVersion,
+} = require("../utils/versions");
 
 /**
  * @description This file contains the routes for the user endpoints
@@ -19,11 +33,9 @@ const sendMail = require("../utils/sendMail");
  * @access Admin
  */
 const getAllUsers = async (req, res) => {
-  // Not showing the password field
+  // Not showing the password field. Soft deleted users are hidden by the User model
   // Enabling the lean option tells Mongoose to skip instantiating a full Mongoose document and just return a plain old JS object (POJOs)
-  const users = await User.find({ isDeleted: false })
-    .select("-password")
-    .lean();
+  const users = await User.find().select("-password").lean();
   if (!users?.length) {
     return res
       .status(StatusCodes.BAD_REQUEST)
@@ -46,15 +58,15 @@ const getUsers = async (req, res) => {
   page = parseInt(page) || 1;
   limit = parseInt(limit) || 10;
 
-  const filterConditions = [{ isDeleted: false }];
+  const filterConditions = [];
   if (filter.fullname) {
     filterConditions.push({
-      fullname: { $regex: filter.fullname, $options: "i" },
+      fullname: { $regex: escapeRegex(filter.fullname), $options: "i" },
     });
   }
   if (filter.role) {
     filterConditions.push({
-      role: { $regex: filter.role, $options: "i" },
+      role: { $regex: escapeRegex(filter.role), $options: "i" },
     });
   }
   if (filter.active) {
@@ -99,22 +111,24 @@ const getSingleUser = async (req, res) => {
       .status(StatusCodes.BAD_REQUEST)
       .json({ message: `No user with id: ${req.params.id}` });
   }
+  // The version of the user, for If-Match on updates
+  setVersionETag(res, user);
   res.status(StatusCodes.OK).json({ user });
 };
 
 /**
- * @description Create a new user
- * @param {username, fullname, email, password, role} req
+ * @description Create a new user and send them an invitation email to set their own password
+ * @param {username, fullname, email, role} req
  * @param {*} res
  * @route POST /users
  * @access Admin
  * @returns
  */
 const createUser = async (req, res) => {
-  const { username, fullname, email, password, role } = req.body;
+  const { username, fullname, email, role } = req.body;
   // Check for required data
   // 'Roles' is not required since it already has a default as 'Employee'
-  if (!username || !fullname || !email || !password) {
+  if (!username || !fullname || !email) {
     return res
       .status(StatusCodes.BAD_REQUEST)
       .json({ message: "Missing required data!" });
@@ -144,30 +158,73 @@ const createUser = async (req, res) => {
       .json({ message: "This email has already been used!" });
   }
 
-  // Hash the password, put it through 10 salt rounds to ensure that the password is safe. Even when looking at it in the database, we wouldn't know what the password is
-  const hashedPassword = await bcrypt.hash(password, 10);
+  // The user sets their own password through the invitation link. Until then, the account gets a random password that nobody knows
+  const hashedPassword = await bcrypt.hash(
+    crypto.randomBytes(32).toString("hex"),
+    10
+  );
+
+  // Only the hash of the invitation token is stored, the token itself is sent in the email
+  const { token, hashedToken } = createHashedToken();
+
+  const userObject = {
+    username,
+    fullname,
+    email,
+    password: hashedPassword,
+    emailVerified: false,
+    invitationToken: hashedToken,
+    invitationSentAt: new Date(),
+  };
 
   // If role doesn't exist in the request body, don't include it in the user object
-  const userObject = !role
-    ? { username, fullname, email, password: hashedPassword }
-    : { username, fullname, email, password: hashedPassword, role };
+  if (role) userObject.role = role;
 
   // Create and store the new user in the database
   const user = await User.create(userObject);
 
   // Check if the user was created successfully
   if (user) {
-    res
-      .status(StatusCodes.CREATED)
-      .json({ user, message: `New user "${username}" created successfully!` });
+    sendInvitationEmail(user, token);
+
+    res.status(StatusCodes.CREATED).json({
+      user,
+      message: `New user "${username}" created successfully! An invitation email has been sent!`,
+    });
   } else {
     res.status(StatusCodes.BAD_REQUEST).json({ message: "Invalid user data!" });
   }
 };
 
+/**
+ * @description Send the current state of a user that has been changed since the update was made from it
+ * @param {*} res
+ * @param {*} expected The versions from getExpectedVersion, or null
+ * @param {*} id
+ * @returns
+ */
+const sendStaleUser = async (res, expected, id) => {
+  const current = await User.findById(id).exec();
+
+  // The user may have been deleted in the meantime
+  if (!current) {
+    return res
+      .status(StatusCodes.BAD_REQUEST)
+      .json({ message: "User not found!" });
+  }
+
+  return sendStaleVersion(
+    res,
+    expected,
+    current,
+    "This user has been changed by someone else since you loaded them! Please check the current version and try again."
+  );
+};
+
 /**
  * @description Update an existing user
- * @param {id, username, fullname, email, role, active} req
+ * The version that the update was made from can be sent in the If-Match header or as __v, and the update is rejected if the user has changed since then
+ * @param {id, username, fullname, email, role, active, __v} req
  * @param {*} res
  * @route PATCH /users/:id
  * @access Admin
@@ -198,6 +255,13 @@ const updateUser = async (req, res) => {
       .json({ message: "User not found!" });
   }
 
+  // Check if the user has been changed since the logged-in admin loaded them. Updates without a version are still allowed
+  const expectedVersion = getExpectedVersion(req);
+
+  if (isStaleVersion(expectedVersion, user)) {
+    return sendStaleUser(res, expectedVersion, id);
+  }
+
   // Check if the entered new username is already taken by another user
   // Use exec() to get a fully-fledged promise
   // Use collation to make the search case-insensitive -> Check for both lowercase and uppercase characters ('Hoang' and 'hoang' are considered duplicate users)
@@ -228,13 +292,25 @@ const updateUser = async (req, res) => {
   user.role = role;
   user.active = active;
 
-  // Save the updated user in the database
-  const updatedUser = await user.save();
+  // Save the updated user in the database. The save fails if someone else has saved the user since it was loaded here
+  let updatedUser;
+  try {
+    updatedUser = await user.save();
+  } catch (err) {
+    if (!(err instanceof mongoose.Error.VersionError)) throw err;
+    return sendStaleUser(res, expectedVersion, id);
+  }
+
+  // Sign a deactivated user out of every device right away
+  if (!updatedUser.active) {
+    await revokeSessions({ user: updatedUser._id });
+  }
 
   // Send a notification email to the user
   const message = `Hi ${updatedUser.username}! Your Meganote account information has been updated!`;
   sendMail(updatedUser.email, "Meganote - Account Updated", message);
 
+  setVersionETag(res, updatedUser);
   res.status(StatusCodes.OK).json({
     updatedUser,
     message: `User "${updatedUser.fullname}" updated successfully!`,
@@ -258,9 +334,7 @@ const deleteUser = async (req, res) => {
   }
 
   // Check if the user has assigned notes
-  const notes = await Note.findOne({ user: id, isDeleted: false })
-    .lean()
-    .exec();
+  const notes = await Note.findOne({ user: id }).lean().exec();
 
   if (notes || notes?.length) {
     return res
@@ -268,14 +342,8 @@ const deleteUser = async (req, res) => {
       .json({ message: "Cannot delete users with assigned notes!" });
   }
 
-  const date = new Date();
-
   // If the user exists, soft delete them
-  const user = await User.findOneAndUpdate(
-    { _id: id },
-    { isDeleted: true, deletedAt: date },
-    { new: true }
-  ).exec();
+  const user = await User.softDeleteOne({ _id: id }).exec();
 
   // If the user doesn't exist, return an error
   if (!user) {
@@ -284,12 +352,117 @@ const deleteUser = async (req, res) => {
       .json({ message: "User not found!" });
   }
 
+  // Deleted users can't stay signed in
+  await revokeSessions({ user: user._id });
+
   // Return a success message after deleting the user
   res.status(StatusCodes.OK).json({
     message: `User "${user.fullname}" has been deleted!`,
   });
 };
 
+/**
+ * @description Send a new invitation email to a user who hasn't accepted their invitation yet
+ * @param {id} req
+ * @param {*} res
+ * @route POST /users/:id/invitation
+ * @access Admin
+ */
+const resendInvitation = async (req, res) => {
+  const user = await User.findById(req.params.id).exec();
+
+  if (!user) {
+    return res
+      .status(StatusCodes.BAD_REQUEST)
+      .json({ message: "User not found!" });
+  }
+
+  // Users who accepted their invitation have their invitation cleared
+  if (!user.invitationSentAt) {
+    return res
+      .status(StatusCodes.CONFLICT)
+      .json({ message: "This user doesn't have a pending invitation!" });
+  }
+
+  // A new token invalidates the link in the previous invitation email
+  const { token, hashedToken } = createHashedToken();
+  user.invitationToken = hashedToken;
+  user.invitationSentAt = new Date();
+  await user.save();
+
+  sendInvitationEmail(user, token);
+
+  res.status(StatusCodes.OK).json({
+    message: `A new invitation email has been sent to "${user.fullname}"!`,
+  });
+};
+
+/**
+ * @description Unlock a user's account that was locked after too many failed logins
+ * @param {id} req
+ * @param {*} res
+ * @route DELETE /users/:id/lockout
+ * @access Admin
+ */
+const unlockUser = async (req, res) => {
+  const user = await User.findById(req.params.id).lean().exec();
+
+  if (!user) {
+    return res
+      .status(StatusCodes.BAD_REQUEST)
+      .json({ message: "User not found!" });
+  }
+
+  await resetLoginAttempts(user.username);
+
+  res
+    .status(StatusCodes.OK)
+    .json({ message: `User "${user.fullname}" has been unlocked!` });
+};
+
+/**
+ * @description Get the active sessions (signed-in devices) of a user
+ * @param {id} req
+ * @param {*} res
+ * @route GET /users/:id/sessions
+ * @access Admin
+ */
+const getUserSessions = async (req, res) => {
+  const sessions = await Session.find({
+    user: req.params.id,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  })
+    .sort({ lastSeenAt: -1 })
+    .lean()
+    .exec();
+
+  res.status(StatusCodes.OK).json({ sessions });
+};
+
+/**
+ * @description Sign a user out of every session
+ * @param {id} req
+ * @param {*} res
+ * @route DELETE /users/:id/sessions
+ * @access Admin
+ */
+const revokeUserSessions = async (req, res) => {
+  const user = await User.findById(req.params.id).lean().exec();
+
+  if (!user) {
+    return res
+      .status(StatusCodes.BAD_REQUEST)
+      .json({ message: "User not found!" });
+  }
+
+  const count = await revokeSessions({ user: user._id });
+
+  res.status(StatusCodes.OK).json({
+    message: `${count} session(s) of user "${user.fullname}" have been signed out!`,
+  });
+};
+
 module.exports = {
   getAllUsers,
   getUsers,
@@ -297,4 +470,8 @@ module.exports = {
   createUser,
   updateUser,
   deleteUser,
+  resendInvitation,
+  unlockUser,
+  getUserSessions,
+  revokeUserSessions,
 };
@@ -0,0 +1,33 @@
+const scheduleJob = require("./scheduler");
+const { sendDueReminders } = require("../utils/reminders");
+const { logEvents } = require("../middleware/logger");
+
+/**
+ * @description This file contains the scheduled job that emails assignees about notes that are due soon or overdue
+ * @author [Hoang Le Chau](https://github.com/hoanglechau)
+ */
+
+// How often notes are checked for reminders
+const DUE_REMINDER_INTERVAL =
+  parseInt(process.env.DUE_REMINDER_INTERVAL_MINUTES || 15) * 60 * 1000; // 15 minutes
+
+/**
+ * @description Send the due reminders once and log how many were sent
+ */
+const runDueReminders = async () => {
+  const { dueSoon, overdue } = await sendDueReminders();
+  if (dueSoon || overdue) {
+    logEvents(
+      `Due reminders: sent ${dueSoon} due soon and ${overdue} overdue reminder(s)`,
+      "jobLog.log"
+    );
+  }
+};
+
+/**
+ * @description Run the due reminder job now and then on a fixed interval
+ */
+const startDueReminderJob = () =>
+  scheduleJob("Due reminders", runDueReminders, DUE_REMINDER_INTERVAL);
+
+module.exports = startDueReminderJob;
@@ -0,0 +1,34 @@
+const { logEvents } = require("../middleware/logger");
+
+/**
+ * @description This file contains the in-process scheduler that runs the background jobs
+ * @author [Hoang Le Chau](https://github.com/hoanglechau)
+ */
+
+/**
+ * @description Run a job now and then on a fixed interval. A run is skipped if the previous one hasn't finished yet
+ * @param {*} name The name of the job in the logs
+ * @param {*} job An async function
+ * @param {*} intervalMs
+ */
+const scheduleJob = (name, job, intervalMs) => {
+  let running = false;
+
+  const run = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await job();
+    } catch (err) {
+      logEvents(`${name} failed: ${err.message}`, "errLog.log");
+    } finally {
+      running = false;
+    }
+  };
+
+  run();
+  // unref() lets the process exit even if the timer is still scheduled
+  setInterval(run, intervalMs).unref();
+};
+
+module.exports = scheduleJob;
@@ -0,0 +1,33 @@
+const scheduleJob = require("./scheduler");
+const { purgeExpiredTrash } = require("../utils/trash");
+const { logEvents } = require("../middleware/logger");
+
+/**
+ * @description This file contains the scheduled job that purges old notes and users from the trash
+ * @author [Hoang Le Chau](https://github.com/hoanglechau)
+ */
+
+// How often the trash is checked for expired notes and users
+const TRASH_RETENTION_INTERVAL =
+  parseInt(process.env.TRASH_RETENTION_INTERVAL_MINUTES || 60 * 24) * 60 * 1000; // 1 day
+
+/**
+ * @description Purge the expired trash once and log what was removed
+ */
+const runTrashRetention = async () => {
+  const { notes, users, attachments } = await purgeExpiredTrash();
+  if (notes || users || attachments) {
+    logEvents(
+      `Trash retention: purged ${notes} note(s), ${users} user(s), and ${attachments} attachment(s)`,
+      "jobLog.log"
+    );
+  }
+};
+
+/**
+ * @description Run the trash retention job now and then on a fixed interval
+ */
+const startTrashRetentionJob = () =>
+  scheduleJob("Trash retention", runTrashRetention, TRASH_RETENTION_INTERVAL);
+
+module.exports = startTrashRetentionJob;
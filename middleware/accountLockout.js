@@ -0,0 +1,45 @@
+const { StatusCodes } = require("http-status-codes");
+const { getLoginBlock } = require("../utils/loginAttempts");
+const { logEvents } = require("./logger");
+
+/**
+ * @description This file contains the account lockout middleware
+ * @author [Hoang Le Chau](https://github.com/hoanglechau)
+ */
+
+/**
+ * @description Reject login attempts for a username that is locked or has to wait after failed logins
+ * @param {*} req
+ * @param {*} res
+ * @param {*} next
+ */
+const accountLockout = async (req, res, next) => {
+  const { username } = req.body;
+
+  // Let the controller handle the missing username
+  if (!username || typeof username !== "string") return next();
+
+  const block = await getLoginBlock(username);
+
+  if (!block) return next();
+
+  const message = block.locked
+    ? `This account is temporarily locked after too many failed login attempts, please try again in ${Math.ceil(
+        block.retryAfter / 60
+      )} minute(s)!`
+    : `Too many failed login attempts, please try again after a ${block.retryAfter} second pause!`;
+
+  logEvents(
+    `${block.locked ? "Locked" : "Too Many Requests"}: ${message}\t${
+      req.method
+    }\t${req.url}\t${req.headers.origin}`,
+    "errLog.log"
+  );
+
+  res.set("Retry-After", block.retryAfter.toString());
+  res
+    .status(block.locked ? StatusCodes.LOCKED : StatusCodes.TOO_MANY_REQUESTS)
+    .json({ message });
+};
+
+module.exports = accountLockout;
@@ -0,0 +1,23 @@
+/**
+ * @description This file contains the middleware for filtering request bodies through an allow-list
+ * @author [Hoang Le Chau](https://github.com/hoanglechau)
+ */
+
+/**
+ * @description Only keep the allowed fields in the request body, so fields like 'role' and 'active' can't be injected
+ * @param  {...any} fields
+ * @returns
+ */
+const allowFields =
+  (...fields) =>
+  (req, res, next) => {
+    const body = req.body || {};
+    req.body = Object.fromEntries(
+      fields
+        .filter(field => Object.prototype.hasOwnProperty.call(body, field))
+        .map(field => [field, body[field]])
+    );
+    next();
+  };
+
+module.exports = allowFields;
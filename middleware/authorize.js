@@ -0,0 +1,30 @@
+const { StatusCodes } = require("http-status-codes");
+
+/**
+ * @description This file contains the authorization middleware. It must be used after verifyJWT
+ * @author [Hoang Le Chau](https://github.com/hoanglechau)
+ */
+
+/**
+ * @description Send the same 403 response for every authorization denial
+ * @param {*} res
+ * @returns
+ */
+const forbidden = res =>
+  res
+    .status(StatusCodes.FORBIDDEN)
+    .json({ message: "You don't have permission to perform this action!" });
+
+/**
+ * @description Only allow users with one of the given roles
+ * @param  {...any} allowedRoles
+ * @returns
+ */
+const authorizeRoles =
+  (...allowedRoles) =>
+  (req, res, next) => {
+    if (!allowedRoles.includes(req.role)) return forbidden(res);
+    next();
+  };
+
+module.exports = { forbidden, authorizeRoles };
@@ -1,4 +1,6 @@
-const { logEvents } = require("./logger");
+const mongoose = require("mongoose");
+const { StatusCodes } = require("http-status-codes");
+const { logEvents, getLoggedUrl } = require("./logger");
 
 /**
  * @description This file contains the error handler middleware
@@ -14,13 +16,21 @@ const { logEvents } = require("./logger");
  */
 const errorHandler = (err, req, res, next) => {
   logEvents(
-    `${err.name}: ${err.message}\t${req.method}\t${req.url}\t${req.headers.origin}`,
+    `${err.name}: ${err.message}\t${req.method}\t${getLoggedUrl(req)}\t${
+      req.headers.origin
+    }`,
     "errLog.log"
   );
   // Log out many details of the error
   console.log(err.stack);
 
-  const status = res.statusCode ? res.statusCode : 500; // server error
+  // A document that someone else saved while this request was changing it
+  const status =
+    err instanceof mongoose.Error.VersionError
+      ? StatusCodes.CONFLICT
+      : res.statusCode
+      ? res.statusCode
+      : 500; // server error
 
   res.status(status);
 
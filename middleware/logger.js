@@ -35,6 +35,17 @@ const logEvents = async (message, logFileName) => {
   }
 };
 
+// Query parameters that are secrets, like the tickets that open the note event stream, and must not end up in the logs
+const SECRET_QUERY_PARAMS = /([?&]ticket=)[^&#]*/gi;
+
+/**
+ * @description Get the url of a request for the logs, with the values of secret query parameters hidden
+ * @param {*} req
+ * @returns
+ */
+const getLoggedUrl = req =>
+  req.url.replace(SECRET_QUERY_PARAMS, "$1[redacted]");
+
 /**
  * @description Log the method, url, and origin of every request that comes into the server
  * @param {*} req
@@ -44,10 +55,13 @@ const logEvents = async (message, logFileName) => {
 const logger = (req, res, next) => {
   // Log every request that comes into the server
   // Can also include if clauses to log only certain requests
-  logEvents(`${req.method}\t${req.url}\t${req.headers.origin}`, "reqLog.log");
+  logEvents(
+    `${req.method}\t${getLoggedUrl(req)}\t${req.headers.origin}`,
+    "reqLog.log"
+  );
   console.log(`${req.method} ${req.path}`);
   // Move onto the next piece of middleware
   next();
 };
 
-module.exports = { logEvents, logger };
+module.exports = { logEvents, getLoggedUrl, logger };
@@ -1,5 +1,7 @@
 const rateLimit = require("express-rate-limit");
 const { logEvents } = require("./logger");
+const rateLimitStore = require("../config/rateLimitStore");
+const { toExpressRateLimitStore } = require("../utils/rateLimitStores");
 
 /**
  * @description This file contains the login limiter middleware
@@ -24,6 +26,8 @@ const loginLimiter = rateLimit({
     );
     res.status(options.statusCode).send(options.message);
   },
+  // Keep the counters in the shared store, so they survive restarts and are shared between server instances
+  store: toExpressRateLimitStore(rateLimitStore, "login-ip:"),
   // These headers are recommended in the official documentation
   standardHeaders: true, // Return rate limit info in the `RateLimit-*` headers
   legacyHeaders: false, // Disable the `X-RateLimit-*` headers
@@ -0,0 +1,28 @@
+const { forbidden } = require("./authorize");
+
+/**
+ * @description This file contains the middleware that enforces the scopes of personal access tokens. It must be used after verifyJWT
+ * @author [Hoang Le Chau](https://github.com/hoanglechau)
+ */
+
+// These methods only need the read scope, every other method needs the write scope
+const READ_METHODS = ["GET", "HEAD", "OPTIONS"];
+
+/**
+ * @description Only let personal access tokens through if they have the read or write scope of the resource. Requests with a JWT are not limited by scopes
+ * @param {*} resource
+ * @returns
+ */
+const requireScope = resource => (req, res, next) => {
+  // req.scopes is only set for personal access tokens
+  if (!req.scopes) return next();
+
+  const scope = `${resource}:${
+    READ_METHODS.includes(req.method) ? "read" : "write"
+  }`;
+
+  if (!req.scopes.includes(scope)) return forbidden(res);
+  next();
+};
+
+module.exports = requireScope;
@@ -0,0 +1,24 @@
+const { StatusCodes } = require("http-status-codes");
+
+/**
+ * @description This file contains the middleware that blocks users who still have to set up mandatory 2FA. It must be used after verifyJWT
+ * @author [Hoang Le Chau](https://github.com/hoanglechau)
+ */
+
+/**
+ * @description Only let the request through if the user doesn't have a pending mandatory 2FA setup
+ * @param {*} req
+ * @param {*} res
+ * @param {*} next
+ */
+const requireTwoFactor = (req, res, next) => {
+  if (req.twoFactorSetupRequired) {
+    return res.status(StatusCodes.FORBIDDEN).json({
+      message: "Please set up two-factor authentication to continue!",
+      twoFactorSetupRequired: true,
+    });
+  }
+  next();
+};
+
+module.exports = requireTwoFactor;
@@ -0,0 +1,57 @@
+const multer = require("multer");
+const { StatusCodes } = require("http-status-codes");
+const attachmentOptions = require("../config/attachments");
+
+/**
+ * @description This file contains the middleware for parsing an attachment upload (multipart/form-data with a 'file' field)
+ * @author [Hoang Le Chau](https://github.com/hoanglechau)
+ */
+
+// Files are kept in memory until the controller saves them to the file storage. The size limit keeps that bounded
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: attachmentOptions.maxFileSize, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (!attachmentOptions.allowedMimeTypes.includes(file.mimetype)) {
+      req.unsupportedMimeType = file.mimetype;
+      return cb(null, false);
+    }
+    cb(null, true);
+  },
+}).single("file");
+
+/**
+ * @description Parse the uploaded file into req.file, and reject files that are too large or of a type that isn't allowed
+ * @param {*} req
+ * @param {*} res
+ * @param {*} next
+ */
+const uploadAttachment = (req, res, next) => {
+  upload(req, res, err => {
+    if (err instanceof multer.MulterError) {
+      if (err.code === "LIMIT_FILE_SIZE") {
+        return res.status(StatusCodes.REQUEST_TOO_LONG).json({
+          message: `Files can't be larger than ${
+            attachmentOptions.maxFileSize / 1024 / 1024
+          } MB!`,
+        });
+      }
+      return res.status(StatusCodes.BAD_REQUEST).json({ message: err.message });
+    }
+    if (err) return next(err);
+
+    if (req.unsupportedMimeType) {
+      return res.status(StatusCodes.UNSUPPORTED_MEDIA_TYPE).json({
+        message: `Files of type ${req.unsupportedMimeType} can't be uploaded!`,
+      });
+    }
+    if (!req.file) {
+      return res
+        .status(StatusCodes.BAD_REQUEST)
+        .json({ message: "Missing required data!" });
+    }
+    next();
+  });
+};
+
+module.exports = uploadAttachment;
@@ -0,0 +1,57 @@
+const multer = require("multer");
+const { StatusCodes } = require("http-status-codes");
+const noteImportOptions = require("../config/noteImport");
+
+/**
+ * @description This file contains the middleware for parsing a CSV upload (multipart/form-data with a 'file' field)
+ * @author [Hoang Le Chau](https://github.com/hoanglechau)
+ */
+
+// The file is parsed in memory, the size limit keeps that bounded
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: noteImportOptions.maxFileSize, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (!noteImportOptions.allowedMimeTypes.includes(file.mimetype)) {
+      req.unsupportedMimeType = file.mimetype;
+      return cb(null, false);
+    }
+    cb(null, true);
+  },
+}).single("file");
+
+/**
+ * @description Parse the uploaded CSV file into req.file, and reject files that are too large or aren't CSV files
+ * @param {*} req
+ * @param {*} res
+ * @param {*} next
+ */
+const uploadCsv = (req, res, next) => {
+  upload(req, res, err => {
+    if (err instanceof multer.MulterError) {
+      if (err.code === "LIMIT_FILE_SIZE") {
+        return res.status(StatusCodes.REQUEST_TOO_LONG).json({
+          message: `CSV files can't be larger than ${
+            noteImportOptions.maxFileSize / 1024 / 1024
+          } MB!`,
+        });
+      }
+      return res.status(StatusCodes.BAD_REQUEST).json({ message: err.message });
+    }
+    if (err) return next(err);
+
+    if (req.unsupportedMimeType) {
+      return res.status(StatusCodes.UNSUPPORTED_MEDIA_TYPE).json({
+        message: "Only CSV files can be imported!",
+      });
+    }
+    if (!req.file) {
+      return res
+        .status(StatusCodes.BAD_REQUEST)
+        .json({ message: "Missing required data!" });
+    }
+    next();
+  });
+};
+
+module.exports = uploadCsv;
@@ -0,0 +1,50 @@
+const { StatusCodes } = require("http-status-codes");
+const Session = require("../models/Session");
+const verifyJWT = require("./verifyJWT");
+const { verifyEventTicket } = require("../utils/tokens");
+
+/**
+ * @description This file contains the middleware that authenticates the note event stream, with a ticket in the URL or like the other APIs
+ * @author [Hoang Le Chau](https://github.com/hoanglechau)
+ */
+
+/**
+ * @description Let the request act as the user of the ticket in the query string (from POST /notes/events/ticket). Requests without a ticket are verified by verifyJWT
+ * @param {ticket} req
+ * @param {*} res
+ * @param {*} next
+ */
+const verifyEventStream = async (req, res, next) => {
+  if (!req.query.ticket) return verifyJWT(req, res, next);
+
+  const ticket = verifyEventTicket(req.query.ticket);
+
+  if (!ticket) {
+    return res
+      .status(StatusCodes.UNAUTHORIZED)
+      .json({ message: "Invalid or expired event ticket!" });
+  }
+
+  // Tickets from signed out sessions stop working like the access tokens they came from
+  if (ticket.sessionId) {
+    const session = await Session.findById(ticket.sessionId).lean().exec();
+
+    if (!session || session.revokedAt) {
+      return res.status(StatusCodes.UNAUTHORIZED).json({
+        message: "Your session has been signed out! Please log in again!",
+      });
+    }
+  }
+
+  req.user = ticket.username;
+  req.role = ticket.role;
+  req.userId = ticket._id;
+  req.sessionId = ticket.sessionId;
+  req.scopes = ticket.scopes;
+  req.tokenExpiresAt = ticket.tokenExpiresAt;
+  // Tickets are only given to users who have passed requireTwoFactor
+  req.twoFactorSetupRequired = false;
+  next();
+};
+
+module.exports = verifyEventStream;
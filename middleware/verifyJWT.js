@@ -1,5 +1,14 @@
 const jwt = require("jsonwebtoken");
 const { StatusCodes } = require("http-status-codes");
+const Session = require("../models/Session");
+const User = require("../models/User");
+const { touchSession } = require("../utils/sessions");
+const { isTwoFactorSetupRequired } = require("../utils/twoFactor");
+const {
+  isApiToken,
+  findValidApiToken,
+  touchApiToken,
+} = require("../utils/apiTokens");
 
 /**
  * @description This file contains the middleware for verifying the JWT token
@@ -7,12 +16,46 @@ const { StatusCodes } = require("http-status-codes");
  */
 
 /**
- * @description Verify the JWT token
+ * @description Verify a personal access token and let the request act as its owner, limited to the token's scopes
+ * @param {*} token
  * @param {*} req
  * @param {*} res
  * @param {*} next
  */
-const verifyJWT = (req, res, next) => {
+const verifyApiToken = async (token, req, res, next) => {
+  const apiToken = await findValidApiToken(token);
+
+  // Tokens stop working as soon as their owner is deactivated or deleted
+  const user = apiToken
+    ? await User.findById(apiToken.user).lean().exec()
+    : null;
+
+  if (!user || !user.active) {
+    return res
+      .status(StatusCodes.UNAUTHORIZED)
+      .json({ message: "Invalid or expired access token!" });
+  }
+
+  await touchApiToken(apiToken);
+
+  req.user = user.username;
+  req.role = user.role;
+  req.userId = user._id.toString();
+  req.scopes = apiToken.scopes;
+  // Personal access tokens don't expire while the request runs
+  req.tokenExpiresAt = null;
+  // Tokens of users who haven't set up mandatory 2FA yet are held back like their access tokens
+  req.twoFactorSetupRequired = await isTwoFactorSetupRequired(user);
+  next();
+};
+
+/**
+ * @description Verify the JWT token and the session it belongs to, or a personal access token
+ * @param {*} req
+ * @param {*} res
+ * @param {*} next
+ */
+const verifyJWT = async (req, res, next) => {
   // Look for both the lowercase and uppercase Authorization header
   const authHeader = req.headers.authorization || req.headers.Authorization;
 
@@ -26,14 +69,43 @@ const verifyJWT = (req, res, next) => {
   // We don't want the word 'Bearer' and the space in our token
   const token = authHeader.split(" ")[1];
 
+  if (isApiToken(token)) {
+    return verifyApiToken(token, req, res, next);
+  }
+
   // Verify the token with jwt
-  jwt.verify(token, process.env.ACCESS_TOKEN_SECRET, (err, decoded) => {
-    if (err)
-      return res.status(StatusCodes.FORBIDDEN).json({ message: "Forbidden!" });
-    req.user = decoded.UserInfo.username;
-    req.roles = decoded.UserInfo.roles;
-    next();
-  });
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.ACCESS_TOKEN_SECRET);
+  } catch (err) {
+    return res.status(StatusCodes.FORBIDDEN).json({ message: "Forbidden!" });
+  }
+
+  // Tokens without UserInfo (like 2FA challenge tokens) are not access tokens
+  if (!decoded.UserInfo) {
+    return res.status(StatusCodes.FORBIDDEN).json({ message: "Forbidden!" });
+  }
+
+  // Reject the token as soon as its session has been signed out, even if it hasn't expired yet
+  const session = decoded.UserInfo.sessionId
+    ? await Session.findById(decoded.UserInfo.sessionId).lean().exec()
+    : null;
+
+  if (!session || session.revokedAt) {
+    return res.status(StatusCodes.UNAUTHORIZED).json({
+      message: "Your session has been signed out! Please log in again!",
+    });
+  }
+
+  await touchSession(session);
+
+  req.user = decoded.UserInfo.username;
+  req.role = decoded.UserInfo.role;
+  req.userId = decoded.UserInfo._id;
+  req.sessionId = decoded.UserInfo.sessionId;
+  req.tokenExpiresAt = decoded.exp * 1000;
+  req.twoFactorSetupRequired = !!decoded.UserInfo.twoFactorSetupRequired;
+  next();
 };
 
 module.exports = verifyJWT;
@@ -0,0 +1,52 @@
+const mongoose = require("mongoose");
+
+/**
+ * @description This file is used to create the ApiToken model. Personal access tokens let scripts and integrations use the API without a password
+ * @author [Hoang Le Chau](https://github.com/hoanglechau)
+ */
+const apiTokenSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      ref: "User",
+      index: true,
+    },
+    name: {
+      type: String,
+      required: true,
+    },
+    // Only the sha256 hash of the token is stored, never the token itself
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+      select: false,
+    },
+    // The first characters of the token, so users can recognize their tokens in the list
+    prefix: {
+      type: String,
+      required: true,
+    },
+    scopes: {
+      type: [String],
+      default: [],
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    lastUsedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+// Name the model "ApiToken", and pass in the API token schema
+module.exports = mongoose.model("ApiToken", apiTokenSchema);
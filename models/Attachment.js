@@ -0,0 +1,49 @@
+const mongoose = require("mongoose");
+const softDelete = require("./plugins/softDelete");
+
+/**
+ * @description This file is used to create the Attachment model. The files themselves are kept in the file storage
+ * @author [Hoang Le Chau](https://github.com/hoanglechau)
+ */
+const attachmentSchema = new mongoose.Schema(
+  {
+    note: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      ref: "Note",
+    },
+    uploadedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      ref: "User",
+    },
+    // The original name of the file, only used when it's downloaded
+    filename: {
+      type: String,
+      required: true,
+    },
+    mimeType: {
+      type: String,
+      required: true,
+    },
+    size: {
+      type: Number,
+      required: true,
+    },
+    // Where the file is kept in the file storage
+    storageKey: {
+      type: String,
+      required: true,
+      select: false,
+    },
+  },
+  { timestamps: true }
+);
+
+attachmentSchema.index({ note: 1, createdAt: 1 });
+
+// Attachments are soft deleted together with their note
+attachmentSchema.plugin(softDelete);
+
+// Name the model "Attachment", and pass in the attachment schema
+module.exports = mongoose.model("Attachment", attachmentSchema);
@@ -0,0 +1,29 @@
+const mongoose = require("mongoose");
+
+/**
+ * @description This file is used to create the ColumnLock model. It stores the locks that let one request at a time add notes to a board column with a WIP limit
+ * @author [Hoang Le Chau](https://github.com/hoanglechau)
+ */
+const columnLockSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  // Only the request that took the lock can release it
+  lockId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+  },
+  // When the lock is released anyway, in case the request that took it never releases it
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+});
+
+// Let MongoDB remove expired locks automatically
+columnLockSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Name the model "ColumnLock", and pass in the column lock schema
+module.exports = mongoose.model("ColumnLock", columnLockSchema);
@@ -0,0 +1,43 @@
+const mongoose = require("mongoose");
+
+/**
+ * @description This file is used to create the Comment model. Comments are the discussion thread of a note
+ * @author [Hoang Le Chau](https://github.com/hoanglechau)
+ */
+const commentSchema = new mongoose.Schema(
+  {
+    note: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      ref: "Note",
+    },
+    author: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      ref: "User",
+    },
+    text: {
+      type: String,
+      required: true,
+    },
+    // The users that are @mentioned in the text
+    mentions: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+    ],
+    // Set when the author or an admin edits the comment
+    editedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+// Comments are always listed per note, oldest first
+commentSchema.index({ note: 1, createdAt: 1 });
+
+// Name the model "Comment", and pass in the comment schema
+module.exports = mongoose.model("Comment", commentSchema);
@@ -0,0 +1,23 @@
+const mongoose = require("mongoose");
+
+/**
+ * @description This file is used to create the Label model. Labels group notes by area, like billing or onboarding
+ * @author [Hoang Le Chau](https://github.com/hoanglechau)
+ */
+const labelSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+    },
+    // Hex colour like #1e90ff
+    color: {
+      type: String,
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+// Name the model "Label", and pass in the label schema
+module.exports = mongoose.model("Label", labelSchema);
@@ -1,4 +1,7 @@
 const mongoose = require("mongoose");
+const softDelete = require("./plugins/softDelete");
+const PRIORITIES = require("../config/priorities");
+const { rankAfter } = require("../utils/ranks");
 const AutoIncrement = require("mongoose-sequence")(mongoose);
 
 /**
@@ -24,20 +27,91 @@ const noteSchema = new mongoose.Schema(
       type: String,
       default: "Open",
     },
-    isDeleted: {
-      type: Boolean,
-      default: false,
+    dueAt: {
+      type: Date,
+      default: null,
+    },
+    labels: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Label",
+      },
+    ],
+    // 1 (Low) to 4 (Urgent), see config/priorities.js
+    priority: {
+      type: Number,
+      enum: Object.values(PRIORITIES),
+      default: PRIORITIES.Medium,
+    },
+    // The note that this note is a subtask of
+    parent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Note",
+      default: null,
+    },
+    // The notes that have to be done before this note can be done
+    blockedBy: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Note",
+      },
+    ],
+    // The place of the note in its board column, see utils/ranks.js
+    boardRank: {
+      type: String,
+      default: null,
+    },
+    // When the reminder emails were sent, so each one is only sent once. Cleared when the due date changes
+    dueSoonReminderSentAt: {
+      type: Date,
+      default: null,
       select: false,
     },
-    deletedAt: {
+    overdueReminderSentAt: {
       type: Date,
       default: null,
       select: false,
     },
   },
-  { timestamps: true }
+  {
+    timestamps: true,
+    // Every save increases the version (__v), and fails if the note has been saved by someone else since it was loaded
+    optimisticConcurrency: true,
+  }
+);
+
+// Full-text search over the title and the text. Matches in the title count more
+noteSchema.index(
+  { title: "text", text: "text" },
+  { name: "note_text_search", weights: { title: 3, text: 1 } }
 );
 
+// For filtering notes by their labels
+noteSchema.index({ labels: 1 });
+
+// For finding the subtasks of a note and the notes that it blocks
+noteSchema.index({ parent: 1 });
+noteSchema.index({ blockedBy: 1 });
+
+// For reading a board column in order
+noteSchema.index({ status: 1, boardRank: 1 });
+
+// New notes go to the end of their board column, unless they're given a place. Notes that change their status are placed by the controllers
+noteSchema.pre("save", async function () {
+  if (!this.isNew || this.boardRank) return;
+
+  const last = await this.constructor
+    .findOne({ status: this.status, boardRank: { $ne: null } })
+    .sort({ boardRank: -1 })
+    .select("boardRank")
+    .lean()
+    .exec();
+  this.boardRank = rankAfter(last?.boardRank);
+});
+
+// Adds isDeleted and deletedAt, and hides soft deleted notes from every query
+noteSchema.plugin(softDelete);
+
 // This plugin will create a separate collection called "counter"
 noteSchema.plugin(AutoIncrement, {
   inc_field: "ticket",
@@ -0,0 +1,36 @@
+const mongoose = require("mongoose");
+const AutoIncrement = require("mongoose-sequence")(mongoose);
+
+/**
+ * @description This file is used to create the NoteEvent model. It stores the note events of the MongoDB pub/sub, so every server instance can send them and replay them after a reconnect
+ * @author [Hoang Le Chau](https://github.com/hoanglechau)
+ */
+const noteEventSchema = new mongoose.Schema({
+  // The event as it's sent to the subscribers
+  event: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Let MongoDB remove old events automatically. Clients that were away for longer have to reload
+noteEventSchema.index(
+  { createdAt: 1 },
+  {
+    expireAfterSeconds:
+      (parseInt(process.env.NOTE_EVENTS_RETENTION_MINUTES) || 60) * 60,
+  }
+);
+
+// Every event gets the next number in one sequence for all server instances, which is also its event id
+noteEventSchema.plugin(AutoIncrement, {
+  inc_field: "seq",
+  id: "noteEventSeq",
+});
+
+// Name the model "NoteEvent", and pass in the note event schema
+module.exports = mongoose.model("NoteEvent", noteEventSchema);
@@ -0,0 +1,57 @@
+const mongoose = require("mongoose");
+
+/**
+ * @description This file is used to create the NoteRevision model. Every change to a note is saved as a revision
+ * @author [Hoang Le Chau](https://github.com/hoanglechau)
+ */
+const noteRevisionSchema = new mongoose.Schema(
+  {
+    note: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      ref: "Note",
+    },
+    // Revisions are numbered per note, starting at 1
+    revision: {
+      type: Number,
+      required: true,
+    },
+    // The user who made the change. Null for the baseline of notes that existed before revisions were recorded
+    author: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    action: {
+      type: String,
+      enum: ["baseline", "create", "update", "restore"],
+      required: true,
+    },
+    // The revision that was restored, for "restore" revisions. Null when the note was restored from the trash
+    restoredFrom: {
+      type: Number,
+      default: null,
+    },
+    // The fields that changed in this revision, with their old and new values
+    changes: [
+      {
+        _id: false,
+        field: String,
+        from: mongoose.Schema.Types.Mixed,
+        to: mongoose.Schema.Types.Mixed,
+      },
+    ],
+    // The tracked fields of the note after this revision, used for diffs and restores
+    snapshot: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+// Two revisions of a note can't have the same number
+noteRevisionSchema.index({ note: 1, revision: 1 }, { unique: true });
+
+// Name the model "NoteRevision", and pass in the note revision schema
+module.exports = mongoose.model("NoteRevision", noteRevisionSchema);
@@ -0,0 +1,28 @@
+const mongoose = require("mongoose");
+
+/**
+ * @description This file is used to create the RateLimit model. It stores the counters of the MongoDB rate limit store
+ * @author [Hoang Le Chau](https://github.com/hoanglechau)
+ */
+const rateLimitSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  count: {
+    type: Number,
+    default: 0,
+  },
+  // When the current window of the counter ends
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+});
+
+// Let MongoDB remove expired counters automatically
+rateLimitSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Name the model "RateLimit", and pass in the rate limit schema
+module.exports = mongoose.model("RateLimit", rateLimitSchema);
@@ -0,0 +1,47 @@
+const mongoose = require("mongoose");
+
+/**
+ * @description This file is used to create the RefreshToken model
+ * @author [Hoang Le Chau](https://github.com/hoanglechau)
+ */
+const refreshTokenSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      ref: "User",
+    },
+    // Only the sha256 hash of the refresh token is stored, never the token itself
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // Every token created by rotating the same login shares one family id. Reusing an old token revokes the whole family
+    family: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    // Hash of the token that replaced this one during rotation
+    replacedBy: {
+      type: String,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+// Let MongoDB remove expired refresh tokens automatically
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Name the model "RefreshToken", and pass in the refresh token schema
+module.exports = mongoose.model("RefreshToken", refreshTokenSchema);
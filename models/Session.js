@@ -0,0 +1,50 @@
+const mongoose = require("mongoose");
+
+/**
+ * @description This file is used to create the Session model. A session is created at every login and lives as long as its refresh tokens
+ * @author [Hoang Le Chau](https://github.com/hoanglechau)
+ */
+const sessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      ref: "User",
+      index: true,
+    },
+    // The refresh token family that belongs to this session
+    family: {
+      type: String,
+      required: true,
+      unique: true,
+      select: false,
+    },
+    userAgent: {
+      type: String,
+      default: "",
+    },
+    ip: {
+      type: String,
+      default: "",
+    },
+    lastSeenAt: {
+      type: Date,
+      default: Date.now,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+// Let MongoDB remove expired sessions automatically
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Name the model "Session", and pass in the session schema
+module.exports = mongoose.model("Session", sessionSchema);
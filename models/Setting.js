@@ -0,0 +1,23 @@
+const mongoose = require("mongoose");
+
+/**
+ * @description This file is used to create the Setting model. It stores app-wide settings that admins can change at runtime
+ * @author [Hoang Le Chau](https://github.com/hoanglechau)
+ */
+const settingSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    value: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+// Name the model "Setting", and pass in the setting schema
+module.exports = mongoose.model("Setting", settingSchema);
@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const softDelete = require("./plugins/softDelete");
 
 /**
  * @description This file is used to create the User model
@@ -22,6 +23,12 @@ const userSchema = new mongoose.Schema(
       type: String,
       required: true,
     },
+    // bcrypt hashes of the previous passwords, newest first, so they can't be used again
+    passwordHistory: {
+      type: [String],
+      default: [],
+      select: false,
+    },
     avatarUrl: {
       type: String,
       required: false,
@@ -35,15 +42,19 @@ const userSchema = new mongoose.Schema(
       type: Boolean,
       default: true,
     },
-    isDeleted: {
+    // Defaults to true so that accounts created before email verification existed can still log in. New accounts set it to false explicitly
+    emailVerified: {
       type: Boolean,
-      default: false,
-      select: false,
+      default: true,
     },
-    deletedAt: {
-      type: Date,
+    // The OpenID Connect identity that is linked to this user
+    oidcIssuer: {
+      type: String,
+      default: null,
+    },
+    oidcSubject: {
+      type: String,
       default: null,
-      select: false,
     },
     passwordResetToken: {
       type: String,
@@ -53,9 +64,48 @@ const userSchema = new mongoose.Schema(
       type: Date,
       default: null,
     },
+    // sha256 hash of the single-use invitation token that admin-created users get to set their own password
+    invitationToken: {
+      type: String,
+      default: null,
+      select: false,
+    },
+    invitationSentAt: {
+      type: Date,
+      default: null,
+    },
+    twoFactorEnabled: {
+      type: Boolean,
+      default: false,
+    },
+    // Base32 TOTP secret, only selected when it's needed to check a code
+    twoFactorSecret: {
+      type: String,
+      default: null,
+      select: false,
+    },
+    // The TOTP time step of the last code that was accepted. Codes from this step or earlier ones can't be used again
+    twoFactorLastTimeStep: {
+      type: Number,
+      default: null,
+      select: false,
+    },
+    // sha256 hashes of the unused one-time recovery codes
+    recoveryCodes: {
+      type: [String],
+      default: [],
+      select: false,
+    },
   },
-  { timestamps: true }
+  {
+    timestamps: true,
+    // Every save increases the version (__v), and fails if the user has been saved by someone else since it was loaded
+    optimisticConcurrency: true,
+  }
 );
 
+// Adds isDeleted and deletedAt, and hides soft deleted users from every query
+userSchema.plugin(softDelete);
+
 // Name the model "User", and pass in the user schema
 module.exports = mongoose.model("User", userSchema);
@@ -0,0 +1,143 @@
+/**
+ * @description This file contains the soft delete plugin that the Note and User models share
+ * @author [Hoang Le Chau](https://github.com/hoanglechau)
+ */
+
+// Set on a query by withDeleted() so that the query also returns soft deleted documents
+const WITH_DELETED = Symbol("withDeleted");
+
+// Every query that reads or updates documents hides the soft deleted ones. Hard deletes (deleteOne, deleteMany) are left alone, so purging the trash still works
+const QUERY_MIDDLEWARE = [
+  "count",
+  "countDocuments",
+  "distinct",
+  "find",
+  "findOne",
+  "findOneAndUpdate",
+  "findOneAndReplace",
+  "replaceOne",
+  "update",
+  "updateOne",
+  "updateMany",
+];
+
+// Also matches old documents that were created before the isDeleted field existed
+const NOT_DELETED = { $ne: true };
+
+/**
+ * @description Check if a query filter already says which documents it wants, like { isDeleted: true } in the trash
+ * @param {*} filter
+ * @returns
+ */
+const mentionsIsDeleted = filter =>
+  !!filter && Object.prototype.hasOwnProperty.call(filter, "isDeleted");
+
+/**
+ * @description Add the isDeleted and deletedAt fields, hide soft deleted documents from every query, and add the helpers to soft delete and restore documents
+ * @param {*} schema
+ */
+const softDelete = schema => {
+  // Deleting and restoring are changes, so they bump the version of models with optimistic concurrency like a save does
+  const bumpVersion = schema.options.optimisticConcurrency
+    ? { $inc: { [schema.options.versionKey]: 1 } }
+    : {};
+
+  schema.add({
+    isDeleted: {
+      type: Boolean,
+      default: false,
+      select: false,
+    },
+    deletedAt: {
+      type: Date,
+      default: null,
+      select: false,
+    },
+  });
+
+  schema.pre(QUERY_MIDDLEWARE, function () {
+    if (this[WITH_DELETED] || mentionsIsDeleted(this.getFilter())) return;
+    this.where({ isDeleted: NOT_DELETED });
+  });
+
+  // Aggregations can include soft deleted documents by matching on isDeleted in their first stage
+  schema.pre("aggregate", function () {
+    const pipeline = this.pipeline();
+    const [firstStage] = pipeline;
+
+    // $text and $geoNear have to stay the first stage, so add the condition to the first $match instead of in front of it
+    if (firstStage?.$match) {
+      if (!mentionsIsDeleted(firstStage.$match)) {
+        firstStage.$match.isDeleted = NOT_DELETED;
+      }
+    } else if (firstStage?.$geoNear) {
+      pipeline.splice(1, 0, { $match: { isDeleted: NOT_DELETED } });
+    } else {
+      pipeline.unshift({ $match: { isDeleted: NOT_DELETED } });
+    }
+  });
+
+  /**
+   * @description Include soft deleted documents in this query, e.g. User.findById(id).withDeleted()
+   * @returns
+   */
+  schema.query.withDeleted = function () {
+    this[WITH_DELETED] = true;
+    return this;
+  };
+
+  /**
+   * @description Soft delete the document that matches the filter
+   * @param {*} filter
+   * @param {*} deletedAt Lets related documents that are deleted together share the same date
+   * @returns The deleted document, or null if there is no document that isn't deleted yet
+   */
+  schema.statics.softDeleteOne = function (filter, deletedAt = new Date()) {
+    return this.findOneAndUpdate(
+      filter,
+      { isDeleted: true, deletedAt, ...bumpVersion },
+      { new: true }
+    );
+  };
+
+  /**
+   * @description Soft delete all the documents that match the filter
+   * @param {*} filter
+   * @param {*} deletedAt
+   * @returns
+   */
+  schema.statics.softDeleteMany = function (filter, deletedAt = new Date()) {
+    return this.updateMany(filter, {
+      isDeleted: true,
+      deletedAt,
+      ...bumpVersion,
+    });
+  };
+
+  /**
+   * @description Restore the soft deleted document that matches the filter
+   * @param {*} filter
+   * @returns The restored document, or null if there is no deleted document
+   */
+  schema.statics.restoreOne = function (filter) {
+    return this.findOneAndUpdate(
+      { ...filter, isDeleted: true },
+      { isDeleted: false, deletedAt: null, ...bumpVersion },
+      { new: true }
+    );
+  };
+
+  /**
+   * @description Restore all the soft deleted documents that match the filter
+   * @param {*} filter
+   * @returns
+   */
+  schema.statics.restoreMany = function (filter) {
+    return this.updateMany(
+      { ...filter, isDeleted: true },
+      { isDeleted: false, deletedAt: null, ...bumpVersion }
+    );
+  };
+};
+
+module.exports = softDelete;
@@ -4,8 +4,19 @@ const {
   getSingleAccount,
   updateAccount,
   updateProfile,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  getSessions,
+  revokeSession,
+  getApiTokens,
+  createApiToken,
+  revokeApiToken,
 } = require("../controllers/accountController");
 const verifyJWT = require("../middleware/verifyJWT");
+const requireScope = require("../middleware/requireScope");
+const requireTwoFactor = require("../middleware/requireTwoFactor");
+const allowFields = require("../middleware/allowFields");
 
 /**
  * @description This file contains the routes for the account endpoints
@@ -14,12 +25,40 @@ const verifyJWT = require("../middleware/verifyJWT");
 
 // Use the verifyJWT middleware for all routes in this file
 router.use(verifyJWT);
+// There are no scopes for these endpoints, so personal access tokens can't use them
+router.use(requireScope("account"));
 
-// Routing with controller methods for different HTTP methods coming into the users route
+// Routing with controller methods for different HTTP methods coming into the account route
+// The account endpoints always act on the user in the access token
+// The old /account/:id paths are still accepted for older frontends, but the id in the path is ignored
 router
-  .route("/:id")
+  .route(["/", "/:id([0-9a-fA-F]{24})"])
   .get(getSingleAccount)
-  .patch(updateAccount)
-  .put(updateProfile);
+  .patch(
+    allowFields("username", "email", "password", "currentPassword"),
+    updateAccount
+  )
+  .put(allowFields("fullname", "avatarUrl"), updateProfile);
+
+// Two-factor authentication enrolment
+router.route("/2fa").delete(allowFields("currentPassword"), disableTwoFactor);
+router.route("/2fa/setup").post(setupTwoFactor);
+router.route("/2fa/verify").post(allowFields("code"), enableTwoFactor);
+
+// Signed-in devices
+router.route("/sessions").get(getSessions);
+router.route("/sessions/:id").delete(revokeSession);
+
+// Personal access tokens
+// Users who still have to set up mandatory 2FA can't create tokens, since the tokens would outlive the setup
+router
+  .route("/tokens")
+  .get(getApiTokens)
+  .post(
+    requireTwoFactor,
+    allowFields("name", "scopes", "expiresInDays"),
+    createApiToken
+  );
+router.route("/tokens/:id").delete(revokeApiToken);
 
 module.exports = router;
@@ -2,20 +2,52 @@ const express = require("express");
 const router = express.Router();
 const {
   login,
+  verifyTwoFactor,
+  oidcLogin,
+  oidcCallback,
+  refresh,
+  logout,
   register,
+  verifyEmail,
+  resendVerificationEmail,
+  acceptInvitation,
   forgotPassword,
   resetPassword,
 } = require("../controllers/authController");
 const loginLimiter = require("../middleware/loginLimiter");
+const accountLockout = require("../middleware/accountLockout");
+const allowFields = require("../middleware/allowFields");
 
 /**
  * @description This file contains the routes for the auth endpoints
  * @author [Hoang Le Chau](https://github.com/hoanglechau)
  */
 
-router.route("/").post(loginLimiter, login);
+router.route("/").post(loginLimiter, accountLockout, login);
 
-router.route("/register").post(register);
+router.route("/2fa").post(loginLimiter, verifyTwoFactor);
+
+router.route("/oidc").get(oidcLogin);
+
+router.route("/oidc/callback").get(oidcCallback);
+
+router.route("/refresh").post(refresh);
+
+router.route("/logout").post(logout);
+
+router
+  .route("/register")
+  .post(allowFields("username", "fullname", "email", "password"), register);
+
+router
+  .route("/verifyemail")
+  .post(allowFields("email"), resendVerificationEmail);
+
+router.route("/verifyemail/:verificationToken").patch(verifyEmail);
+
+router
+  .route("/acceptinvitation/:invitationToken")
+  .patch(allowFields("password"), acceptInvitation);
 
 router.route("/forgotpassword").post(forgotPassword);
 
@@ -0,0 +1,49 @@
+const express = require("express");
+const router = express.Router();
+const {
+  getLabels,
+  getLabelUsage,
+  createLabel,
+  updateLabel,
+  deleteLabel,
+} = require("../controllers/labelController");
+const verifyJWT = require("../middleware/verifyJWT");
+const requireScope = require("../middleware/requireScope");
+const requireTwoFactor = require("../middleware/requireTwoFactor");
+const { authorizeRoles } = require("../middleware/authorize");
+const allowFields = require("../middleware/allowFields");
+const ROLES = require("../config/roles");
+
+/**
+ * @description This file contains the routes for the label endpoints
+ * @author [Hoang Le Chau](https://github.com/hoanglechau)
+ */
+
+// Use the verifyJWT middleware for all routes in this file
+router.use(verifyJWT);
+// Labels are part of the notes, so personal access tokens use the notes scopes
+router.use(requireScope("notes"));
+router.use(requireTwoFactor);
+
+// Everyone can see the labels, only admins and managers can manage them
+router
+  .route("/")
+  .get(getLabels)
+  .post(
+    authorizeRoles(ROLES.Admin, ROLES.Manager),
+    allowFields("name", "color"),
+    createLabel
+  );
+
+router.route("/usage").get(getLabelUsage);
+
+router
+  .route("/:id")
+  .patch(
+    authorizeRoles(ROLES.Admin, ROLES.Manager),
+    allowFields("name", "color"),
+    updateLabel
+  )
+  .delete(authorizeRoles(ROLES.Admin, ROLES.Manager), deleteLabel);
+
+module.exports = router;
@@ -7,21 +7,105 @@ const {
   createNote,
   updateNote,
   deleteNote,
+  getNoteHistory,
+  getNoteDiff,
+  restoreNote,
 } = require("../controllers/noteController");
+const {
+  getComments,
+  createComment,
+  updateComment,
+  deleteComment,
+} = require("../controllers/commentController");
+const {
+  getAttachments,
+  createAttachment,
+  downloadAttachment,
+  deleteAttachment,
+} = require("../controllers/attachmentController");
+const uploadAttachment = require("../middleware/uploadAttachment");
+const { bulkUpdateNotes } = require("../controllers/bulkNoteController");
+const {
+  exportNotes,
+  importNotes,
+} = require("../controllers/noteTransferController");
+const uploadCsv = require("../middleware/uploadCsv");
+const { getBoard, moveNote } = require("../controllers/boardController");
+const {
+  createNoteEventsTicket,
+  streamNoteEvents,
+} = require("../controllers/eventController");
 const verifyJWT = require("../middleware/verifyJWT");
+const verifyEventStream = require("../middleware/verifyEventStream");
+const requireScope = require("../middleware/requireScope");
+const requireTwoFactor = require("../middleware/requireTwoFactor");
+const { authorizeRoles } = require("../middleware/authorize");
+const ROLES = require("../config/roles");
 
 /**
  * @description This file contains the routes for the note endpoints
  * @author [Hoang Le Chau](https://github.com/hoanglechau)
  */
 
-// Use the verifyJWT middleware for all routes in this file
+// Real-time note events (Server-Sent Events). Browsers can't send the Authorization header with EventSource, so the stream also takes a ticket from POST /notes/events/ticket
+router
+  .route("/events")
+  .get(
+    verifyEventStream,
+    requireScope("notes"),
+    requireTwoFactor,
+    streamNoteEvents
+  );
+
+// Use the verifyJWT middleware for all other routes in this file
 router.use(verifyJWT);
+// Personal access tokens need the matching scope
+router.use(requireScope("notes"));
+router.use(requireTwoFactor);
 
 // Routing with controller methods for different HTTP methods coming into the notes route
 router.route("/").get(getNotes).post(createNote);
 
 router.route("/all").get(getAllNotes);
-router.route("/:id").get(getSingleNote).patch(updateNote).delete(deleteNote);
+// Apply one action to many notes. The permissions are checked for every note in the controller
+router.route("/bulk").post(bulkUpdateNotes);
+// Export the notes with the same filters as GET /notes, and import notes from a CSV file
+router.route("/export").get(exportNotes);
+router.route("/import").post(uploadCsv, importNotes);
+// The board, with one column for each status of the workflow
+router.route("/board").get(getBoard);
+// A short-lived ticket for the note event stream
+router.route("/events/ticket").post(createNoteEventsTicket);
+router
+  .route("/:id")
+  .get(getSingleNote)
+  .patch(updateNote)
+  // Employees can't delete notes. The per-note rules are checked in the controller
+  .delete(authorizeRoles(ROLES.Admin, ROLES.Manager), deleteNote);
+
+// Moving a note on the board. The permissions and the WIP limits are checked in the controller
+router.route("/:id/move").post(moveNote);
+
+// Revision history
+router.route("/:id/history").get(getNoteHistory);
+router.route("/:id/diff").get(getNoteDiff);
+router.route("/:id/restore/:revision").post(restoreNote);
+
+// Comments. Only the author of a comment and admins can edit or delete it, which is checked in the controller
+router.route("/:id/comments").get(getComments).post(createComment);
+router
+  .route("/:id/comments/:commentId")
+  .patch(updateComment)
+  .delete(deleteComment);
+
+// Attachments. Everyone who can see the note can download them, uploading and deleting is checked in the controller
+router
+  .route("/:id/attachments")
+  .get(getAttachments)
+  .post(uploadAttachment, createAttachment);
+router
+  .route("/:id/attachments/:attachmentId")
+  .get(downloadAttachment)
+  .delete(deleteAttachment);
 
 module.exports = router;
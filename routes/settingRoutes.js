@@ -0,0 +1,43 @@
+const express = require("express");
+const router = express.Router();
+const {
+  getTwoFactorPolicy,
+  updateTwoFactorPolicy,
+  getNoteWorkflow,
+  updateNoteWorkflow,
+} = require("../controllers/settingController");
+const verifyJWT = require("../middleware/verifyJWT");
+const requireScope = require("../middleware/requireScope");
+const requireTwoFactor = require("../middleware/requireTwoFactor");
+const { authorizeRoles } = require("../middleware/authorize");
+const allowFields = require("../middleware/allowFields");
+const ROLES = require("../config/roles");
+
+/**
+ * @description This file contains the routes for the setting endpoints
+ * @author [Hoang Le Chau](https://github.com/hoanglechau)
+ */
+
+// Use the verifyJWT middleware for all routes in this file
+router.use(verifyJWT);
+// There are no scopes for these endpoints, so personal access tokens can't use them
+router.use(requireScope("settings"));
+router.use(requireTwoFactor);
+
+// Only admins can change the app settings
+router.use(authorizeRoles(ROLES.Admin));
+
+router
+  .route("/2fa")
+  .get(getTwoFactorPolicy)
+  .put(allowFields("requiredRoles"), updateTwoFactorPolicy);
+
+router
+  .route("/workflow")
+  .get(getNoteWorkflow)
+  .put(
+    allowFields("initialStatus", "statuses", "transitions"),
+    updateNoteWorkflow
+  );
+
+module.exports = router;
@@ -0,0 +1,46 @@
+const express = require("express");
+const router = express.Router();
+const {
+  getDeletedNotes,
+  getDeletedUsers,
+  restoreNote,
+  restoreUser,
+  purgeNote,
+  purgeUser,
+  emptyTrash,
+} = require("../controllers/trashController");
+const verifyJWT = require("../middleware/verifyJWT");
+const requireScope = require("../middleware/requireScope");
+const requireTwoFactor = require("../middleware/requireTwoFactor");
+const { authorizeRoles } = require("../middleware/authorize");
+const ROLES = require("../config/roles");
+
+/**
+ * @description This file contains the routes for the trash endpoints
+ * @author [Hoang Le Chau](https://github.com/hoanglechau)
+ */
+
+// Use the verifyJWT middleware for all routes in this file
+router.use(verifyJWT);
+// There are no scopes for these endpoints, so personal access tokens can't use them
+router.use(requireScope("trash"));
+router.use(requireTwoFactor);
+
+// Only admins can see, restore, and purge deleted notes and users
+router.use(authorizeRoles(ROLES.Admin));
+
+router.route("/").delete(emptyTrash);
+
+router.route("/notes").get(getDeletedNotes);
+
+router.route("/notes/:id").delete(purgeNote);
+
+router.route("/notes/:id/restore").patch(restoreNote);
+
+router.route("/users").get(getDeletedUsers);
+
+router.route("/users/:id").delete(purgeUser);
+
+router.route("/users/:id/restore").patch(restoreUser);
+
+module.exports = router;
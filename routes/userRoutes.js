@@ -7,8 +7,17 @@ const {
   createUser,
   updateUser,
   deleteUser,
+  resendInvitation,
+  unlockUser,
+  getUserSessions,
+  revokeUserSessions,
 } = require("../controllers/userController");
 const verifyJWT = require("../middleware/verifyJWT");
+const requireScope = require("../middleware/requireScope");
+const requireTwoFactor = require("../middleware/requireTwoFactor");
+const { authorizeRoles } = require("../middleware/authorize");
+const allowFields = require("../middleware/allowFields");
+const ROLES = require("../config/roles");
 
 /**
  * @description This file contains the routes for the user endpoints
@@ -16,11 +25,30 @@ const verifyJWT = require("../middleware/verifyJWT");
 
 // Use the verifyJWT middleware for all routes in this file
 router.use(verifyJWT);
+// Personal access tokens need the matching scope
+router.use(requireScope("users"));
+router.use(requireTwoFactor);
+
+// Only admins can manage users
+router.use(authorizeRoles(ROLES.Admin));
 
 // Routing with controller methods for different HTTP methods coming into the users route
-router.route("/").get(getUsers).post(createUser);
+router
+  .route("/")
+  .get(getUsers)
+  .post(allowFields("username", "fullname", "email", "role"), createUser);
 
 router.route("/all").get(getAllUsers);
-router.route("/:id").get(getSingleUser).patch(updateUser).delete(deleteUser);
+router
+  .route("/:id")
+  .get(getSingleUser)
+  .patch(
+    allowFields("id", "username", "fullname", "email", "role", "active", "__v"),
+    updateUser
+  )
+  .delete(deleteUser);
+router.route("/:id/invitation").post(resendInvitation);
+router.route("/:id/lockout").delete(unlockUser);
+router.route("/:id/sessions").get(getUserSessions).delete(revokeUserSessions);
 
 module.exports = router;
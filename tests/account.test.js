@@ -0,0 +1,76 @@
+const request = require("supertest");
+const Session = require("../models/Session");
+const User = require("../models/User");
+const accountRoutes = require("../routes/accountRoutes");
+const { createAccessToken } = require("../utils/tokens");
+const createApp = require("./helpers/createApp");
+const mockQuery = require("./helpers/mockQuery");
+
+jest.mock("../middleware/logger");
+
+/**
+ * @description This file contains the tests for the account endpoints
+ * @author [Hoang Le Chau](https://github.com/hoanglechau)
+ */
+
+const app = createApp("/account", accountRoutes);
+
+const user = {
+  _id: "64b7f0c2a1b2c3d4e5f60718",
+  username: "alice",
+  role: "Employee",
+  active: true,
+};
+const otherUserId = "64b7f0c2a1b2c3d4e5f60799";
+
+let accessToken;
+
+beforeEach(() => {
+  const sessionId = "64b7f0c2a1b2c3d4e5f6071a";
+  jest
+    .spyOn(Session, "findById")
+    .mockReturnValue(
+      mockQuery({ _id: sessionId, revokedAt: null, lastSeenAt: new Date() })
+    );
+  accessToken = createAccessToken(user, { sessionId });
+});
+
+describe("GET /account", () => {
+  it("gets the account of the logged-in user", async () => {
+    const findById = jest
+      .spyOn(User, "findById")
+      .mockReturnValue(mockQuery(user));
+
+    const res = await request(app)
+      .get("/account")
+      .set("Authorization", `Bearer ${accessToken}`);
+
+    expect(res.status).toBe(200);
+    expect(findById).toHaveBeenCalledWith(user._id);
+  });
+
+  it("still accepts the old path with an id, but ignores the id", async () => {
+    const findById = jest
+      .spyOn(User, "findById")
+      .mockReturnValue(mockQuery(user));
+
+    const res = await request(app)
+      .get(`/account/${otherUserId}`)
+      .set("Authorization", `Bearer ${accessToken}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.user.username).toBe("alice");
+    expect(findById).toHaveBeenCalledWith(user._id);
+  });
+});
+
+describe("PATCH /account/:id", () => {
+  it("only treats ids as the old account path, not the other account endpoints", async () => {
+    const res = await request(app)
+      .patch("/account/sessions")
+      .set("Authorization", `Bearer ${accessToken}`)
+      .send({ username: "alice", email: "alice@example.com" });
+
+    expect(res.status).toBe(404);
+  });
+});
@@ -0,0 +1,123 @@
+const express = require("express");
+const request = require("supertest");
+const bcrypt = require("bcrypt");
+const User = require("../models/User");
+const sendMail = require("../utils/sendMail");
+const accountLockout = require("../middleware/accountLockout");
+const { login } = require("../controllers/authController");
+const {
+  recordFailedLogin,
+  resetLoginAttempts,
+} = require("../utils/loginAttempts");
+const createApp = require("./helpers/createApp");
+const mockQuery = require("./helpers/mockQuery");
+
+jest.mock("../utils/sendMail");
+jest.mock("../middleware/logger");
+
+/**
+ * @description This file contains the tests for the login input checks, progressive delays and account lockout
+ * @author [Hoang Le Chau](https://github.com/hoanglechau)
+ */
+
+// Without the per-IP limiter, which only allows a few logins per minute from the test client
+const router = express.Router();
+router.post("/", accountLockout, login);
+const app = createApp("/auth", router);
+
+const PASSWORD = "Quiet-Harbor-Lantern-47";
+
+const createUser = async username => ({
+  _id: "64b7f0c2a1b2c3d4e5f60718",
+  username,
+  email: `${username}@example.com`,
+  role: "Employee",
+  active: true,
+  emailVerified: true,
+  password: await bcrypt.hash(PASSWORD, 4),
+});
+
+describe("POST /auth", () => {
+  it.each([
+    [{ username: { $gt: "" }, password: PASSWORD }],
+    [{ username: "alice", password: { $gt: "" } }],
+    [{ username: ["alice"], password: PASSWORD }],
+  ])("rejects usernames and passwords that aren't text: %j", async body => {
+    const findOne = jest.spyOn(User, "findOne");
+
+    const res = await request(app).post("/auth").send(body);
+
+    expect(res.status).toBe(400);
+    expect(findOne).not.toHaveBeenCalled();
+  });
+
+  it("makes the next login wait after 3 failed logins", async () => {
+    jest
+      .spyOn(User, "findOne")
+      .mockReturnValue(mockQuery(await createUser("bob")));
+
+    for (let i = 0; i < 3; i++) {
+      const res = await request(app)
+        .post("/auth")
+        .send({ username: "bob", password: "wrong password" });
+      expect(res.status).toBe(401);
+    }
+
+    const res = await request(app)
+      .post("/auth")
+      .send({ username: "bob", password: PASSWORD });
+
+    expect(res.status).toBe(429);
+    expect(Number(res.headers["retry-after"])).toBeGreaterThan(0);
+  });
+
+  it("locks the account after 10 failed logins and emails the owner", async () => {
+    const user = await createUser("carol");
+    const findOne = jest
+      .spyOn(User, "findOne")
+      .mockReturnValue(mockQuery(user));
+
+    for (let i = 0; i < 10; i++) await recordFailedLogin("carol", user);
+
+    expect(sendMail).toHaveBeenCalledWith(
+      "carol@example.com",
+      "Meganote - Account Locked",
+      expect.any(String)
+    );
+
+    // Even the right password is turned away until the lock runs out
+    const res = await request(app)
+      .post("/auth")
+      .send({ username: "carol", password: PASSWORD });
+
+    expect(res.status).toBe(423);
+    expect(Number(res.headers["retry-after"])).toBeGreaterThan(14 * 60);
+    expect(findOne).not.toHaveBeenCalled();
+  });
+
+  it("counts failed logins for a username regardless of its case", async () => {
+    for (let i = 0; i < 10; i++) await recordFailedLogin("Dave", null);
+
+    const res = await request(app)
+      .post("/auth")
+      .send({ username: "dave", password: PASSWORD });
+
+    expect(res.status).toBe(423);
+    // There is no user with that username, so there is no one to email
+    expect(sendMail).not.toHaveBeenCalled();
+  });
+
+  it("lets the user log in again once the lock is cleared", async () => {
+    for (let i = 0; i < 10; i++) await recordFailedLogin("erin", null);
+    await resetLoginAttempts("erin");
+    jest
+      .spyOn(User, "findOne")
+      .mockReturnValue(mockQuery(await createUser("erin")));
+
+    const res = await request(app)
+      .post("/auth")
+      .send({ username: "erin", password: "wrong password" });
+
+    expect(res.status).toBe(401);
+  });
+});
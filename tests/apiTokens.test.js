@@ -0,0 +1,171 @@
+const express = require("express");
+const request = require("supertest");
+const ApiToken = require("../models/ApiToken");
+const Session = require("../models/Session");
+const Setting = require("../models/Setting");
+const User = require("../models/User");
+const verifyJWT = require("../middleware/verifyJWT");
+const requireScope = require("../middleware/requireScope");
+const requireTwoFactor = require("../middleware/requireTwoFactor");
+const accountRoutes = require("../routes/accountRoutes");
+const { generateApiToken } = require("../utils/apiTokens");
+const { createAccessToken } = require("../utils/tokens");
+const createApp = require("./helpers/createApp");
+const mockQuery = require("./helpers/mockQuery");
+
+jest.mock("../middleware/logger");
+
+/**
+ * @description This file contains the tests for authenticating with personal access tokens
+ * @author [Hoang Le Chau](https://github.com/hoanglechau)
+ */
+
+// A resource guarded like the note routes, which answers with the user that the request acts as
+const router = express.Router();
+router.use(verifyJWT, requireScope("notes"), requireTwoFactor);
+router
+  .route("/")
+  .get((req, res) => res.json({ user: req.user, scopes: req.scopes }))
+  .post((req, res) => res.status(201).json({ user: req.user }));
+const app = createApp("/notes", router);
+const accountApp = createApp("/account", accountRoutes);
+
+const user = {
+  _id: "64b7f0c2a1b2c3d4e5f60718",
+  username: "alice",
+  role: "Manager",
+  active: true,
+  twoFactorEnabled: false,
+};
+
+const mockApiToken = (scopes, owner = user) => {
+  const { token } = generateApiToken();
+  jest.spyOn(ApiToken, "findOne").mockReturnValue(
+    mockQuery({
+      _id: "64b7f0c2a1b2c3d4e5f60719",
+      user: owner._id,
+      scopes,
+      lastUsedAt: new Date(),
+    })
+  );
+  jest.spyOn(User, "findById").mockReturnValue(mockQuery(owner));
+  return token;
+};
+
+const mockTwoFactorRequiredRoles = roles =>
+  jest
+    .spyOn(Setting, "findOne")
+    .mockReturnValue(
+      mockQuery(roles ? { key: "twoFactorRequiredRoles", value: roles } : null)
+    );
+
+describe("personal access tokens", () => {
+  it("act as the token owner with the token's scopes", async () => {
+    mockTwoFactorRequiredRoles(null);
+    const token = mockApiToken(["notes:read"]);
+
+    const res = await request(app)
+      .get("/notes")
+      .set("Authorization", `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ user: "alice", scopes: ["notes:read"] });
+  });
+
+  it("need the write scope for requests that change data", async () => {
+    mockTwoFactorRequiredRoles(null);
+    const token = mockApiToken(["notes:read"]);
+
+    const res = await request(app)
+      .post("/notes")
+      .set("Authorization", `Bearer ${token}`);
+
+    expect(res.status).toBe(403);
+  });
+
+  it("need a scope of the resource they are used for", async () => {
+    mockTwoFactorRequiredRoles(null);
+    const token = mockApiToken(["users:read", "users:write"]);
+
+    const res = await request(app)
+      .get("/notes")
+      .set("Authorization", `Bearer ${token}`);
+
+    expect(res.status).toBe(403);
+  });
+
+  it("stop working once their owner is deactivated", async () => {
+    const token = mockApiToken(["notes:read"], { ...user, active: false });
+
+    const res = await request(app)
+      .get("/notes")
+      .set("Authorization", `Bearer ${token}`);
+
+    expect(res.status).toBe(401);
+  });
+
+  it("are rejected when they aren't stored, revoked or expired", async () => {
+    const { token } = generateApiToken();
+    const findOne = jest
+      .spyOn(ApiToken, "findOne")
+      .mockReturnValue(mockQuery(null));
+
+    const res = await request(app)
+      .get("/notes")
+      .set("Authorization", `Bearer ${token}`);
+
+    expect(res.status).toBe(401);
+    expect(findOne.mock.calls[0][0]).toMatchObject({
+      revokedAt: null,
+      expiresAt: { $gt: expect.any(Date) },
+    });
+  });
+
+  it("are held back while their owner still has to set up mandatory 2FA", async () => {
+    mockTwoFactorRequiredRoles(["Manager"]);
+    const token = mockApiToken(["notes:read"]);
+
+    const res = await request(app)
+      .get("/notes")
+      .set("Authorization", `Bearer ${token}`);
+
+    expect(res.status).toBe(403);
+    expect(res.body.twoFactorSetupRequired).toBe(true);
+  });
+
+  it("can't be used for the account endpoints", async () => {
+    mockTwoFactorRequiredRoles(null);
+    const token = mockApiToken(["notes:read", "notes:write"]);
+
+    const res = await request(accountApp)
+      .get("/account/tokens")
+      .set("Authorization", `Bearer ${token}`);
+
+    expect(res.status).toBe(403);
+  });
+});
+
+describe("POST /account/tokens", () => {
+  it("isn't allowed while the user still has to set up mandatory 2FA", async () => {
+    const sessionId = "64b7f0c2a1b2c3d4e5f6071a";
+    jest
+      .spyOn(Session, "findById")
+      .mockReturnValue(
+        mockQuery({ _id: sessionId, revokedAt: null, lastSeenAt: new Date() })
+      );
+    const create = jest.spyOn(ApiToken, "create");
+    const accessToken = createAccessToken(user, {
+      sessionId,
+      twoFactorSetupRequired: true,
+    });
+
+    const res = await request(accountApp)
+      .post("/account/tokens")
+      .set("Authorization", `Bearer ${accessToken}`)
+      .send({ name: "CI", scopes: ["notes:read"] });
+
+    expect(res.status).toBe(403);
+    expect(res.body.twoFactorSetupRequired).toBe(true);
+    expect(create).not.toHaveBeenCalled();
+  });
+});
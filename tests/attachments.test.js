@@ -0,0 +1,173 @@
+const { Readable } = require("stream");
+const request = require("supertest");
+const Attachment = require("../models/Attachment");
+const Note = require("../models/Note");
+const User = require("../models/User");
+const fileStorage = require("../config/fileStorage");
+const noteRoutes = require("../routes/noteRoutes");
+const createApp = require("./helpers/createApp");
+const mockQuery = require("./helpers/mockQuery");
+const signIn = require("./helpers/signIn");
+
+jest.mock("../config/fileStorage");
+// A small size limit, so the test files stay small
+jest.mock("../config/attachments", () => ({
+  ...jest.requireActual("../config/attachments"),
+  maxFileSize: 1024 * 1024,
+}));
+jest.mock("../middleware/logger");
+
+/**
+ * @description This file contains the tests for the note attachments
+ * @author [Hoang Le Chau](https://github.com/hoanglechau)
+ */
+
+const app = createApp("/notes", noteRoutes);
+
+const alice = {
+  _id: "64b7f0c2a1b2c3d4e5f60718",
+  username: "alice",
+  role: "Employee",
+  active: true,
+};
+const bob = {
+  _id: "64b7f0c2a1b2c3d4e5f60719",
+  username: "bob",
+  role: "Employee",
+  active: true,
+};
+
+// A note of alice's
+const note = {
+  _id: "64b7f0c2a1b2c3d4e5f60720",
+  user: alice._id,
+  title: "Fix the printer",
+  ticket: 500,
+};
+
+const attachment = {
+  _id: "64b7f0c2a1b2c3d4e5f60740",
+  note: note._id,
+  filename: "paper jam.png",
+  mimeType: "image/png",
+  size: 5,
+  storageKey: `notes/${note._id}/key`,
+};
+
+beforeEach(() => {
+  jest.spyOn(Note, "findById").mockReturnValue(mockQuery(note));
+  // The assignee of the note
+  jest.spyOn(User, "findById").mockReturnValue(mockQuery(alice));
+});
+
+const upload = (user, content, options) =>
+  request(app)
+    .post(`/notes/${note._id}/attachments`)
+    .set("Authorization", `Bearer ${signIn(user)}`)
+    .attach("file", Buffer.from(content), options);
+
+describe("POST /notes/:id/attachments", () => {
+  it("stores an allowed file under the note, and doesn't send the storage key", async () => {
+    jest.spyOn(Attachment, "create").mockImplementation(async data => ({
+      toObject: () => ({ _id: attachment._id, ...data }),
+    }));
+
+    const res = await upload(alice, "image", {
+      filename: "paper jam.png",
+      contentType: "image/png",
+    });
+
+    expect(res.status).toBe(201);
+    const [storageKey, buffer] = fileStorage.save.mock.calls[0];
+    expect(storageKey).toMatch(new RegExp(`^notes/${note._id}/[\\w-]+$`));
+    expect(buffer.toString()).toBe("image");
+    expect(res.body.attachment).toMatchObject({
+      filename: "paper jam.png",
+      mimeType: "image/png",
+      size: 5,
+    });
+    expect(res.body.attachment.storageKey).toBeUndefined();
+  });
+
+  it("rejects file types that aren't allowed", async () => {
+    const res = await upload(alice, "<script></script>", {
+      filename: "page.html",
+      contentType: "text/html",
+    });
+
+    expect(res.status).toBe(415);
+    expect(res.body.message).toBe("Files of type text/html can't be uploaded!");
+    expect(fileStorage.save).not.toHaveBeenCalled();
+  });
+
+  it("rejects files that are too large", async () => {
+    const res = await upload(alice, "x".repeat(1024 * 1024 + 1), {
+      filename: "big.txt",
+      contentType: "text/plain",
+    });
+
+    expect(res.status).toBe(413);
+    expect(res.body.message).toBe("Files can't be larger than 1 MB!");
+    expect(fileStorage.save).not.toHaveBeenCalled();
+  });
+
+  it("doesn't let users upload to notes they can't edit", async () => {
+    const res = await upload(bob, "image", {
+      filename: "paper jam.png",
+      contentType: "image/png",
+    });
+
+    expect(res.status).toBe(403);
+    expect(fileStorage.save).not.toHaveBeenCalled();
+  });
+});
+
+describe("GET /notes/:id/attachments/:attachmentId", () => {
+  const download = user =>
+    request(app)
+      .get(`/notes/${note._id}/attachments/${attachment._id}`)
+      .set("Authorization", `Bearer ${signIn(user)}`);
+
+  it("sends the file as a download", async () => {
+    jest.spyOn(Attachment, "findOne").mockReturnValue(mockQuery(attachment));
+    fileStorage.createReadStream.mockReturnValue(Readable.from(["image"]));
+
+    const res = await download(alice);
+
+    expect(res.status).toBe(200);
+    expect(res.headers["content-type"]).toBe("image/png");
+    expect(res.headers["content-disposition"]).toBe(
+      "attachment; filename=\"paper jam.png\"; filename*=UTF-8''paper%20jam.png"
+    );
+    expect(res.headers["x-content-type-options"]).toBe("nosniff");
+    expect(res.body.toString()).toBe("image");
+    expect(fileStorage.createReadStream).toHaveBeenCalledWith(
+      attachment.storageKey
+    );
+  });
+
+  it("doesn't let users download the files of notes they can't see", async () => {
+    const findAttachment = jest.spyOn(Attachment, "findOne");
+
+    const res = await download(bob);
+
+    expect(res.status).toBe(403);
+    expect(findAttachment).not.toHaveBeenCalled();
+    expect(fileStorage.createReadStream).not.toHaveBeenCalled();
+  });
+
+  it("answers 404 when the file is missing from the storage", async () => {
+    jest.spyOn(Attachment, "findOne").mockReturnValue(mockQuery(attachment));
+    const missing = new Readable({
+      read() {
+        this.destroy(new Error("ENOENT: no such file or directory"));
+      },
+    });
+    fileStorage.createReadStream.mockReturnValue(missing);
+
+    const res = await download(alice);
+
+    expect(res.status).toBe(404);
+    expect(res.body.message).toBe("The file of this attachment is missing!");
+  });
+});
@@ -0,0 +1,387 @@
+const mongoose = require("mongoose");
+const request = require("supertest");
+const ColumnLock = require("../models/ColumnLock");
+const Note = require("../models/Note");
+const NoteRevision = require("../models/NoteRevision");
+const Setting = require("../models/Setting");
+const User = require("../models/User");
+const noteRoutes = require("../routes/noteRoutes");
+const {
+  getStatusMoveError,
+  rankUnrankedNotes,
+  withWipLimits,
+} = require("../utils/board");
+const createApp = require("./helpers/createApp");
+const mockQuery = require("./helpers/mockQuery");
+const signIn = require("./helpers/signIn");
+
+jest.mock("../utils/sendMail");
+jest.mock("../middleware/logger");
+
+/**
+ * @description This file contains the tests for the board columns and the WIP limits
+ * @author [Hoang Le Chau](https://github.com/hoanglechau)
+ */
+
+describe("rankUnrankedNotes", () => {
+  it("ranks notes without a rank after the last note, without changing their version", async () => {
+    jest
+      .spyOn(Note, "find")
+      .mockReturnValue(mockQuery([{ _id: "note-1" }, { _id: "note-2" }]));
+    jest.spyOn(Note, "findOne").mockReturnValue(mockQuery({ boardRank: "m" }));
+    const updateOne = jest
+      .spyOn(Note, "updateOne")
+      .mockReturnValue(mockQuery({ modifiedCount: 1 }));
+
+    await rankUnrankedNotes("Open");
+
+    expect(updateOne).toHaveBeenCalledTimes(2);
+    const [[firstFilter, firstUpdate, options], [, secondUpdate]] =
+      updateOne.mock.calls;
+    expect(firstFilter).toEqual({ _id: "note-1", boardRank: null });
+    expect(firstUpdate).toEqual({ boardRank: expect.any(String) });
+    expect(firstUpdate.boardRank > "m").toBe(true);
+    expect(secondUpdate.boardRank > firstUpdate.boardRank).toBe(true);
+    expect(options).toEqual({ timestamps: false });
+  });
+});
+
+describe("withWipLimits", () => {
+  // "In Progress" can hold two notes
+  const workflow = {
+    statuses: [
+      { name: "Open", terminal: false, wipLimit: null },
+      { name: "In Progress", terminal: false, wipLimit: 2 },
+    ],
+  };
+
+  let lock;
+  let unlock;
+
+  beforeEach(() => {
+    lock = jest
+      .spyOn(ColumnLock, "findOneAndUpdate")
+      .mockReturnValue(mockQuery(null));
+    unlock = jest
+      .spyOn(ColumnLock, "deleteOne")
+      .mockReturnValue(mockQuery({ deletedCount: 1 }));
+  });
+
+  it("adds the notes while the column is locked, and unlocks it", async () => {
+    jest.spyOn(Note, "countDocuments").mockReturnValue(mockQuery(1));
+    const write = jest.fn(async () => {
+      // The column is locked when the note is written
+      expect(unlock).not.toHaveBeenCalled();
+      return "note";
+    });
+
+    const saved = await withWipLimits(workflow, { "In Progress": 1 }, write);
+
+    expect(saved).toEqual({ result: "note" });
+    expect(lock).toHaveBeenCalledWith(
+      expect.objectContaining({ status: "In Progress" }),
+      expect.anything(),
+      { upsert: true }
+    );
+    const { lockId } = lock.mock.calls[0][1];
+    expect(unlock).toHaveBeenCalledWith({ status: "In Progress", lockId });
+  });
+
+  it("counts the notes after locking the column, and rejects notes that don't fit", async () => {
+    jest.spyOn(Note, "countDocuments").mockReturnValue(mockQuery(2));
+    const write = jest.fn();
+
+    const saved = await withWipLimits(workflow, { "In Progress": 1 }, write);
+
+    expect(saved.error).toEqual({
+      statusCode: 409,
+      message: 'The "In Progress" column can hold at most 2 notes!',
+    });
+    expect(lock.mock.invocationCallOrder[0]).toBeLessThan(
+      Note.countDocuments.mock.invocationCallOrder[0]
+    );
+    expect(write).not.toHaveBeenCalled();
+    expect(unlock).toHaveBeenCalled();
+  });
+
+  it("waits for another request that has locked the column", async () => {
+    const locked = Object.assign(new Error("E11000 duplicate key error"), {
+      code: 11000,
+    });
+    lock.mockImplementationOnce(() => mockQuery(Promise.reject(locked)));
+    jest.spyOn(Note, "countDocuments").mockReturnValue(mockQuery(0));
+
+    const saved = await withWipLimits(workflow, { "In Progress": 1 }, () =>
+      Promise.resolve("note")
+    );
+
+    expect(saved).toEqual({ result: "note" });
+    expect(lock).toHaveBeenCalledTimes(2);
+  });
+
+  it("doesn't lock columns without a limit", async () => {
+    const countDocuments = jest.spyOn(Note, "countDocuments");
+
+    const saved = await withWipLimits(workflow, { Open: 5 }, () =>
+      Promise.resolve("notes")
+    );
+
+    expect(saved).toEqual({ result: "notes" });
+    expect(lock).not.toHaveBeenCalled();
+    expect(countDocuments).not.toHaveBeenCalled();
+  });
+
+  it("unlocks the column when the write fails", async () => {
+    jest.spyOn(Note, "countDocuments").mockReturnValue(mockQuery(0));
+
+    await expect(
+      withWipLimits(workflow, { "In Progress": 1 }, () =>
+        Promise.reject(new Error("Connection lost"))
+      )
+    ).rejects.toThrow("Connection lost");
+    expect(unlock).toHaveBeenCalled();
+  });
+});
+
+describe("status changes", () => {
+  const app = createApp("/notes", noteRoutes);
+
+  const user = {
+    _id: "64b7f0c2a1b2c3d4e5f60718",
+    username: "alice",
+    fullname: "Alice Smith",
+    email: "alice@example.com",
+    role: "Employee",
+    active: true,
+  };
+  const noteId = "64b7f0c2a1b2c3d4e5f60720";
+
+  let accessToken;
+  let note;
+
+  beforeEach(() => {
+    accessToken = signIn(user);
+    jest.spyOn(Setting, "findOne").mockReturnValue(mockQuery(null));
+    jest.spyOn(User, "findById").mockReturnValue(mockQuery(user));
+    jest.spyOn(NoteRevision, "findOne").mockReturnValue(mockQuery(null));
+    jest.spyOn(NoteRevision, "create").mockResolvedValue({});
+
+    // An "Open" note at the top of its column
+    note = Note.hydrate({
+      _id: noteId,
+      user: user._id,
+      title: "Fix the printer",
+      text: "It's jammed again",
+      status: "Open",
+      boardRank: "a",
+      labels: [],
+      blockedBy: [],
+      ticket: 500,
+      __v: 3,
+    });
+    note.save = jest.fn(async () => note);
+    jest.spyOn(Note, "findById").mockReturnValue(mockQuery(note));
+
+    // The title is free, and the last note of the new column has the rank "m"
+    jest
+      .spyOn(Note, "findOne")
+      .mockImplementation(filter =>
+        mockQuery(filter.title ? null : { boardRank: "m" })
+      );
+  });
+
+  it("puts an updated note at the end of its new column", async () => {
+    const res = await request(app)
+      .patch(`/notes/${noteId}`)
+      .set("Authorization", `Bearer ${accessToken}`)
+      .send({
+        id: noteId,
+        user: user._id,
+        title: "Fix the printer",
+        text: "It's jammed again",
+        status: "In Progress",
+      });
+
+    expect(res.status).toBe(200);
+    expect(Note.findOne).toHaveBeenCalledWith(
+      expect.objectContaining({ status: "In Progress", _id: { $ne: note._id } })
+    );
+    expect(note.status).toBe("In Progress");
+    expect(note.boardRank > "m").toBe(true);
+  });
+
+  it("keeps the place of an updated note whose status doesn't change", async () => {
+    await request(app)
+      .patch(`/notes/${noteId}`)
+      .set("Authorization", `Bearer ${accessToken}`)
+      .send({
+        id: noteId,
+        user: user._id,
+        title: "Fix the printer",
+        text: "It's jammed again, try turning it off and on",
+        status: "Open",
+      });
+
+    expect(note.save).toHaveBeenCalled();
+    expect(note.boardRank).toBe("a");
+  });
+
+  it("puts notes at the end of their new column in bulk status changes", async () => {
+    const res = await request(app)
+      .post("/notes/bulk")
+      .set("Authorization", `Bearer ${accessToken}`)
+      .send({ ids: [noteId], action: "status", status: "In Progress" });
+
+    expect(res.status).toBe(200);
+    expect(res.body.succeeded).toBe(1);
+    expect(note.status).toBe("In Progress");
+    expect(note.boardRank > "m").toBe(true);
+  });
+
+  it("doesn't move a note into a full column", async () => {
+    Setting.findOne.mockReturnValue(
+      mockQuery({
+        value: {
+          initialStatus: "Open",
+          statuses: [
+            { name: "Open", terminal: false, wipLimit: null },
+            { name: "In Progress", terminal: false, wipLimit: 1 },
+          ],
+          transitions: [
+            { from: "Open", to: "In Progress", roles: ["Employee"] },
+          ],
+        },
+      })
+    );
+    jest.spyOn(Note, "countDocuments").mockReturnValue(mockQuery(1));
+
+    const res = await request(app)
+      .patch(`/notes/${noteId}`)
+      .set("Authorization", `Bearer ${accessToken}`)
+      .send({
+        id: noteId,
+        user: user._id,
+        title: "Fix the printer",
+        text: "It's jammed again",
+        status: "In Progress",
+      });
+
+    expect(res.status).toBe(409);
+    expect(res.body.message).toBe(
+      'The "In Progress" column can hold at most 1 notes!'
+    );
+    expect(note.save).not.toHaveBeenCalled();
+  });
+});
+
+describe("WIP limits", () => {
+  const app = createApp("/notes", noteRoutes);
+
+  // "In Progress" can hold one note
+  const workflow = {
+    initialStatus: "Open",
+    statuses: [
+      { name: "Open", terminal: false, wipLimit: null },
+      { name: "In Progress", terminal: false, wipLimit: 1 },
+    ],
+    transitions: [
+      { from: "Open", to: "In Progress", roles: ["Employee"] },
+      { from: "In Progress", to: "Open", roles: ["Employee"] },
+    ],
+  };
+
+  const user = {
+    _id: "64b7f0c2a1b2c3d4e5f60718",
+    username: "alice",
+    role: "Employee",
+    active: true,
+  };
+
+  const createNote = status => ({
+    _id: new mongoose.Types.ObjectId("64b7f0c2a1b2c3d4e5f60720"),
+    user: user._id,
+    title: "Fix the printer",
+    status,
+    boardRank: "a",
+    blockedBy: [],
+    ticket: 500,
+    __v: 0,
+  });
+
+  let accessToken;
+
+  beforeEach(() => {
+    accessToken = signIn(user);
+    jest
+      .spyOn(Setting, "findOne")
+      .mockReturnValue(mockQuery({ value: workflow }));
+    jest.spyOn(User, "findById").mockReturnValue(mockQuery(user));
+    // The column is full
+    jest.spyOn(Note, "countDocuments").mockReturnValue(mockQuery(1));
+  });
+
+  it("counts every note of the column, not only the ones the user can see", async () => {
+    const error = await getStatusMoveError(
+      workflow,
+      "Open",
+      "In Progress",
+      "Employee"
+    );
+
+    expect(error).toEqual({
+      statusCode: 409,
+      message: 'The "In Progress" column can hold at most 1 notes!',
+    });
+    expect(Note.countDocuments).toHaveBeenCalledWith({ status: "In Progress" });
+  });
+
+  it("doesn't check the limit for notes that stay in their column", async () => {
+    expect(
+      await getStatusMoveError(
+        workflow,
+        "In Progress",
+        "In Progress",
+        "Employee"
+      )
+    ).toBeNull();
+    expect(Note.countDocuments).not.toHaveBeenCalled();
+  });
+
+  it("doesn't move a note into a full column on the board", async () => {
+    jest.spyOn(Note, "findById").mockReturnValue(mockQuery(createNote("Open")));
+    const move = jest.spyOn(Note, "findOneAndUpdate");
+
+    const res = await request(app)
+      .post("/notes/64b7f0c2a1b2c3d4e5f60720/move")
+      .set("Authorization", `Bearer ${accessToken}`)
+      .send({ status: "In Progress" });
+
+    expect(res.status).toBe(409);
+    expect(move).not.toHaveBeenCalled();
+  });
+
+  it("still reorders the notes of a full column", async () => {
+    const note = createNote("In Progress");
+    jest.spyOn(Note, "findById").mockReturnValue(mockQuery(note));
+    jest.spyOn(Note, "find").mockReturnValue(mockQuery([]));
+    jest.spyOn(Note, "findOne").mockReturnValue(mockQuery(null));
+    jest.spyOn(NoteRevision, "findOne").mockReturnValue(mockQuery(null));
+    jest.spyOn(NoteRevision, "create").mockResolvedValue({});
+    const lock = jest.spyOn(ColumnLock, "findOneAndUpdate");
+    const move = jest
+      .spyOn(Note, "findOneAndUpdate")
+      .mockImplementation((filter, update) =>
+        mockQuery({ ...note, ...update, __v: 1 })
+      );
+
+    const res = await request(app)
+      .post("/notes/64b7f0c2a1b2c3d4e5f60720/move")
+      .set("Authorization", `Bearer ${accessToken}`)
+      .send({ status: "In Progress" });
+
+    expect(res.status).toBe(200);
+    expect(move).toHaveBeenCalled();
+    // Nothing is added to the column, so it isn't locked
+    expect(lock).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,240 @@
+const request = require("supertest");
+const Attachment = require("../models/Attachment");
+const Note = require("../models/Note");
+const NoteRevision = require("../models/NoteRevision");
+const Setting = require("../models/Setting");
+const User = require("../models/User");
+const noteRoutes = require("../routes/noteRoutes");
+const sendMail = require("../utils/sendMail");
+const createApp = require("./helpers/createApp");
+const mockQuery = require("./helpers/mockQuery");
+const signIn = require("./helpers/signIn");
+
+jest.mock("../utils/sendMail");
+jest.mock("../middleware/logger");
+
+/**
+ * @description This file contains the tests for the bulk note actions
+ * @author [Hoang Le Chau](https://github.com/hoanglechau)
+ */
+
+const app = createApp("/notes", noteRoutes);
+
+const users = {
+  admin: {
+    _id: "64b7f0c2a1b2c3d4e5f60710",
+    username: "ada",
+    fullname: "Ada Admin",
+    email: "ada@example.com",
+    role: "Admin",
+    active: true,
+  },
+  manager: {
+    _id: "64b7f0c2a1b2c3d4e5f60711",
+    username: "max",
+    fullname: "Max Manager",
+    email: "max@example.com",
+    role: "Manager",
+    active: true,
+  },
+  alice: {
+    _id: "64b7f0c2a1b2c3d4e5f60718",
+    username: "alice",
+    fullname: "Alice Smith",
+    email: "alice@example.com",
+    role: "Employee",
+    active: true,
+  },
+  bob: {
+    _id: "64b7f0c2a1b2c3d4e5f60719",
+    username: "bob",
+    fullname: "Bob Jones",
+    email: "bob@example.com",
+    role: "Employee",
+    active: true,
+  },
+};
+
+// Two notes of alice's and one of the admin's
+const noteIds = {
+  printer: "64b7f0c2a1b2c3d4e5f60720",
+  coffee: "64b7f0c2a1b2c3d4e5f60721",
+  budget: "64b7f0c2a1b2c3d4e5f60722",
+};
+const missingId = "64b7f0c2a1b2c3d4e5f60729";
+
+let notes;
+
+beforeEach(() => {
+  const createNote = (id, user, title, ticket) => {
+    const note = Note.hydrate({
+      _id: id,
+      user: user._id,
+      title,
+      text: "Some text",
+      status: "Open",
+      boardRank: "a",
+      labels: [],
+      blockedBy: [],
+      ticket,
+      __v: 0,
+    });
+    note.save = jest.fn(async () => note);
+    return note;
+  };
+  notes = {
+    [noteIds.printer]: createNote(
+      noteIds.printer,
+      users.alice,
+      "Fix the printer",
+      500
+    ),
+    [noteIds.coffee]: createNote(
+      noteIds.coffee,
+      users.alice,
+      "Buy coffee",
+      501
+    ),
+    [noteIds.budget]: createNote(
+      noteIds.budget,
+      users.admin,
+      "Plan the budget",
+      502
+    ),
+  };
+
+  jest
+    .spyOn(Note, "findById")
+    .mockImplementation(id => mockQuery(notes[id] || null));
+  jest
+    .spyOn(User, "findById")
+    .mockImplementation(id =>
+      mockQuery(
+        Object.values(users).find(user => user._id === String(id)) || null
+      )
+    );
+  jest.spyOn(Setting, "findOne").mockReturnValue(mockQuery(null));
+  jest.spyOn(Note, "findOne").mockReturnValue(mockQuery(null));
+  jest.spyOn(NoteRevision, "findOne").mockReturnValue(mockQuery(null));
+  jest.spyOn(NoteRevision, "create").mockResolvedValue({});
+});
+
+const bulkUpdate = (user, body) =>
+  request(app)
+    .post("/notes/bulk")
+    .set("Authorization", `Bearer ${signIn(user)}`)
+    .send(body);
+
+describe("POST /notes/bulk", () => {
+  it("checks the permission for every note and reports the result of each", async () => {
+    const res = await bulkUpdate(users.manager, {
+      ids: [noteIds.printer, noteIds.budget, missingId, noteIds.coffee],
+      action: "status",
+      status: "In Progress",
+    });
+
+    expect(res.status).toBe(200);
+    expect(res.body.results).toEqual([
+      { id: noteIds.printer, ticket: 500, success: true },
+      {
+        id: noteIds.budget,
+        ticket: 502,
+        success: false,
+        message: "You don't have permission to edit this note!",
+      },
+      { id: missingId, success: false, message: "Note not found!" },
+      { id: noteIds.coffee, ticket: 501, success: true },
+    ]);
+    expect(res.body).toMatchObject({ succeeded: 2, failed: 2 });
+    // Managers can't edit admins' notes
+    expect(notes[noteIds.budget].save).not.toHaveBeenCalled();
+    expect(notes[noteIds.budget].status).toBe("Open");
+  });
+
+  it("sends every affected user one email with all of their changed notes", async () => {
+    await bulkUpdate(users.manager, {
+      ids: [noteIds.printer, noteIds.coffee],
+      action: "status",
+      status: "In Progress",
+    });
+
+    expect(sendMail).toHaveBeenCalledTimes(1);
+    const [email, subject, message] = sendMail.mock.calls[0];
+    expect(email).toBe("alice@example.com");
+    expect(subject).toBe("Meganote - Notes Updated");
+    expect(message).toContain("2 of your notes on Meganote have been updated");
+    expect(message).toContain(
+      '- Note #500 "Fix the printer": status changed to "In Progress"'
+    );
+    expect(message).toContain(
+      '- Note #501 "Buy coffee": status changed to "In Progress"'
+    );
+  });
+
+  it("tells both the old and the new assignee about reassigned notes", async () => {
+    await bulkUpdate(users.manager, {
+      ids: [noteIds.printer, noteIds.coffee],
+      action: "reassign",
+      user: users.bob._id,
+    });
+
+    expect(sendMail.mock.calls.map(([email]) => email).sort()).toEqual([
+      "alice@example.com",
+      "bob@example.com",
+    ]);
+    expect(notes[noteIds.printer].user.toString()).toBe(users.bob._id);
+  });
+
+  it("doesn't save or email notes that already are as the action asks", async () => {
+    const res = await bulkUpdate(users.manager, {
+      ids: [noteIds.printer],
+      action: "status",
+      status: "Open",
+    });
+
+    expect(res.body.results).toEqual([
+      {
+        id: noteIds.printer,
+        ticket: 500,
+        success: true,
+        message: "Nothing to change!",
+      },
+    ]);
+    expect(notes[noteIds.printer].save).not.toHaveBeenCalled();
+    expect(sendMail).not.toHaveBeenCalled();
+  });
+
+  it("only deletes the notes that the user may delete", async () => {
+    const softDelete = jest
+      .spyOn(Note, "softDeleteOne")
+      .mockImplementation(({ _id }) => mockQuery(notes[_id]));
+    jest
+      .spyOn(Attachment, "softDeleteMany")
+      .mockReturnValue(mockQuery({ modifiedCount: 0 }));
+
+    const res = await bulkUpdate(users.manager, {
+      ids: [noteIds.printer, noteIds.budget],
+      action: "delete",
+    });
+
+    expect(res.body.results.map(result => result.success)).toEqual([
+      true,
+      false,
+    ]);
+    expect(softDelete).toHaveBeenCalledTimes(1);
+    expect(softDelete.mock.calls[0][0]).toEqual({
+      _id: notes[noteIds.printer]._id,
+    });
+  });
+
+  it("doesn't let employees reassign notes to managers", async () => {
+    const res = await bulkUpdate(users.alice, {
+      ids: [noteIds.printer],
+      action: "reassign",
+      user: users.manager._id,
+    });
+
+    expect(res.status).toBe(403);
+    expect(notes[noteIds.printer].save).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,52 @@
+const { toCsvRow, parseCsv } = require("../utils/csv");
+
+/**
+ * @description This file contains the tests for reading and writing CSV
+ * @author [Hoang Le Chau](https://github.com/hoanglechau)
+ */
+
+describe("toCsvRow", () => {
+  it("quotes cells with commas, quotes and line breaks", () => {
+    expect(toCsvRow(["a,b", 'say "hi"', "two\nlines", null, 3])).toBe(
+      '"a,b","say ""hi""","two\nlines",,3\r\n'
+    );
+  });
+
+  it("puts a quote in front of cells that spreadsheet apps would run as formulas", () => {
+    expect(
+      toCsvRow([
+        '=HYPERLINK("http://evil.test")',
+        "+1",
+        "-2",
+        "@SUM(A1)",
+        "\tTab",
+        "'=already quoted",
+        "2+2=4",
+      ])
+    ).toBe(
+      "\"'=HYPERLINK(\"\"http://evil.test\"\")\",'+1,'-2,'@SUM(A1),'\tTab,''=already quoted,2+2=4\r\n"
+    );
+  });
+});
+
+describe("parseCsv", () => {
+  it("reads the rows of a file, with quoted cells and a byte order mark", () => {
+    expect(
+      parseCsv(
+        '\uFEFFtitle,text\r\n"Fix, the printer","It\'s ""jammed""\nagain"\r\n'
+      )
+    ).toEqual([
+      ["title", "text"],
+      ["Fix, the printer", 'It\'s "jammed"\nagain'],
+    ]);
+  });
+
+  it("reads exported formula cells back as they were", () => {
+    const values = ["=1+1", "'=quoted", "-toner", "plain"];
+    expect(parseCsv(toCsvRow(values))).toEqual([values]);
+  });
+
+  it("rejects files with a quote that is never closed", () => {
+    expect(parseCsv('title\n"Fix the printer\n')).toBeNull();
+  });
+});
@@ -0,0 +1,182 @@
+const request = require("supertest");
+const bcrypt = require("bcrypt");
+const User = require("../models/User");
+const sendMail = require("../utils/sendMail");
+const { hashToken, createEmailVerificationToken } = require("../utils/tokens");
+const authRoutes = require("../routes/authRoutes");
+const createApp = require("./helpers/createApp");
+const mockQuery = require("./helpers/mockQuery");
+
+jest.mock("../utils/sendMail");
+jest.mock("../middleware/logger");
+
+/**
+ * @description This file contains the tests for email verification and invitation-based onboarding
+ * @author [Hoang Le Chau](https://github.com/hoanglechau)
+ */
+
+const app = createApp("/auth", authRoutes);
+const STRONG_PASSWORD = "Quiet-Harbor-Lantern-47";
+
+const user = {
+  _id: "64b7f0c2a1b2c3d4e5f60718",
+  username: "alice",
+  fullname: "Alice Smith",
+  email: "alice@example.com",
+  role: "Employee",
+  active: true,
+};
+
+describe("POST /auth/register", () => {
+  it("creates an unverified user and emails them a verification link", async () => {
+    jest.spyOn(User, "findOne").mockReturnValue(mockQuery(null));
+    const create = jest
+      .spyOn(User, "create")
+      .mockImplementation(async data => ({ ...data, _id: user._id }));
+
+    const res = await request(app).post("/auth/register").send({
+      username: "alice",
+      fullname: "Alice Smith",
+      email: "alice@example.com",
+      password: STRONG_PASSWORD,
+    });
+
+    expect(res.status).toBe(201);
+    expect(create.mock.calls[0][0]).toMatchObject({ emailVerified: false });
+    expect(sendMail).toHaveBeenCalledWith(
+      "alice@example.com",
+      "Meganote - Verify Your Email",
+      expect.stringContaining("http://frontend.test/verifyemail/")
+    );
+  });
+});
+
+describe("POST /auth", () => {
+  it("doesn't let users log in before they verify their email address", async () => {
+    jest.spyOn(User, "findOne").mockReturnValue(
+      mockQuery({
+        ...user,
+        emailVerified: false,
+        password: await bcrypt.hash(STRONG_PASSWORD, 4),
+      })
+    );
+
+    const res = await request(app)
+      .post("/auth")
+      .send({ username: "alice", password: STRONG_PASSWORD });
+
+    expect(res.status).toBe(403);
+    expect(res.body).toMatchObject({ emailVerified: false });
+    expect(res.body.accessToken).toBeUndefined();
+  });
+});
+
+describe("PATCH /auth/verifyemail/:verificationToken", () => {
+  it("verifies the email address that the link was sent to", async () => {
+    const findOneAndUpdate = jest
+      .spyOn(User, "findOneAndUpdate")
+      .mockReturnValue(mockQuery({ ...user, emailVerified: true }));
+
+    const res = await request(app).patch(
+      `/auth/verifyemail/${createEmailVerificationToken(user)}`
+    );
+
+    expect(res.status).toBe(200);
+    // The link stops working once the user has changed their email address
+    expect(findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: user._id, email: user.email },
+      { emailVerified: true },
+      { new: true }
+    );
+  });
+
+  it("rejects a link for an email address that the user doesn't have anymore", async () => {
+    jest.spyOn(User, "findOneAndUpdate").mockReturnValue(mockQuery(null));
+
+    const res = await request(app).patch(
+      `/auth/verifyemail/${createEmailVerificationToken({
+        ...user,
+        email: "old@example.com",
+      })}`
+    );
+
+    expect(res.status).toBe(400);
+  });
+
+  it("rejects tokens that weren't signed as email verification tokens", async () => {
+    const findOneAndUpdate = jest.spyOn(User, "findOneAndUpdate");
+
+    const res = await request(app).patch("/auth/verifyemail/not-a-token");
+
+    expect(res.status).toBe(400);
+    expect(findOneAndUpdate).not.toHaveBeenCalled();
+  });
+});
+
+describe("PATCH /auth/acceptinvitation/:invitationToken", () => {
+  const invitationToken = "invitation-token";
+
+  it("sets the password, verifies the email, and uses up the invitation in one update", async () => {
+    jest.spyOn(User, "findOne").mockReturnValue(mockQuery(user));
+    const findOneAndUpdate = jest
+      .spyOn(User, "findOneAndUpdate")
+      .mockReturnValue(mockQuery(user));
+
+    const res = await request(app)
+      .patch(`/auth/acceptinvitation/${invitationToken}`)
+      .send({ password: STRONG_PASSWORD });
+
+    expect(res.status).toBe(200);
+    const [filter, update] = findOneAndUpdate.mock.calls[0];
+    expect(filter).toEqual({
+      _id: user._id,
+      invitationToken: hashToken(invitationToken),
+    });
+    expect(update).toMatchObject({
+      emailVerified: true,
+      invitationToken: null,
+      invitationSentAt: null,
+    });
+    expect(await bcrypt.compare(STRONG_PASSWORD, update.password)).toBe(true);
+  });
+
+  it("only accepts invitations that haven't expired", async () => {
+    const findOne = jest
+      .spyOn(User, "findOne")
+      .mockReturnValue(mockQuery(null));
+
+    const res = await request(app)
+      .patch(`/auth/acceptinvitation/${invitationToken}`)
+      .send({ password: STRONG_PASSWORD });
+
+    expect(res.status).toBe(400);
+    expect(findOne.mock.calls[0][0]).toMatchObject({
+      invitationToken: hashToken(invitationToken),
+      invitationSentAt: { $gt: expect.any(Date) },
+    });
+  });
+
+  it("rejects an invitation that was used at the same time by another request", async () => {
+    jest.spyOn(User, "findOne").mockReturnValue(mockQuery(user));
+    jest.spyOn(User, "findOneAndUpdate").mockReturnValue(mockQuery(null));
+
+    const res = await request(app)
+      .patch(`/auth/acceptinvitation/${invitationToken}`)
+      .send({ password: STRONG_PASSWORD });
+
+    expect(res.status).toBe(400);
+  });
+
+  it("checks the new password against the password policy", async () => {
+    jest.spyOn(User, "findOne").mockReturnValue(mockQuery(user));
+    const findOneAndUpdate = jest.spyOn(User, "findOneAndUpdate");
+
+    const res = await request(app)
+      .patch(`/auth/acceptinvitation/${invitationToken}`)
+      .send({ password: "short" });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors.length).toBeGreaterThan(0);
+    expect(findOneAndUpdate).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,26 @@
+require("express-async-errors");
+const express = require("express");
+const cookieParser = require("cookie-parser");
+const errorHandler = require("../../middleware/errorHandler");
+
+/**
+ * @description This file contains the app that the tests send their requests to
+ * @author [Hoang Le Chau](https://github.com/hoanglechau)
+ */
+
+/**
+ * @description Create an app with the same body parsing and error handling as app.js, without the database connection and the jobs
+ * @param {*} path
+ * @param {*} router
+ * @returns
+ */
+const createApp = (path, router) => {
+  const app = express();
+  app.use(express.json());
+  app.use(cookieParser());
+  app.use(path, router);
+  app.use(errorHandler);
+  return app;
+};
+
+module.exports = createApp;
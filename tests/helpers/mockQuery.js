@@ -0,0 +1,28 @@
+/**
+ * @description This file contains the stand-in for Mongoose queries in the tests
+ * @author [Hoang Le Chau](https://github.com/hoanglechau)
+ */
+
+/**
+ * @description Create a query that resolves to a result. Every query method returns the query itself, so chains like .select().lean().exec() work
+ * @param {*} result
+ * @returns
+ */
+const mockQuery = result => {
+  const query = new Proxy(
+    {},
+    {
+      get: (target, property) => {
+        if (property === "exec") return () => Promise.resolve(result);
+        if (property === "then") {
+          return (resolve, reject) =>
+            Promise.resolve(result).then(resolve, reject);
+        }
+        return () => query;
+      },
+    }
+  );
+  return query;
+};
+
+module.exports = mockQuery;
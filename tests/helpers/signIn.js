@@ -0,0 +1,25 @@
+const Session = require("../../models/Session");
+const { createAccessToken } = require("../../utils/tokens");
+const mockQuery = require("./mockQuery");
+
+/**
+ * @description This file contains the sign-in for tests that call endpoints behind verifyJWT
+ * @author [Hoang Le Chau](https://github.com/hoanglechau)
+ */
+
+/**
+ * @description Create an access token for a user, with a session that verifyJWT finds. Must be called in a test or a beforeEach, since the session lookup is mocked
+ * @param {*} user
+ * @returns The access token
+ */
+const signIn = user => {
+  const sessionId = "64b7f0c2a1b2c3d4e5f6071a";
+  jest
+    .spyOn(Session, "findById")
+    .mockReturnValue(
+      mockQuery({ _id: sessionId, revokedAt: null, lastSeenAt: new Date() })
+    );
+  return createAccessToken(user, { sessionId });
+};
+
+module.exports = signIn;
@@ -0,0 +1,53 @@
+const fs = require("fs");
+const { getLoggedUrl, logger } = require("../middleware/logger");
+
+/**
+ * @description This file contains the tests for the request logs
+ * @author [Hoang Le Chau](https://github.com/hoanglechau)
+ */
+
+describe("getLoggedUrl", () => {
+  it("hides the tickets of the note event stream", () => {
+    expect(
+      getLoggedUrl({ url: "/notes/events?ticket=eyJhbGciOi.abc.def" })
+    ).toBe("/notes/events?ticket=[redacted]");
+    expect(
+      getLoggedUrl({ url: "/notes/events?lastEventId=12&ticket=secret#top" })
+    ).toBe("/notes/events?lastEventId=12&ticket=[redacted]#top");
+  });
+
+  it("keeps urls without a ticket as they are", () => {
+    expect(getLoggedUrl({ url: "/notes?status=Open&page=2" })).toBe(
+      "/notes?status=Open&page=2"
+    );
+  });
+});
+
+describe("logger", () => {
+  it("doesn't write event stream tickets to the request log", async () => {
+    jest.spyOn(fs, "existsSync").mockReturnValue(true);
+    const appendFile = jest
+      .spyOn(fs.promises, "appendFile")
+      .mockResolvedValue();
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    const next = jest.fn();
+
+    logger(
+      {
+        method: "GET",
+        url: "/notes/events?ticket=secret",
+        path: "/notes/events",
+        headers: {},
+      },
+      {},
+      next
+    );
+    // logEvents writes the log item after the check for the logs folder
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(next).toHaveBeenCalled();
+    const [, logItem] = appendFile.mock.calls[0];
+    expect(logItem).toContain("/notes/events?ticket=[redacted]");
+    expect(logItem).not.toContain("secret");
+  });
+});
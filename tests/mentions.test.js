@@ -0,0 +1,167 @@
+const request = require("supertest");
+const Comment = require("../models/Comment");
+const Note = require("../models/Note");
+const User = require("../models/User");
+const noteRoutes = require("../routes/noteRoutes");
+const sendMail = require("../utils/sendMail");
+const {
+  parseMentions,
+  resolveMentions,
+  notifyMentionedUsers,
+} = require("../utils/mentions");
+const createApp = require("./helpers/createApp");
+const mockQuery = require("./helpers/mockQuery");
+const signIn = require("./helpers/signIn");
+
+jest.mock("../utils/sendMail");
+jest.mock("../middleware/logger");
+
+/**
+ * @description This file contains the tests for the @username mentions in comments
+ * @author [Hoang Le Chau](https://github.com/hoanglechau)
+ */
+
+const alice = {
+  _id: "64b7f0c2a1b2c3d4e5f60718",
+  username: "alice",
+  email: "alice@example.com",
+  role: "Employee",
+  active: true,
+};
+const bob = {
+  _id: "64b7f0c2a1b2c3d4e5f60719",
+  username: "bob",
+  email: "bob@example.com",
+  role: "Employee",
+  active: true,
+};
+const carol = {
+  _id: "64b7f0c2a1b2c3d4e5f6071b",
+  username: "carol",
+  email: "carol@example.com",
+  role: "Manager",
+  active: true,
+};
+const dave = {
+  _id: "64b7f0c2a1b2c3d4e5f6071c",
+  username: "dave",
+  email: "dave@example.com",
+  role: "Manager",
+  active: true,
+};
+
+const note = {
+  _id: "64b7f0c2a1b2c3d4e5f60720",
+  user: alice._id,
+  title: "Fix the printer",
+  ticket: 500,
+};
+
+describe("parseMentions", () => {
+  it("finds every mentioned username once, in lowercase", () => {
+    expect(
+      parseMentions("@Bob can you ask @carol? Thanks @bob, and @dave.")
+    ).toEqual(["bob", "carol", "dave"]);
+  });
+
+  it("ignores email addresses and lone @ signs", () => {
+    expect(parseMentions("Mail bob@example.com or write @ me")).toEqual([]);
+  });
+});
+
+describe("resolveMentions", () => {
+  it("looks up the mentioned usernames among the active users", async () => {
+    const find = jest.spyOn(User, "find").mockReturnValue(mockQuery([bob]));
+
+    await expect(resolveMentions("Thanks @Bob and @nobody")).resolves.toEqual([
+      bob,
+    ]);
+    expect(find).toHaveBeenCalledWith({
+      username: { $in: ["bob", "nobody"] },
+      active: true,
+    });
+  });
+
+  it("doesn't look up anyone without mentions", async () => {
+    const find = jest.spyOn(User, "find");
+
+    await expect(resolveMentions("No mentions here")).resolves.toEqual([]);
+    expect(find).not.toHaveBeenCalled();
+  });
+});
+
+describe("notifyMentionedUsers", () => {
+  it("emails the mentioned users who can see the note, except the author", () => {
+    // bob is an employee, so bob can't see alice's note
+    notifyMentionedUsers([alice, bob, carol], {
+      note,
+      owner: alice,
+      author: carol,
+      text: "@alice @bob @carol have a look",
+    });
+
+    expect(sendMail).toHaveBeenCalledTimes(1);
+    expect(sendMail).toHaveBeenCalledWith(
+      "alice@example.com",
+      "Meganote - You Were Mentioned",
+      expect.stringContaining(
+        'carol mentioned you in a comment on note #500 "Fix the printer"'
+      )
+    );
+  });
+});
+
+describe("comment endpoints", () => {
+  const app = createApp("/notes", noteRoutes);
+
+  let accessToken;
+
+  beforeEach(() => {
+    // carol, a manager, comments on alice's note
+    accessToken = signIn(carol);
+    jest.spyOn(Note, "findById").mockReturnValue(mockQuery(note));
+    jest.spyOn(User, "findById").mockReturnValue(mockQuery(alice));
+  });
+
+  it("saves the mentions of a new comment and emails the mentioned users", async () => {
+    jest.spyOn(User, "find").mockReturnValue(mockQuery([alice]));
+    const create = jest
+      .spyOn(Comment, "create")
+      .mockImplementation(async data => ({ _id: "comment", ...data }));
+
+    const res = await request(app)
+      .post(`/notes/${note._id}/comments`)
+      .set("Authorization", `Bearer ${accessToken}`)
+      .send({ text: "@alice the toner is in the cupboard" });
+
+    expect(res.status).toBe(201);
+    expect(create).toHaveBeenCalledWith(
+      expect.objectContaining({ author: carol._id, mentions: [alice._id] })
+    );
+    expect(sendMail).toHaveBeenCalledTimes(1);
+    expect(sendMail.mock.calls[0][0]).toBe("alice@example.com");
+  });
+
+  it("only emails the users that an edit mentions for the first time", async () => {
+    const comment = {
+      _id: "64b7f0c2a1b2c3d4e5f60730",
+      note: note._id,
+      author: carol._id,
+      text: "@alice the toner is in the cupboard",
+      mentions: [alice._id],
+    };
+    comment.save = jest.fn(async () => comment);
+    jest.spyOn(Comment, "findOne").mockReturnValue(mockQuery(comment));
+    jest.spyOn(User, "find").mockReturnValue(mockQuery([alice, dave]));
+
+    const res = await request(app)
+      .patch(`/notes/${note._id}/comments/${comment._id}`)
+      .set("Authorization", `Bearer ${accessToken}`)
+      .send({ text: "@alice @dave the toner is in the cupboard" });
+
+    expect(res.status).toBe(200);
+    expect(comment.mentions).toEqual([alice._id, dave._id]);
+    expect(sendMail).toHaveBeenCalledTimes(1);
+    expect(sendMail.mock.calls[0][0]).toBe("dave@example.com");
+  });
+});
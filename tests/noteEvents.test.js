@@ -0,0 +1,183 @@
+const { EventEmitter } = require("events");
+const noteEvents = require("../config/noteEvents");
+const { streamNoteEvents } = require("../controllers/eventController");
+const verifyEventStream = require("../middleware/verifyEventStream");
+const { getVisibleEvent } = require("../utils/noteEvents");
+const { createAccessToken, createEventTicket } = require("../utils/tokens");
+
+jest.mock("../middleware/logger");
+
+/**
+ * @description This file contains the tests for the real-time note event stream
+ * @author [Hoang Le Chau](https://github.com/hoanglechau)
+ */
+
+const admin = { _id: "64b7f0c2a1b2c3d4e5f60710", role: "Admin" };
+const manager = { _id: "64b7f0c2a1b2c3d4e5f60711", role: "Manager" };
+const alice = { _id: "64b7f0c2a1b2c3d4e5f60718", role: "Employee" };
+const bob = { _id: "64b7f0c2a1b2c3d4e5f60719", role: "Employee" };
+
+const note = {
+  _id: "64b7f0c2a1b2c3d4e5f60720",
+  ticket: 500,
+  title: "Fix the printer",
+};
+
+const createEvent = (fields = {}) => ({
+  id: 1,
+  type: "note.updated",
+  owner: alice,
+  previousOwner: null,
+  note,
+  createdAt: new Date(),
+  ...fields,
+});
+
+describe("getVisibleEvent", () => {
+  it("sends the event to the users who can see the note, without the assignee details", () => {
+    const event = createEvent();
+
+    for (const user of [admin, manager, alice]) {
+      expect(getVisibleEvent(user, event)).toEqual({
+        id: 1,
+        type: "note.updated",
+        note,
+        createdAt: event.createdAt,
+      });
+    }
+    expect(getVisibleEvent(bob, event)).toBeNull();
+  });
+
+  it("doesn't send managers the events of admins' notes", () => {
+    expect(getVisibleEvent(manager, createEvent({ owner: admin }))).toBeNull();
+  });
+
+  it("tells the users who could only see the old assignee's notes that the note is gone", () => {
+    const event = createEvent({ owner: bob, previousOwner: alice });
+
+    expect(getVisibleEvent(alice, event)).toEqual({
+      id: 1,
+      type: "note.deleted",
+      note: { _id: note._id, ticket: 500 },
+      createdAt: event.createdAt,
+    });
+    expect(getVisibleEvent(bob, event).type).toBe("note.updated");
+  });
+});
+
+describe("streamNoteEvents", () => {
+  // A response that keeps what is written to it
+  const createRes = () => {
+    const res = new EventEmitter();
+    res.body = "";
+    res.status = jest.fn(() => res);
+    res.set = jest.fn(() => res);
+    res.flushHeaders = jest.fn();
+    res.write = chunk => {
+      res.body += chunk;
+      return true;
+    };
+    res.end = jest.fn();
+    return res;
+  };
+  const createReq = (user, lastEventId) => ({
+    userId: user._id,
+    user: "someone",
+    role: user.role,
+    tokenExpiresAt: null,
+    query: {},
+    get: header => (header === "Last-Event-ID" ? lastEventId : undefined),
+  });
+  // The ids of the events in the stream
+  const sentIds = res =>
+    [...res.body.matchAll(/^id: (\d+)$/gm)].map(match => Number(match[1]));
+
+  let res;
+
+  afterEach(() => {
+    // Stops the heartbeat and the subscription
+    res.emit("close");
+  });
+
+  it("replays the events after Last-Event-ID that the user may see, then sends the live ones", async () => {
+    const first = await noteEvents.publish(createEvent());
+    const missed = await noteEvents.publish(createEvent());
+    const hidden = await noteEvents.publish(createEvent({ owner: bob }));
+    res = createRes();
+
+    await streamNoteEvents(createReq(alice, String(first.id)), res);
+    const live = await noteEvents.publish(createEvent());
+
+    expect(res.set).toHaveBeenCalledWith(
+      expect.objectContaining({ "Content-Type": "text/event-stream" })
+    );
+    expect(sentIds(res)).toEqual([missed.id, live.id]);
+    expect(sentIds(res)).not.toContain(hidden.id);
+    expect(res.body).toContain("event: note.updated\n");
+  });
+
+  it("asks the client to reload its notes when the missed events aren't kept anymore", async () => {
+    res = createRes();
+
+    await streamNoteEvents(createReq(alice, "1"), res);
+
+    expect(res.body).toContain("event: resync\ndata: {}\n\n");
+    expect(sentIds(res)).toEqual([]);
+  });
+
+  it("only sends live events without Last-Event-ID", async () => {
+    await noteEvents.publish(createEvent());
+    res = createRes();
+
+    await streamNoteEvents(createReq(alice), res);
+    const live = await noteEvents.publish(createEvent());
+
+    expect(sentIds(res)).toEqual([live.id]);
+    expect(res.body).not.toContain("resync");
+  });
+});
+
+describe("verifyEventStream", () => {
+  const createRes = () => {
+    const res = {};
+    res.status = jest.fn(() => res);
+    res.json = jest.fn(() => res);
+    return res;
+  };
+
+  it("lets the stream act as the user of a valid ticket", async () => {
+    const ticket = createEventTicket({
+      username: "alice",
+      role: "Employee",
+      _id: alice._id,
+      tokenExpiresAt: null,
+    });
+    const req = { query: { ticket } };
+    const next = jest.fn();
+
+    await verifyEventStream(req, createRes(), next);
+
+    expect(next).toHaveBeenCalled();
+    expect(req).toMatchObject({
+      user: "alice",
+      role: "Employee",
+      userId: alice._id,
+    });
+  });
+
+  it("rejects invalid tickets and access tokens used as tickets", async () => {
+    const res = createRes();
+    const next = jest.fn();
+
+    await verifyEventStream({ query: { ticket: "not-a-ticket" } }, res, next);
+    const accessToken = createAccessToken(
+      { ...alice, username: "alice" },
+      { sessionId: "64b7f0c2a1b2c3d4e5f6071a" }
+    );
+    await verifyEventStream({ query: { ticket: accessToken } }, res, next);
+
+    expect(res.status).toHaveBeenCalledTimes(2);
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(next).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,119 @@
+const Setting = require("../models/Setting");
+const { buildNoteFilter, parseNoteSort } = require("../utils/noteFilters");
+const { getScheduleError } = require("../utils/notes");
+const mockQuery = require("./helpers/mockQuery");
+
+/**
+ * @description This file contains the tests for the note list filters
+ * @author [Hoang Le Chau](https://github.com/hoanglechau)
+ */
+
+const admin = { _id: "64b7f0c2a1b2c3d4e5f60718", role: "Admin" };
+
+beforeEach(() => {
+  // The default workflow: Open, In Progress and Completed
+  jest.spyOn(Setting, "findOne").mockReturnValue(mockQuery(null));
+});
+
+describe("buildNoteFilter", () => {
+  it("hides the notes with the statuses in 'status', like older frontends expect", async () => {
+    const { filterCriteria } = await buildNoteFilter(admin, {
+      status: "Completed",
+    });
+
+    expect(filterCriteria.$and).toContainEqual({
+      status: { $nin: ["Completed"] },
+    });
+  });
+
+  it("hides the notes with the statuses in 'excludeStatus' too", async () => {
+    const { filterCriteria } = await buildNoteFilter(admin, {
+      status: "Completed",
+      excludeStatus: "In Progress",
+    });
+
+    expect(filterCriteria.$and).toContainEqual({
+      status: { $nin: ["Completed", "In Progress"] },
+    });
+  });
+
+  it("only shows the notes with the statuses in 'includeStatus'", async () => {
+    const { filterCriteria } = await buildNoteFilter(admin, {
+      includeStatus: "Open,In Progress",
+    });
+
+    expect(filterCriteria.$and).toContainEqual({
+      status: { $in: ["Open", "In Progress"] },
+    });
+  });
+
+  it("rejects statuses that aren't in the workflow", async () => {
+    expect(await buildNoteFilter(admin, { includeStatus: "Done" })).toEqual({
+      error: "Unknown status: Done!",
+    });
+  });
+
+  it("only shows the notes that are due in a date range", async () => {
+    const { filterCriteria } = await buildNoteFilter(admin, {
+      dueAfter: "2026-10-01",
+      dueBefore: "2026-11-01",
+    });
+
+    expect(filterCriteria.$and).toContainEqual({
+      dueAt: {
+        $lt: new Date("2026-11-01"),
+        $gte: new Date("2026-10-01"),
+        $ne: null,
+      },
+    });
+    expect(await buildNoteFilter(admin, { dueBefore: "someday" })).toEqual({
+      error: "Due dates must be valid dates!",
+    });
+  });
+
+  it("only shows overdue notes that aren't finished", async () => {
+    const { filterCriteria } = await buildNoteFilter(admin, {
+      overdue: "true",
+    });
+
+    expect(filterCriteria.$and).toContainEqual({
+      dueAt: { $lt: expect.any(Date) },
+      status: { $nin: ["Completed"] },
+    });
+  });
+});
+
+describe("parseNoteSort", () => {
+  it("sorts by due date and priority, soonest and lowest first by default", () => {
+    expect(parseNoteSort({ sort: "dueAt" })).toEqual({
+      sort: "dueAt",
+      sortOrder: 1,
+    });
+    expect(parseNoteSort({ sort: "priority", order: "desc" })).toEqual({
+      sort: "priority",
+      sortOrder: -1,
+    });
+  });
+
+  it("rejects fields that notes can't be sorted by", () => {
+    expect(parseNoteSort({ sort: "title" }).error).toBe(
+      "Notes can only be sorted by: createdAt, updatedAt, dueAt, priority, ticket!"
+    );
+  });
+});
+
+describe("getScheduleError", () => {
+  it("accepts valid and empty due dates and known priorities", () => {
+    expect(getScheduleError({ dueAt: "2026-10-20T09:00:00Z" })).toBeNull();
+    expect(getScheduleError({ dueAt: null, priority: "4" })).toBeNull();
+  });
+
+  it("rejects invalid due dates and unknown priorities", () => {
+    expect(getScheduleError({ dueAt: "someday" })).toBe(
+      "Due date must be a valid date!"
+    );
+    expect(getScheduleError({ priority: 5 })).toBe(
+      "Priority must be one of: 1 (Low), 2 (Medium), 3 (High), 4 (Urgent)!"
+    );
+  });
+});
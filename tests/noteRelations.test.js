@@ -0,0 +1,152 @@
+const Note = require("../models/Note");
+const User = require("../models/User");
+const defaultWorkflow = require("../config/workflow");
+const {
+  getRelationsError,
+  getOpenDependenciesError,
+} = require("../utils/noteRelations");
+const mockQuery = require("./helpers/mockQuery");
+
+/**
+ * @description This file contains the tests for the subtasks and blocking notes
+ * @author [Hoang Le Chau](https://github.com/hoanglechau)
+ */
+
+const alice = { _id: "64b7f0c2a1b2c3d4e5f60718", role: "Employee" };
+const bob = { _id: "64b7f0c2a1b2c3d4e5f60719", role: "Employee" };
+
+const ids = {
+  a: "64b7f0c2a1b2c3d4e5f60720",
+  b: "64b7f0c2a1b2c3d4e5f60721",
+  c: "64b7f0c2a1b2c3d4e5f60722",
+  d: "64b7f0c2a1b2c3d4e5f60723",
+};
+
+// The stored notes, all of alice's: b is blocked by a, c is a subtask of b, and d is done
+let notes;
+
+beforeEach(() => {
+  notes = [
+    { _id: ids.a, ticket: 1, status: "Open", parent: null, blockedBy: [] },
+    { _id: ids.b, ticket: 2, status: "Open", parent: null, blockedBy: [ids.a] },
+    { _id: ids.c, ticket: 3, status: "Open", parent: ids.b, blockedBy: [] },
+    { _id: ids.d, ticket: 4, status: "Completed", parent: null, blockedBy: [] },
+  ].map(note => ({ ...note, user: alice._id }));
+
+  // Finds the stored notes by their ids or their parent, and leaves out the statuses in $nin
+  jest
+    .spyOn(Note, "find")
+    .mockImplementation(filter =>
+      mockQuery(
+        notes.filter(
+          note =>
+            (filter._id
+              ? filter._id.$in.map(String).includes(note._id)
+              : true) &&
+            (filter.parent ? note.parent === filter.parent.toString() : true) &&
+            !filter.status?.$nin.includes(note.status)
+        )
+      )
+    );
+  jest.spyOn(User, "find").mockReturnValue(mockQuery([alice]));
+});
+
+describe("getRelationsError", () => {
+  it("accepts a parent and blocking notes that don't make a cycle", async () => {
+    expect(
+      await getRelationsError(alice, {
+        noteId: ids.d,
+        parent: ids.c,
+        blockedBy: [ids.a, ids.b],
+      })
+    ).toBeNull();
+  });
+
+  it("rejects notes that would be related to themselves", async () => {
+    expect(
+      await getRelationsError(alice, { noteId: ids.a, parent: ids.a })
+    ).toBe("A note can't be its own parent!");
+    expect(
+      await getRelationsError(alice, { noteId: ids.a, blockedBy: [ids.a] })
+    ).toBe("A note can't block itself!");
+  });
+
+  it("rejects blocking notes that the note blocks", async () => {
+    // a blocks b, so b can't block a
+    expect(
+      await getRelationsError(alice, { noteId: ids.a, blockedBy: [ids.b] })
+    ).toBe("A note can't be blocked by a note that it blocks!");
+  });
+
+  it("rejects a parent that is one of the note's subtasks, however deep", async () => {
+    notes.find(note => note._id === ids.a).parent = null;
+    notes.find(note => note._id === ids.b).parent = ids.a;
+
+    // c is a subtask of b, which is a subtask of a
+    expect(
+      await getRelationsError(alice, { noteId: ids.a, parent: ids.c })
+    ).toBe("A note can't be a subtask of its own subtask!");
+  });
+
+  it("doesn't relate notes to notes that the user can't see", async () => {
+    expect(
+      await getRelationsError(bob, { noteId: ids.d, blockedBy: [ids.a] })
+    ).toBe("Blocking note not found!");
+    expect(await getRelationsError(bob, { noteId: ids.d, parent: ids.a })).toBe(
+      "Parent note not found!"
+    );
+  });
+
+  it("rejects blocking notes that aren't note ids", async () => {
+    expect(
+      await getRelationsError(alice, { noteId: ids.a, blockedBy: "nope" })
+    ).toBe("Blocked by must be a list of note ids!");
+  });
+});
+
+describe("getOpenDependenciesError", () => {
+  it("doesn't complete a note while one of its blocking notes is open", async () => {
+    expect(
+      await getOpenDependenciesError(defaultWorkflow, "Completed", {
+        noteId: ids.b,
+        blockedBy: [ids.a, ids.d],
+      })
+    ).toEqual({
+      statusCode: 409,
+      message: `This note can't be moved to "Completed" while it's blocked by #1!`,
+    });
+  });
+
+  it("doesn't complete a note while one of its subtasks is open", async () => {
+    expect(
+      await getOpenDependenciesError(defaultWorkflow, "Completed", {
+        noteId: ids.b,
+        blockedBy: [],
+      })
+    ).toEqual({
+      statusCode: 409,
+      message: `This note can't be moved to "Completed" while its subtasks #3 are open!`,
+    });
+  });
+
+  it("completes a note when its blocking notes and subtasks are done", async () => {
+    notes.find(note => note._id === ids.c).status = "Completed";
+
+    expect(
+      await getOpenDependenciesError(defaultWorkflow, "Completed", {
+        noteId: ids.b,
+        blockedBy: [ids.d],
+      })
+    ).toBeNull();
+  });
+
+  it("doesn't check anything for statuses that aren't terminal", async () => {
+    expect(
+      await getOpenDependenciesError(defaultWorkflow, "In Progress", {
+        noteId: ids.b,
+        blockedBy: [ids.a],
+      })
+    ).toBeNull();
+    expect(Note.find).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,177 @@
+const request = require("supertest");
+const Label = require("../models/Label");
+const Note = require("../models/Note");
+const NoteRevision = require("../models/NoteRevision");
+const Setting = require("../models/Setting");
+const User = require("../models/User");
+const noteRoutes = require("../routes/noteRoutes");
+const createApp = require("./helpers/createApp");
+const mockQuery = require("./helpers/mockQuery");
+const signIn = require("./helpers/signIn");
+
+jest.mock("../utils/sendMail");
+jest.mock("../middleware/logger");
+
+/**
+ * @description This file contains the tests for the note export and import
+ * @author [Hoang Le Chau](https://github.com/hoanglechau)
+ */
+
+const app = createApp("/notes", noteRoutes);
+
+const user = {
+  _id: "64b7f0c2a1b2c3d4e5f60718",
+  username: "alice",
+  fullname: "Alice Smith",
+  email: "alice@example.com",
+  role: "Employee",
+  active: true,
+};
+
+let accessToken;
+
+beforeEach(() => {
+  accessToken = signIn(user);
+  // The default workflow, without WIP limits
+  jest.spyOn(Setting, "findOne").mockReturnValue(mockQuery(null));
+  jest.spyOn(Label, "find").mockReturnValue(mockQuery([]));
+  jest.spyOn(User, "findOne").mockReturnValue(mockQuery(user));
+  jest.spyOn(User, "findById").mockReturnValue(mockQuery(user));
+  // No title has been used yet
+  jest.spyOn(Note, "findOne").mockReturnValue(mockQuery(null));
+  jest.spyOn(NoteRevision, "findOne").mockReturnValue(mockQuery(null));
+  jest.spyOn(NoteRevision, "create").mockResolvedValue({});
+});
+
+const importCsv = (csv, query = "") =>
+  request(app)
+    .post(`/notes/import${query}`)
+    .set("Authorization", `Bearer ${accessToken}`)
+    .attach("file", Buffer.from(csv), {
+      filename: "notes.csv",
+      contentType: "text/csv",
+    });
+
+describe("POST /notes/import", () => {
+  it("reports the rows that were imported when a later note can't be created", async () => {
+    jest
+      .spyOn(Note, "create")
+      .mockImplementationOnce(async data => ({
+        ...data,
+        _id: "64b7f0c2a1b2c3d4e5f60720",
+        ticket: 501,
+      }))
+      .mockRejectedValueOnce(new Error("Connection lost"));
+
+    const res = await importCsv(
+      "title,text,assignee\nFirst,One,alice\nSecond,Two,alice\nThird,Three,alice\n"
+    );
+
+    expect(res.status).toBe(500);
+    expect(res.body.imported).toEqual([{ row: 2, ticket: 501 }]);
+    expect(res.body.failed).toEqual({ row: 3, message: "Connection lost" });
+    // The import stops at the row that failed
+    expect(Note.create).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe("POST /notes/import?dryRun=true", () => {
+  it("reports the errors of every row without importing anything", async () => {
+    // Only alice exists
+    User.findOne.mockImplementation(({ $or }) =>
+      mockQuery($or[0].username === "alice" ? user : null)
+    );
+    const create = jest.spyOn(Note, "create");
+
+    const res = await importCsv(
+      [
+        "title,text,assignee,status,priority,labels",
+        "Fix the printer,It's jammed,alice,,High,",
+        ",No title,alice,,,",
+        "Fix the printer,Again,alice,,,",
+        "Buy coffee,We're out,nobody,Done,Someday,Kitchen",
+      ].join("\n"),
+      "?dryRun=true"
+    );
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ dryRun: true, valid: false, rows: 4 });
+    expect(res.body.errors).toEqual([
+      { row: 3, field: "title", message: "Missing required data: title!" },
+      {
+        row: 4,
+        field: "title",
+        message: "This note title is used more than once in the file!",
+      },
+      {
+        row: 5,
+        field: "priority",
+        message: expect.stringContaining("Priority must be one of"),
+      },
+      { row: 5, field: "labels", message: "Label not found: Kitchen!" },
+      {
+        row: 5,
+        field: "status",
+        message: "Status must be one of: Open, In Progress, Completed!",
+      },
+      { row: 5, field: "assignee", message: "User not found: nobody!" },
+    ]);
+    expect(create).not.toHaveBeenCalled();
+  });
+
+  it("reports that a valid file can be imported", async () => {
+    const create = jest.spyOn(Note, "create");
+
+    const res = await importCsv(
+      "title,text,assignee\nFirst,One,alice\nSecond,Two,alice\n",
+      "?dryRun=true"
+    );
+
+    expect(res.body).toMatchObject({
+      valid: true,
+      errors: [],
+      message: "2 note(s) can be imported!",
+    });
+    expect(create).not.toHaveBeenCalled();
+  });
+});
+
+describe("GET /notes/export", () => {
+  it("exports cells that spreadsheet apps would run as formulas with a quote in front", async () => {
+    const date = new Date("2026-10-01T09:00:00Z");
+    const notes = [
+      {
+        _id: "64b7f0c2a1b2c3d4e5f60720",
+        user: user._id,
+        ticket: 500,
+        title: '=HYPERLINK("http://evil.test","Click")',
+        text: "+1 for fixing, it's jammed",
+        status: "Open",
+        priority: 3,
+        dueAt: null,
+        labels: [{ name: "@office" }],
+        createdAt: date,
+        updatedAt: date,
+      },
+    ];
+    // The export reads the notes with a cursor
+    const query = {
+      populate: () => query,
+      sort: () => query,
+      lean: () => query,
+      cursor: () => notes,
+    };
+    jest.spyOn(Note, "find").mockReturnValue(query);
+
+    const res = await request(app)
+      .get("/notes/export")
+      .set("Authorization", `Bearer ${accessToken}`);
+
+    expect(res.status).toBe(200);
+    expect(res.headers["content-type"]).toBe("text/csv; charset=utf-8");
+    const [, row] = res.text.split("\r\n");
+    expect(row).toBe(
+      `500,"'=HYPERLINK(""http://evil.test"",""Click"")","'+1 for fixing, it's jammed",Open,High,,'@office,Alice Smith,alice,${date.toISOString()},${date.toISOString()}`
+    );
+  });
+});
@@ -0,0 +1,195 @@
+const request = require("supertest");
+const RefreshToken = require("../models/RefreshToken");
+const Session = require("../models/Session");
+const Setting = require("../models/Setting");
+const User = require("../models/User");
+const oidcOptions = require("../config/oidc");
+const authRoutes = require("../routes/authRoutes");
+const { handleCallback, findOrCreateOidcUser } = require("../utils/oidc");
+const { verifyChallengeToken } = require("../utils/tokens");
+const createApp = require("./helpers/createApp");
+const mockQuery = require("./helpers/mockQuery");
+
+jest.mock("../utils/oidc", () => ({
+  ...jest.requireActual("../utils/oidc"),
+  // There is no provider to exchange the authorization code with
+  handleCallback: jest.fn(),
+}));
+jest.mock("../utils/sendMail");
+jest.mock("../middleware/logger");
+
+/**
+ * @description This file contains the tests for logging in with an OpenID Connect provider
+ * @author [Hoang Le Chau](https://github.com/hoanglechau)
+ */
+
+const app = createApp("/auth", authRoutes);
+
+const claims = {
+  iss: "https://idp.example.com",
+  sub: "subject-1",
+  email: "alice@example.com",
+  email_verified: true,
+  preferred_username: "alice",
+  name: "Alice Smith",
+};
+
+// A user document, which findOrCreateOidcUser saves after linking it
+const createUser = fields => {
+  const user = {
+    _id: "64b7f0c2a1b2c3d4e5f60718",
+    username: "alice",
+    email: "alice@example.com",
+    role: "Employee",
+    active: true,
+    isDeleted: false,
+    oidcIssuer: null,
+    oidcSubject: null,
+    ...fields,
+  };
+  user.save = jest.fn().mockResolvedValue(user);
+  return user;
+};
+
+// The first findOne looks for a linked user, the second one for a user with the same email
+const mockUsers = (linkedUser, emailUser) =>
+  jest
+    .spyOn(User, "findOne")
+    .mockReturnValueOnce(mockQuery(linkedUser))
+    .mockReturnValueOnce(mockQuery(emailUser))
+    .mockReturnValue(mockQuery(null));
+
+beforeEach(() => {
+  oidcOptions.enabled = true;
+  oidcOptions.jitProvisioning = false;
+});
+
+describe("findOrCreateOidcUser", () => {
+  it("finds the user who logged in with this identity before", async () => {
+    const linkedUser = createUser({
+      oidcIssuer: claims.iss,
+      oidcSubject: claims.sub,
+    });
+    const findOne = mockUsers(linkedUser);
+
+    expect(await findOrCreateOidcUser(claims)).toBe(linkedUser);
+    expect(findOne).toHaveBeenCalledTimes(1);
+    expect(findOne).toHaveBeenCalledWith({
+      oidcIssuer: claims.iss,
+      oidcSubject: claims.sub,
+    });
+  });
+
+  it("links the identity to an active user with the same verified email", async () => {
+    const user = createUser();
+    mockUsers(null, user);
+
+    expect(await findOrCreateOidcUser(claims)).toBe(user);
+    expect(user).toMatchObject({
+      oidcIssuer: claims.iss,
+      oidcSubject: claims.sub,
+      emailVerified: true,
+    });
+    expect(user.save).toHaveBeenCalled();
+  });
+
+  it("doesn't trust email addresses that the provider hasn't verified", async () => {
+    const findOne = mockUsers(null, createUser());
+
+    expect(
+      await findOrCreateOidcUser({ ...claims, email_verified: "true" })
+    ).toBeNull();
+    expect(findOne).toHaveBeenCalledTimes(1);
+  });
+
+  it.each([
+    ["linked to another identity", { oidcSubject: "subject-2" }],
+    ["deleted", { isDeleted: true }],
+    ["deactivated", { active: false }],
+  ])("doesn't link a user who is %s", async (description, fields) => {
+    const user = createUser(fields);
+    mockUsers(null, user);
+
+    expect(await findOrCreateOidcUser(claims)).toBeNull();
+    expect(user.save).not.toHaveBeenCalled();
+  });
+
+  it("only creates new users if just-in-time provisioning is enabled", async () => {
+    mockUsers(null, null);
+    const create = jest.spyOn(User, "create");
+
+    expect(await findOrCreateOidcUser(claims)).toBeNull();
+    expect(create).not.toHaveBeenCalled();
+  });
+
+  it("creates a verified user with the default role on the first login", async () => {
+    oidcOptions.jitProvisioning = true;
+    mockUsers(null, null);
+    const create = jest
+      .spyOn(User, "create")
+      .mockImplementation(async data => data);
+
+    const user = await findOrCreateOidcUser(claims);
+
+    expect(user).toMatchObject({
+      username: "alice",
+      fullname: "Alice Smith",
+      role: oidcOptions.defaultRole,
+      emailVerified: true,
+      oidcIssuer: claims.iss,
+      oidcSubject: claims.sub,
+    });
+    expect(create).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe("GET /auth/oidc/callback", () => {
+  it("asks for the 2FA code instead of logging in users who have 2FA enabled", async () => {
+    handleCallback.mockResolvedValue(claims);
+    mockUsers(createUser({ twoFactorEnabled: true, oidcSubject: claims.sub }));
+    const createSession = jest.spyOn(Session, "create");
+
+    const res = await request(app).get("/auth/oidc/callback");
+
+    expect(res.status).toBe(302);
+    const { origin, pathname, hash } = new URL(res.headers.location);
+    expect(`${origin}${pathname}`).toBe("http://frontend.test/oidc/callback");
+    const fragment = new URLSearchParams(hash.slice(1));
+    expect(fragment.get("twoFactorRequired")).toBe("true");
+    expect(fragment.has("accessToken")).toBe(false);
+    expect(verifyChallengeToken(fragment.get("challengeToken"))).toMatchObject({
+      username: "alice",
+    });
+    expect(createSession).not.toHaveBeenCalled();
+    expect(res.headers["set-cookie"]).toBeUndefined();
+  });
+
+  it("logs in users without 2FA", async () => {
+    handleCallback.mockResolvedValue(claims);
+    mockUsers(createUser({ oidcSubject: claims.sub }));
+    jest
+      .spyOn(Session, "create")
+      .mockResolvedValue({ _id: "64b7f0c2a1b2c3d4e5f6071a", family: "f" });
+    jest.spyOn(Setting, "findOne").mockReturnValue(mockQuery(null));
+    jest.spyOn(RefreshToken, "create").mockResolvedValue({});
+
+    const res = await request(app).get("/auth/oidc/callback");
+
+    expect(res.status).toBe(302);
+    expect(res.headers.location).toMatch(
+      /^http:\/\/frontend\.test\/oidc\/callback#accessToken=/
+    );
+    expect(res.headers["set-cookie"].join()).toMatch(/jwt=/);
+  });
+
+  it("sends users without an account back to the login page", async () => {
+    handleCallback.mockResolvedValue(claims);
+    mockUsers(null, null);
+
+    const res = await request(app).get("/auth/oidc/callback");
+
+    expect(res.headers.location).toBe(
+      "http://frontend.test/login?error=oidc_user"
+    );
+  });
+});
@@ -0,0 +1,43 @@
+/**
+ * @description This file contains the tests for the password policy options
+ * @author [Hoang Le Chau](https://github.com/hoanglechau)
+ */
+
+// Load the policy with PASSWORD_HISTORY_SIZE set to a value, since it's read when the module is loaded
+const loadPolicy = historySize => {
+  const previous = process.env.PASSWORD_HISTORY_SIZE;
+  if (historySize === undefined) delete process.env.PASSWORD_HISTORY_SIZE;
+  else process.env.PASSWORD_HISTORY_SIZE = historySize;
+
+  let modules;
+  jest.isolateModules(() => {
+    modules = {
+      passwordPolicy: require("../config/passwordPolicy"),
+      ...require("../utils/passwordPolicy"),
+    };
+  });
+
+  if (previous === undefined) delete process.env.PASSWORD_HISTORY_SIZE;
+  else process.env.PASSWORD_HISTORY_SIZE = previous;
+  return modules;
+};
+
+describe("PASSWORD_HISTORY_SIZE", () => {
+  it("defaults to 5 when it's unset or not a number", () => {
+    expect(loadPolicy(undefined).passwordPolicy.historySize).toBe(5);
+    expect(loadPolicy("five").passwordPolicy.historySize).toBe(5);
+  });
+
+  it("uses the configured size", () => {
+    expect(loadPolicy("3").passwordPolicy.historySize).toBe(3);
+  });
+
+  it("turns the password history off with 0", () => {
+    const { passwordPolicy, nextPasswordHistory } = loadPolicy("0");
+
+    expect(passwordPolicy.historySize).toBe(0);
+    expect(
+      nextPasswordHistory({ password: "hash-1", passwordHistory: ["hash-0"] })
+    ).toEqual([]);
+  });
+});
@@ -0,0 +1,47 @@
+const RateLimit = require("../models/RateLimit");
+const { createMongoStore } = require("../utils/rateLimitStores");
+const mockQuery = require("./helpers/mockQuery");
+
+/**
+ * @description This file contains the tests for the MongoDB rate limit store
+ * @author [Hoang Le Chau](https://github.com/hoanglechau)
+ */
+
+// A query that fails like an upsert that lost against a concurrent upsert of the same key
+const duplicateKeyQuery = () =>
+  mockQuery(
+    Promise.reject(
+      Object.assign(new Error("E11000 duplicate key error"), { code: 11000 })
+    )
+  );
+
+describe("createMongoStore", () => {
+  const resetTime = new Date(Date.now() + 60 * 1000);
+
+  it("counts the hit on the counter that a concurrent first hit created", async () => {
+    const findOneAndUpdate = jest
+      .spyOn(RateLimit, "findOneAndUpdate")
+      .mockImplementationOnce(duplicateKeyQuery)
+      .mockReturnValueOnce(
+        mockQuery({ key: "login", count: 2, expiresAt: resetTime })
+      );
+
+    expect(await createMongoStore().increment("login", 60 * 1000)).toEqual({
+      count: 2,
+      resetTime,
+    });
+    expect(findOneAndUpdate).toHaveBeenCalledTimes(2);
+  });
+
+  it("doesn't hide other errors", async () => {
+    jest
+      .spyOn(RateLimit, "findOneAndUpdate")
+      .mockImplementation(() =>
+        mockQuery(Promise.reject(new Error("Network error")))
+      );
+
+    await expect(
+      createMongoStore().increment("login", 60 * 1000)
+    ).rejects.toThrow("Network error");
+  });
+});
@@ -0,0 +1,156 @@
+const request = require("supertest");
+const Note = require("../models/Note");
+const NoteRevision = require("../models/NoteRevision");
+const Setting = require("../models/Setting");
+const User = require("../models/User");
+const noteRoutes = require("../routes/noteRoutes");
+const sendMail = require("../utils/sendMail");
+const { sendDueReminders } = require("../utils/reminders");
+const createApp = require("./helpers/createApp");
+const mockQuery = require("./helpers/mockQuery");
+const signIn = require("./helpers/signIn");
+
+jest.mock("../utils/sendMail");
+jest.mock("../middleware/logger");
+
+/**
+ * @description This file contains the tests for the due date reminders
+ * @author [Hoang Le Chau](https://github.com/hoanglechau)
+ */
+
+const user = {
+  _id: "64b7f0c2a1b2c3d4e5f60718",
+  username: "alice",
+  email: "alice@example.com",
+  role: "Employee",
+  active: true,
+};
+
+const note = {
+  _id: "64b7f0c2a1b2c3d4e5f60720",
+  user: user._id,
+  title: "Fix the printer",
+  ticket: 500,
+  dueAt: new Date("2026-10-20T09:00:00Z"),
+};
+
+beforeEach(() => {
+  // The default workflow
+  jest.spyOn(Setting, "findOne").mockReturnValue(mockQuery(null));
+  jest.spyOn(User, "findById").mockReturnValue(mockQuery(user));
+});
+
+describe("sendDueReminders", () => {
+  it("claims each note without changing its version or updatedAt", async () => {
+    // One note is due soon, none is overdue
+    const claim = jest
+      .spyOn(Note, "findOneAndUpdate")
+      .mockReturnValueOnce(mockQuery(note))
+      .mockReturnValue(mockQuery(null));
+
+    const sent = await sendDueReminders();
+
+    expect(sent).toEqual({ dueSoon: 1, overdue: 0 });
+    const [filter, update, options] = claim.mock.calls[0];
+    expect(filter).toMatchObject({ dueSoonReminderSentAt: null });
+    expect(update).toEqual({ dueSoonReminderSentAt: expect.any(Date) });
+    expect(options).toMatchObject({ timestamps: false });
+    expect(sendMail).toHaveBeenCalledTimes(1);
+    expect(sendMail.mock.calls[0][0]).toBe("alice@example.com");
+  });
+
+  it("only reminds the assignees of notes that aren't finished", async () => {
+    const claim = jest
+      .spyOn(Note, "findOneAndUpdate")
+      .mockReturnValue(mockQuery(null));
+
+    await sendDueReminders();
+
+    const [[dueSoonFilter], [overdueFilter]] = claim.mock.calls;
+    expect(dueSoonFilter).toEqual({
+      dueAt: { $gt: expect.any(Date), $lte: expect.any(Date) },
+      status: { $nin: ["Completed"] },
+      dueSoonReminderSentAt: null,
+    });
+    expect(overdueFilter).toEqual({
+      dueAt: { $lte: expect.any(Date) },
+      status: { $nin: ["Completed"] },
+      overdueReminderSentAt: null,
+    });
+  });
+
+  it("marks the notes of inactive users without emailing them", async () => {
+    User.findById.mockReturnValue(mockQuery({ ...user, active: false }));
+    const claim = jest
+      .spyOn(Note, "findOneAndUpdate")
+      .mockReturnValueOnce(mockQuery(null))
+      .mockReturnValueOnce(mockQuery(note))
+      .mockReturnValue(mockQuery(null));
+
+    const sent = await sendDueReminders();
+
+    expect(sent).toEqual({ dueSoon: 0, overdue: 0 });
+    // The overdue reminder was claimed, so the note isn't checked again
+    expect(claim).toHaveBeenCalledTimes(3);
+    expect(sendMail).not.toHaveBeenCalled();
+  });
+});
+
+describe("PATCH /notes/:id", () => {
+  const app = createApp("/notes", noteRoutes);
+
+  let accessToken;
+  let savedNote;
+
+  beforeEach(() => {
+    accessToken = signIn(user);
+    jest.spyOn(NoteRevision, "findOne").mockReturnValue(mockQuery(null));
+    jest.spyOn(NoteRevision, "create").mockResolvedValue({});
+    // The title is free
+    jest.spyOn(Note, "findOne").mockReturnValue(mockQuery(null));
+
+    // Both reminders of the old due date have been sent
+    savedNote = Note.hydrate({
+      ...note,
+      text: "It's jammed again",
+      status: "Open",
+      labels: [],
+      blockedBy: [],
+      dueSoonReminderSentAt: new Date("2026-10-19T09:00:00Z"),
+      overdueReminderSentAt: new Date("2026-10-20T09:00:00Z"),
+      __v: 0,
+    });
+    savedNote.save = jest.fn(async () => savedNote);
+    jest.spyOn(Note, "findById").mockReturnValue(mockQuery(savedNote));
+  });
+
+  const update = dueAt =>
+    request(app)
+      .patch(`/notes/${note._id}`)
+      .set("Authorization", `Bearer ${accessToken}`)
+      .send({
+        id: note._id,
+        user: user._id,
+        title: note.title,
+        text: "It's jammed again",
+        status: "Open",
+        dueAt,
+      });
+
+  it("sends the reminders again for a new due date", async () => {
+    const res = await update("2026-10-27T09:00:00Z");
+
+    expect(res.status).toBe(200);
+    expect(savedNote.dueAt).toEqual(new Date("2026-10-27T09:00:00Z"));
+    expect(savedNote.dueSoonReminderSentAt).toBeNull();
+    expect(savedNote.overdueReminderSentAt).toBeNull();
+  });
+
+  it("doesn't send the reminders again when the due date stays the same", async () => {
+    const res = await update(note.dueAt.toISOString());
+
+    expect(res.status).toBe(200);
+    expect(savedNote.dueSoonReminderSentAt).not.toBeNull();
+    expect(savedNote.overdueReminderSentAt).not.toBeNull();
+  });
+});
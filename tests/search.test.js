@@ -0,0 +1,121 @@
+const Note = require("../models/Note");
+const User = require("../models/User");
+const {
+  escapeRegex,
+  parseSearchTerm,
+  searchNotes,
+  getHighlights,
+} = require("../utils/search");
+const mockQuery = require("./helpers/mockQuery");
+
+/**
+ * @description This file contains the tests for the full-text note search
+ * @author [Hoang Le Chau](https://github.com/hoanglechau)
+ */
+
+describe("escapeRegex", () => {
+  it("makes regex characters match themselves", () => {
+    const escaped = escapeRegex("C++ (v2.0)?");
+    expect(new RegExp(escaped).test("Learn C++ (v2.0)? today")).toBe(true);
+    expect(new RegExp(escaped).test("C (v2x0)")).toBe(false);
+  });
+});
+
+describe("parseSearchTerm", () => {
+  it("splits a term into words, quoted phrases and exclusions", () => {
+    expect(
+      parseSearchTerm('printer "paper jam" -toner -"out of ink" - ""')
+    ).toEqual({
+      words: ["printer"],
+      phrases: ["paper jam"],
+      excluded: ["toner", "out of ink"],
+    });
+  });
+});
+
+describe("searchNotes", () => {
+  const older = new Date("2026-10-01");
+  const newer = new Date("2026-10-10");
+
+  it("ranks text matches and assignee matches together", async () => {
+    const find = jest
+      .spyOn(Note, "find")
+      // Notes whose title or text match
+      .mockReturnValueOnce(
+        mockQuery([
+          { _id: "note-1", createdAt: older, score: 1.5 },
+          { _id: "note-2", createdAt: older, score: 0.75 },
+        ])
+      )
+      // Notes of the assignees whose name matches
+      .mockReturnValueOnce(
+        mockQuery([
+          { _id: "note-2", createdAt: older },
+          { _id: "note-3", createdAt: newer },
+        ])
+      );
+    const findUsers = jest
+      .spyOn(User, "find")
+      .mockReturnValue(mockQuery([{ _id: "user-1" }]));
+
+    const results = await searchNotes(
+      { isDeleted: false },
+      parseSearchTerm('alice "paper jam" -toner')
+    );
+
+    expect(results).toEqual([
+      { _id: "note-2", score: 1.75 },
+      { _id: "note-1", score: 1.5 },
+      { _id: "note-3", score: 1 },
+    ]);
+    expect(find.mock.calls[0][0]).toEqual({
+      $and: [
+        { isDeleted: false },
+        { $text: { $search: 'alice "paper jam" -toner' } },
+      ],
+    });
+    // The assignee names are matched as plain text
+    expect(findUsers.mock.calls[0][0]).toEqual({
+      $or: [
+        { fullname: { $regex: "alice", $options: "i" } },
+        { fullname: { $regex: "paper jam", $options: "i" } },
+      ],
+    });
+    // Excluded words hide notes that only match by their assignee too
+    expect(find.mock.calls[1][0].$and).toContainEqual({
+      title: { $not: { $regex: "toner", $options: "i" } },
+      text: { $not: { $regex: "toner", $options: "i" } },
+    });
+  });
+
+  it("doesn't search when the term only has exclusions", async () => {
+    const find = jest.spyOn(Note, "find");
+
+    expect(await searchNotes({}, parseSearchTerm("-toner"))).toEqual([]);
+    expect(find).not.toHaveBeenCalled();
+  });
+});
+
+describe("getHighlights", () => {
+  it("marks the matches in the title and around the first match in the text", () => {
+    const note = {
+      title: "Printer jams",
+      text: `${"a".repeat(100)} the paper jam is back ${"b".repeat(100)}`,
+    };
+
+    const [title, text] = getHighlights(note, parseSearchTerm('jam "paper"'));
+
+    expect(title).toEqual({
+      field: "title",
+      snippet: "Printer jams",
+      matches: [{ start: 8, end: 12 }],
+    });
+    expect(text.field).toBe("text");
+    expect(text.snippet.startsWith("…")).toBe(true);
+    expect(text.snippet.endsWith("…")).toBe(true);
+    const marked = text.matches.map(({ start, end }) =>
+      text.snippet.slice(start, end)
+    );
+    expect(marked).toEqual(["paper", "jam"]);
+  });
+});
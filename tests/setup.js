@@ -0,0 +1,15 @@
+const mongoose = require("mongoose");
+
+/**
+ * @description This file sets up the environment for the tests. There is no database, so the tests replace the queries they need with mockQuery
+ * @author [Hoang Le Chau](https://github.com/hoanglechau)
+ */
+
+process.env.ACCESS_TOKEN_SECRET = "test-access-token-secret";
+process.env.REFRESH_TOKEN_SECRET = "test-refresh-token-secret";
+process.env.RATE_LIMIT_STORE = "memory";
+process.env.NOTE_EVENTS_STORE = "memory";
+process.env.FRONTEND_URL = "http://frontend.test";
+
+// Fail right away instead of waiting for a connection when a test forgets to mock a query
+mongoose.set("bufferCommands", false);
@@ -0,0 +1,96 @@
+const request = require("supertest");
+const { authenticator } = require("otplib");
+const User = require("../models/User");
+const authRoutes = require("../routes/authRoutes");
+const { useTwoFactorCode } = require("../utils/twoFactor");
+const { createChallengeToken } = require("../utils/tokens");
+const createApp = require("./helpers/createApp");
+const mockQuery = require("./helpers/mockQuery");
+
+jest.mock("../utils/sendMail");
+jest.mock("../middleware/logger");
+
+/**
+ * @description This file contains the tests for logging in with TOTP codes
+ * @author [Hoang Le Chau](https://github.com/hoanglechau)
+ */
+
+const app = createApp("/auth", authRoutes);
+
+const secret = authenticator.generateSecret();
+const user = {
+  _id: "64b7f0c2a1b2c3d4e5f60718",
+  username: "alice",
+  twoFactorSecret: secret,
+};
+
+const currentTimeStep = () =>
+  Math.floor(Date.now() / 1000 / authenticator.allOptions().step);
+
+describe("useTwoFactorCode", () => {
+  it("claims the time step of a valid code, unless a later or the same one was used", async () => {
+    const findOneAndUpdate = jest
+      .spyOn(User, "findOneAndUpdate")
+      .mockReturnValue(mockQuery(user));
+
+    expect(await useTwoFactorCode(user, authenticator.generate(secret))).toBe(
+      true
+    );
+
+    const [filter, update] = findOneAndUpdate.mock.calls[0];
+    const { twoFactorLastTimeStep } = update;
+    // The code may be from a neighbouring step if the clock ticked over
+    expect(
+      Math.abs(twoFactorLastTimeStep - currentTimeStep())
+    ).toBeLessThanOrEqual(1);
+    expect(filter).toEqual({
+      _id: user._id,
+      $or: [
+        { twoFactorLastTimeStep: null },
+        { twoFactorLastTimeStep: { $lt: twoFactorLastTimeStep } },
+      ],
+    });
+  });
+
+  it("rejects a code that has already been used", async () => {
+    jest.spyOn(User, "findOneAndUpdate").mockReturnValue(mockQuery(null));
+
+    expect(await useTwoFactorCode(user, authenticator.generate(secret))).toBe(
+      false
+    );
+  });
+
+  it("rejects wrong codes without using up the time step", async () => {
+    const findOneAndUpdate = jest.spyOn(User, "findOneAndUpdate");
+
+    expect(await useTwoFactorCode(user, "000000")).toBe(false);
+    expect(
+      await useTwoFactorCode({ ...user, twoFactorSecret: null }, "1")
+    ).toBe(false);
+    expect(findOneAndUpdate).not.toHaveBeenCalled();
+  });
+});
+
+describe("POST /auth/2fa", () => {
+  it("doesn't log in with a code that has already been used", async () => {
+    jest.spyOn(User, "findById").mockReturnValue(
+      mockQuery({
+        ...user,
+        active: true,
+        twoFactorEnabled: true,
+      })
+    );
+    // Another login used the code first
+    jest.spyOn(User, "findOneAndUpdate").mockReturnValue(mockQuery(null));
+
+    const res = await request(app)
+      .post("/auth/2fa")
+      .send({
+        challengeToken: createChallengeToken(user),
+        code: authenticator.generate(secret),
+      });
+
+    expect(res.status).toBe(401);
+    expect(res.body.accessToken).toBeUndefined();
+  });
+});
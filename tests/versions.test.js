@@ -0,0 +1,211 @@
+const mongoose = require("mongoose");
+const request = require("supertest");
+const Note = require("../models/Note");
+const NoteRevision = require("../models/NoteRevision");
+const Session = require("../models/Session");
+const Setting = require("../models/Setting");
+const User = require("../models/User");
+const errorHandler = require("../middleware/errorHandler");
+const noteRoutes = require("../routes/noteRoutes");
+const {
+  getExpectedVersion,
+  isStaleVersion,
+  sendStaleVersion,
+} = require("../utils/versions");
+const { createAccessToken } = require("../utils/tokens");
+const createApp = require("./helpers/createApp");
+const mockQuery = require("./helpers/mockQuery");
+
+jest.mock("../utils/sendMail");
+jest.mock("../middleware/logger");
+
+/**
+ * @description This file contains the tests for the optimistic concurrency checks of note updates
+ * @author [Hoang Le Chau](https://github.com/hoanglechau)
+ */
+
+// Requests and responses with only the parts that the version helpers use
+const createReq = ({ ifMatch, body } = {}) => ({
+  get: header => (header === "If-Match" ? ifMatch : undefined),
+  body,
+});
+const createRes = () => {
+  const res = {};
+  res.set = jest.fn(() => res);
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+describe("getExpectedVersion", () => {
+  it("reads the versions of the If-Match header", () => {
+    expect(getExpectedVersion(createReq({ ifMatch: '"3"' }))).toEqual({
+      versions: ["3"],
+      fromHeader: true,
+    });
+    expect(
+      getExpectedVersion(createReq({ ifMatch: 'W/"3", "4"' })).versions
+    ).toEqual(["3", "4"]);
+  });
+
+  it("falls back to the __v field of the body", () => {
+    expect(getExpectedVersion(createReq({ body: { __v: 0 } }))).toEqual({
+      versions: ["0"],
+      fromHeader: false,
+    });
+  });
+
+  it("doesn't expect a version for If-Match: * or requests without one", () => {
+    expect(getExpectedVersion(createReq({ ifMatch: "*" }))).toBeNull();
+    expect(getExpectedVersion(createReq({ body: { __v: null } }))).toBeNull();
+    expect(getExpectedVersion(createReq())).toBeNull();
+  });
+});
+
+describe("isStaleVersion", () => {
+  it("compares the expected versions to the version of the document", () => {
+    const expected = { versions: ["3"], fromHeader: true };
+    expect(isStaleVersion(expected, { __v: 3 })).toBe(false);
+    expect(isStaleVersion(expected, { __v: 4 })).toBe(true);
+    expect(isStaleVersion(null, { __v: 4 })).toBe(false);
+  });
+});
+
+describe("sendStaleVersion", () => {
+  it("answers 412 for If-Match and 409 for __v, with the current document", () => {
+    const current = { _id: "note", __v: 4 };
+
+    const headerRes = createRes();
+    sendStaleVersion(headerRes, { fromHeader: true }, current, "Changed!");
+    expect(headerRes.status).toHaveBeenCalledWith(412);
+    expect(headerRes.set).toHaveBeenCalledWith("ETag", '"4"');
+    expect(headerRes.json).toHaveBeenCalledWith({
+      message: "Changed!",
+      current,
+    });
+
+    const bodyRes = createRes();
+    sendStaleVersion(bodyRes, { fromHeader: false }, current, "Changed!");
+    expect(bodyRes.status).toHaveBeenCalledWith(409);
+  });
+});
+
+describe("errorHandler", () => {
+  it("answers 409 when a save loses against a concurrent save", () => {
+    const err = new mongoose.Error.VersionError({ _id: "note" }, 3, []);
+    const res = createRes();
+    res.statusCode = 200;
+    jest.spyOn(console, "log").mockImplementation(() => {});
+
+    errorHandler(err, { method: "PATCH", url: "/notes", headers: {} }, res);
+
+    expect(res.status).toHaveBeenCalledWith(409);
+  });
+});
+
+describe("note endpoints", () => {
+  const app = createApp("/notes", noteRoutes);
+
+  const user = {
+    _id: "64b7f0c2a1b2c3d4e5f60718",
+    username: "alice",
+    fullname: "Alice Smith",
+    role: "Employee",
+    active: true,
+  };
+  const noteId = "64b7f0c2a1b2c3d4e5f60720";
+
+  // A note document that was saved three times
+  const createNote = fields => {
+    const note = Note.hydrate({
+      _id: noteId,
+      user: user._id,
+      title: "Fix the printer",
+      text: "It's jammed again",
+      status: "Open",
+      labels: [],
+      blockedBy: [],
+      ticket: 500,
+      __v: 3,
+      ...fields,
+    });
+    note.save = jest.fn();
+    return note;
+  };
+
+  let accessToken;
+
+  beforeEach(() => {
+    const sessionId = "64b7f0c2a1b2c3d4e5f6071a";
+    jest
+      .spyOn(Session, "findById")
+      .mockReturnValue(
+        mockQuery({ _id: sessionId, revokedAt: null, lastSeenAt: new Date() })
+      );
+    jest.spyOn(User, "findById").mockReturnValue(mockQuery(user));
+    jest.spyOn(Setting, "findOne").mockReturnValue(mockQuery(null));
+    accessToken = createAccessToken(user, { sessionId });
+  });
+
+  // The first findById loads the note to change, the next ones load its current state for the response
+  const mockNotes = (note, current) =>
+    jest
+      .spyOn(Note, "findById")
+      .mockReturnValueOnce(mockQuery(note))
+      .mockReturnValue(mockQuery(current));
+
+  const update = {
+    id: noteId,
+    user: user._id,
+    title: "Fix the printer",
+    text: "It's jammed again, try turning it off and on",
+    status: "Open",
+  };
+
+  it("rejects updates made from an older version with 412 and the current note", async () => {
+    const note = createNote({ __v: 4 });
+    mockNotes(note, note);
+
+    const res = await request(app)
+      .patch(`/notes/${noteId}`)
+      .set("Authorization", `Bearer ${accessToken}`)
+      .set("If-Match", '"3"')
+      .send(update);
+
+    expect(res.status).toBe(412);
+    expect(res.headers.etag).toBe('"4"');
+    expect(res.body.current).toMatchObject({ _id: noteId, __v: 4 });
+    expect(note.save).not.toHaveBeenCalled();
+  });
+
+  it("answers 409 when another update is saved between loading and saving the note", async () => {
+    const note = createNote();
+    note.save.mockRejectedValue(new mongoose.Error.VersionError(note, 3, []));
+    mockNotes(note, createNote({ __v: 4 }));
+    jest.spyOn(Note, "findOne").mockReturnValue(mockQuery(null));
+
+    const res = await request(app)
+      .patch(`/notes/${noteId}`)
+      .set("Authorization", `Bearer ${accessToken}`)
+      .send({ ...update, __v: 3 });
+
+    expect(res.status).toBe(409);
+    expect(res.body.current).toMatchObject({ __v: 4 });
+    expect(note.save).toHaveBeenCalled();
+  });
+
+  it("checks the version before restoring a revision", async () => {
+    const note = createNote({ __v: 4 });
+    mockNotes(note, note);
+    const findRevision = jest.spyOn(NoteRevision, "findOne");
+
+    const res = await request(app)
+      .post(`/notes/${noteId}/restore/1`)
+      .set("Authorization", `Bearer ${accessToken}`)
+      .set("If-Match", 'W/"3"');
+
+    expect(res.status).toBe(412);
+    expect(findRevision).not.toHaveBeenCalled();
+    expect(note.save).not.toHaveBeenCalled();
+  });
+});
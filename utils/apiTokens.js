@@ -0,0 +1,72 @@
+const crypto = require("crypto");
+const ApiToken = require("../models/ApiToken");
+const { hashToken } = require("./tokens");
+
+/**
+ * @description This file contains the helper functions for personal access tokens
+ * @author [Hoang Le Chau](https://github.com/hoanglechau)
+ */
+
+// Personal access tokens start with this prefix, so verifyJWT can tell them apart from JWTs
+const API_TOKEN_PREFIX = "mgn_";
+// Number of characters of the token that are stored in plain text to recognize it
+const DISPLAY_PREFIX_LENGTH = API_TOKEN_PREFIX.length + 6;
+// Don't write to the database on every request, only when the last-used time is older than this
+const LAST_USED_INTERVAL = 60 * 1000; // 1 minute
+
+/**
+ * @description Check if a bearer token is a personal access token
+ * @param {*} token
+ * @returns
+ */
+const isApiToken = token => !!token && token.startsWith(API_TOKEN_PREFIX);
+
+/**
+ * @description Generate a new personal access token
+ * @returns
+ */
+const generateApiToken = () => {
+  const token = `${API_TOKEN_PREFIX}${crypto.randomBytes(32).toString("hex")}`;
+  return {
+    token,
+    tokenHash: hashToken(token),
+    prefix: token.slice(0, DISPLAY_PREFIX_LENGTH),
+  };
+};
+
+/**
+ * @description Find the stored personal access token for a token, if it's still valid
+ * @param {*} token
+ * @returns
+ */
+const findValidApiToken = token =>
+  ApiToken.findOne({
+    tokenHash: hashToken(token),
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  })
+    .lean()
+    .exec();
+
+/**
+ * @description Update the last-used time of a personal access token
+ * @param {*} apiToken
+ */
+const touchApiToken = async apiToken => {
+  if (
+    apiToken.lastUsedAt &&
+    Date.now() - new Date(apiToken.lastUsedAt).getTime() < LAST_USED_INTERVAL
+  )
+    return;
+  await ApiToken.updateOne(
+    { _id: apiToken._id },
+    { lastUsedAt: new Date() }
+  ).exec();
+};
+
+module.exports = {
+  isApiToken,
+  generateApiToken,
+  findValidApiToken,
+  touchApiToken,
+};
@@ -0,0 +1,190 @@
+const mongoose = require("mongoose");
+const { StatusCodes } = require("http-status-codes");
+const ColumnLock = require("../models/ColumnLock");
+const Note = require("../models/Note");
+const { rankAfter } = require("./ranks");
+const { getStatusChangeError } = require("./workflow");
+const { getOpenDependenciesError } = require("./noteRelations");
+
+/**
+ * @description This file contains the helper functions for the note board, where every status of the workflow is a column
+ * @author [Hoang Le Chau](https://github.com/hoanglechau)
+ */
+
+/**
+ * @description Get the WIP limit of a board column
+ * @param {*} workflow
+ * @param {*} status
+ * @returns The limit, or null if the column has no limit
+ */
+const getWipLimit = (workflow, status) =>
+  workflow.statuses.find(({ name }) => name === status)?.wipLimit ?? null;
+
+/**
+ * @description Check if notes can be moved into a column without going over its WIP limit. Every note counts, not only the ones the user can see
+ * @param {*} workflow
+ * @param {*} status The column the notes are moved into
+ * @param {*} adding The number of notes that are moved in
+ * @returns Null if the notes fit, otherwise the HTTP status code and the message to send
+ */
+const getWipLimitError = async (workflow, status, adding = 1) => {
+  const wipLimit = getWipLimit(workflow, status);
+  if (!wipLimit) return null;
+
+  const count = await Note.countDocuments({ status });
+  if (count + adding <= wipLimit) return null;
+
+  return {
+    statusCode: StatusCodes.CONFLICT,
+    message: `The "${status}" column can hold at most ${wipLimit} notes!`,
+  };
+};
+
+// MongoDB's error code for a duplicate key in a unique index
+const DUPLICATE_KEY_ERROR = 11000;
+// How long a column stays locked if the request that locked it never unlocks it, like when the server stops
+const COLUMN_LOCK_MS = 10 * 1000;
+// How often, and how long apart, a request tries to lock a column that another request has locked
+const COLUMN_LOCK_ATTEMPTS = 20;
+const COLUMN_LOCK_RETRY_MS = 50;
+
+/**
+ * @description Lock a board column, waiting for the request that has locked it to finish
+ * @param {*} status
+ * @returns The id of the lock, or null if the column stayed locked
+ */
+const lockColumn = async status => {
+  const lockId = new mongoose.Types.ObjectId();
+
+  for (let attempt = 1; attempt <= COLUMN_LOCK_ATTEMPTS; attempt++) {
+    try {
+      // Takes an expired lock, or creates one. A lock that is still held makes the upsert fail with a duplicate key
+      await ColumnLock.findOneAndUpdate(
+        { status, expiresAt: { $lte: new Date() } },
+        { lockId, expiresAt: new Date(Date.now() + COLUMN_LOCK_MS) },
+        { upsert: true }
+      ).exec();
+      return lockId;
+    } catch (err) {
+      if (err.code !== DUPLICATE_KEY_ERROR) throw err;
+      await new Promise(resolve => setTimeout(resolve, COLUMN_LOCK_RETRY_MS));
+    }
+  }
+
+  return null;
+};
+
+/**
+ * @description Add notes to board columns without going over their WIP limits, even when other requests add notes at the same time
+ * The columns with a limit stay locked from counting their notes until the notes are added
+ * @param {*} workflow
+ * @param {*} additions The number of notes that are added to each column, by status
+ * @param {*} write The function that adds the notes
+ * @returns {error} with the HTTP status code and the message to send if a column has no room, otherwise {result} with the result of write
+ */
+const withWipLimits = async (workflow, additions, write) => {
+  // Columns are always locked in the same order, so two requests never wait for each other
+  const statuses = Object.keys(additions)
+    .filter(status => getWipLimit(workflow, status))
+    .sort();
+  const locks = [];
+
+  try {
+    for (const status of statuses) {
+      const lockId = await lockColumn(status);
+      if (!lockId) {
+        return {
+          error: {
+            statusCode: StatusCodes.CONFLICT,
+            message: `The "${status}" column is busy, please try again!`,
+          },
+        };
+      }
+      locks.push({ status, lockId });
+    }
+
+    for (const status of statuses) {
+      const error = await getWipLimitError(workflow, status, additions[status]);
+      if (error) return { error };
+    }
+
+    return { result: await write() };
+  } finally {
+    await Promise.all(locks.map(lock => ColumnLock.deleteOne(lock).exec()));
+  }
+};
+
+/**
+ * @description Check if a role may move a note to another status: by the workflow, by the WIP limit of the new column, and by the note's open blocking notes and subtasks
+ * @param {*} workflow
+ * @param {*} from The current status of the note, or null for a new note
+ * @param {*} to The new status
+ * @param {*} role
+ * @param {noteId, blockedBy} dependencies The note's id and blocking notes, see getOpenDependenciesError
+ * @returns Null if the move is allowed, otherwise the HTTP status code and the message to send
+ */
+const getStatusMoveError = async (workflow, from, to, role, dependencies) => {
+  const statusError = getStatusChangeError(workflow, from, to, role);
+  if (statusError || from === to) return statusError;
+
+  return (
+    (await getWipLimitError(workflow, to)) ||
+    (dependencies
+      ? await getOpenDependenciesError(workflow, to, dependencies)
+      : null)
+  );
+};
+
+/**
+ * @description Get a rank that puts a note at the end of a board column
+ * @param {*} status
+ * @param {*} noteId The note that is moved, which isn't counted if it's in the column already
+ * @returns The rank
+ */
+const rankAtEndOfColumn = async (status, noteId = null) => {
+  const last = await Note.findOne({
+    status,
+    boardRank: { $ne: null },
+    _id: { $ne: noteId },
+  })
+    .sort({ boardRank: -1 })
+    .select("boardRank")
+    .lean()
+    .exec();
+
+  return rankAfter(last?.boardRank);
+};
+
+/**
+ * @description Put the notes of a column that don't have a rank yet, like notes from before the board existed, at the end of the column, oldest first
+ * @param {*} status
+ */
+const rankUnrankedNotes = async status => {
+  const unranked = await Note.find({ status, boardRank: null })
+    .sort({ createdAt: 1 })
+    .select("_id")
+    .lean()
+    .exec();
+  if (!unranked.length) return;
+
+  let boardRank = await rankAtEndOfColumn(status);
+  for (const [index, note] of unranked.entries()) {
+    if (index) boardRank = rankAfter(boardRank);
+    // Skip the notes that got a rank in the meantime
+    // The version isn't changed, so opening the board doesn't make anyone's edit of the note fail
+    await Note.updateOne(
+      { _id: note._id, boardRank: null },
+      { boardRank },
+      { timestamps: false }
+    );
+  }
+};
+
+module.exports = {
+  getWipLimit,
+  getWipLimitError,
+  withWipLimits,
+  getStatusMoveError,
+  rankAtEndOfColumn,
+  rankUnrankedNotes,
+};
@@ -0,0 +1,88 @@
+/**
+ * @description This file contains the helper functions for reading and writing CSV (RFC 4180)
+ * @author [Hoang Le Chau](https://github.com/hoanglechau)
+ */
+
+// Spreadsheet apps run cells that start with these characters as formulas. Cells that already start with quotes before them get one more, so the quote can always be removed again
+const FORMULA_PATTERN = /^'*[=+\-@\t\r]/;
+
+/**
+ * @description Turn a value into a CSV cell. Cells are quoted when needed, and cells that would be run as formulas are prefixed with a quote
+ * @param {*} value
+ * @returns
+ */
+const toCsvCell = value => {
+  let cell = value === undefined || value === null ? "" : String(value);
+  if (FORMULA_PATTERN.test(cell)) cell = `'${cell}`;
+  return /[",\r\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell;
+};
+
+/**
+ * @description Remove the quote that toCsvCell puts in front of cells that would be run as formulas, so exported files can be imported again without changes
+ * @param {*} cell
+ * @returns
+ */
+const fromCsvCell = cell =>
+  cell[0] === "'" && FORMULA_PATTERN.test(cell) ? cell.slice(1) : cell;
+
+/**
+ * @description Turn a list of values into a CSV line
+ * @param {*} values
+ * @returns
+ */
+const toCsvRow = values => `${values.map(toCsvCell).join(",")}\r\n`;
+
+/**
+ * @description Parse CSV text into rows of cells. Quoted cells can contain commas, quotes, and line breaks, and the formula quotes from toCsvCell are removed
+ * @param {*} text
+ * @returns A list of rows, or null if a quoted cell is never closed
+ */
+const parseCsv = text => {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let inQuotes = false;
+  // Skip the byte order mark that spreadsheet apps add
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ",") {
+      row.push(fromCsvCell(cell));
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[i + 1] === "\n") i++;
+      row.push(fromCsvCell(cell));
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += char;
+    }
+  }
+
+  if (inQuotes) return null;
+
+  // The last line may not end with a line break
+  if (cell || row.length) {
+    row.push(fromCsvCell(cell));
+    rows.push(row);
+  }
+
+  // Blank lines are skipped
+  return rows.filter(cells => cells.some(value => value.trim()));
+};
+
+module.exports = { toCsvRow, parseCsv };
@@ -0,0 +1,52 @@
+const sendMail = require("./sendMail");
+const { createEmailVerificationToken } = require("./tokens");
+
+/**
+ * @description This file contains the emails that are sent during account onboarding
+ * @author [Hoang Le Chau](https://github.com/hoanglechau)
+ */
+
+// Invitation links expire after 3 days
+const INVITATION_EXPIRES_IN_HOURS = 72;
+
+/**
+ * @description Get the URL of the frontend that the links in the emails point to
+ * @returns
+ */
+const getFrontendURL = () =>
+  process.env.NODE_ENV === "development"
+    ? "http://localhost:3000"
+    : process.env.FRONTEND_URL;
+
+/**
+ * @description Send the email verification link to a user
+ * @param {*} user
+ */
+const sendVerificationEmail = user => {
+  const verificationToken = createEmailVerificationToken(user);
+  const verifyURL = `${getFrontendURL()}/verifyemail/${verificationToken}`;
+
+  const message = `Hi ${user.username}! Please click the following link to verify your Meganote email address (The link will expire in 24 hours!): ${verifyURL}`;
+
+  sendMail(user.email, "Meganote - Verify Your Email", message);
+};
+
+/**
+ * @description Send the invitation link where an admin-created user sets their own password
+ * @param {*} user
+ * @param {*} invitationToken
+ */
+const sendInvitationEmail = (user, invitationToken) => {
+  const invitationURL = `${getFrontendURL()}/acceptinvitation/${invitationToken}`;
+
+  const message = `Hi ${user.fullname}! You have been invited to Meganote with the username "${user.username}". Please click the following link to set your password (The link will expire in ${INVITATION_EXPIRES_IN_HOURS} hours!): ${invitationURL}`;
+
+  sendMail(user.email, "Meganote - You're Invited", message);
+};
+
+module.exports = {
+  INVITATION_EXPIRES_IN_HOURS,
+  getFrontendURL,
+  sendVerificationEmail,
+  sendInvitationEmail,
+};
@@ -0,0 +1,44 @@
+const fs = require("fs");
+const fsPromises = require("fs").promises;
+const path = require("path");
+
+/**
+ * @description This file contains the storages that keep uploaded files like note attachments
+ * Every storage has the same interface:
+ * - save(key, buffer): store a file under a key
+ * - createReadStream(key): return a readable stream of a stored file
+ * - remove(key): delete a stored file. Removing a file that doesn't exist is not an error
+ * @author [Hoang Le Chau](https://github.com/hoanglechau)
+ */
+
+/**
+ * @description Create a storage that keeps the files in a folder on the local disk
+ * @param {*} directory
+ * @returns
+ */
+const createLocalStorage = directory => {
+  const root = path.resolve(directory);
+
+  // Keys are generated by the server, but make sure that a key can never point outside the storage folder
+  const resolveKey = key => {
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  return {
+    save: async (key, buffer) => {
+      const filePath = resolveKey(key);
+      await fsPromises.mkdir(path.dirname(filePath), { recursive: true });
+      await fsPromises.writeFile(filePath, buffer);
+    },
+    createReadStream: key => fs.createReadStream(resolveKey(key)),
+    remove: async key => {
+      await fsPromises.rm(resolveKey(key), { force: true });
+    },
+  };
+};
+
+module.exports = { createLocalStorage };
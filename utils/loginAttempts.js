@@ -0,0 +1,101 @@
+const rateLimitStore = require("../config/rateLimitStore");
+const sendMail = require("./sendMail");
+const { logEvents } = require("../middleware/logger");
+
+/**
+ * @description This file contains the failed login tracking per username, with progressive delays and a temporary lockout
+ * @author [Hoang Le Chau](https://github.com/hoanglechau)
+ */
+
+// Failed logins are counted within this window
+const FAILED_LOGIN_WINDOW = 15 * 60 * 1000; // 15 minutes
+// Every failed login from this one on has to wait before the next attempt, twice as long each time
+const DELAY_AFTER_FAILURES = 3;
+const BASE_DELAY = 1000; // 1 second
+const MAX_DELAY = 30 * 1000; // 30 seconds
+// Lock the account after this many failed logins
+const MAX_FAILED_LOGINS = 10;
+const LOCKOUT_DURATION = 15 * 60 * 1000; // 15 minutes
+
+// Usernames are case-insensitive for the counters, so 'Hoang' and 'hoang' share one counter
+const failedKey = username => `login-failed:${username.toLowerCase()}`;
+const delayKey = username => `login-delay:${username.toLowerCase()}`;
+const lockKey = username => `login-lock:${username.toLowerCase()}`;
+
+/**
+ * @description Check if logins for a username are locked or delayed
+ * @param {*} username
+ * @returns { locked, retryAfter } or null if the user may try to log in. retryAfter is in seconds
+ */
+const getLoginBlock = async username => {
+  const lock = await rateLimitStore.get(lockKey(username));
+  const block = lock || (await rateLimitStore.get(delayKey(username)));
+
+  if (!block) return null;
+
+  return {
+    locked: !!lock,
+    retryAfter: Math.max(
+      1,
+      Math.ceil((new Date(block.resetTime).getTime() - Date.now()) / 1000)
+    ),
+  };
+};
+
+/**
+ * @description Count a failed login for a username. Slows down further attempts and locks the account once there are too many
+ * @param {*} username
+ * @param {*} user The user with that username, or null if there is none
+ */
+const recordFailedLogin = async (username, user) => {
+  // Unknown usernames are counted too, so that the responses don't reveal which usernames exist
+  const { count } = await rateLimitStore.increment(
+    failedKey(username),
+    FAILED_LOGIN_WINDOW
+  );
+
+  if (count >= MAX_FAILED_LOGINS) {
+    await rateLimitStore.increment(lockKey(username), LOCKOUT_DURATION);
+    await rateLimitStore.reset(failedKey(username));
+    await rateLimitStore.reset(delayKey(username));
+
+    logEvents(`Account locked: ${username}`, "errLog.log");
+
+    // Let the owner know, in case someone else is trying to get into their account
+    if (user) {
+      const message = `Hi ${
+        user.username
+      }! Your Meganote account has been locked for ${
+        LOCKOUT_DURATION / 60000
+      } minutes after ${MAX_FAILED_LOGINS} failed login attempts. If this wasn't you, please reset your password or contact an admin!`;
+      sendMail(user.email, "Meganote - Account Locked", message);
+    }
+    return;
+  }
+
+  if (count >= DELAY_AFTER_FAILURES) {
+    const delay = Math.min(
+      BASE_DELAY * 2 ** (count - DELAY_AFTER_FAILURES),
+      MAX_DELAY
+    );
+    // Start a fresh delay window, so it's never shorter than the delay for this failure
+    await rateLimitStore.reset(delayKey(username));
+    await rateLimitStore.increment(delayKey(username), delay);
+  }
+};
+
+/**
+ * @description Clear the failed logins, delays and lockout of a username
+ * @param {*} username
+ */
+const resetLoginAttempts = async username => {
+  await rateLimitStore.reset(failedKey(username));
+  await rateLimitStore.reset(delayKey(username));
+  await rateLimitStore.reset(lockKey(username));
+};
+
+module.exports = {
+  getLoginBlock,
+  recordFailedLogin,
+  resetLoginAttempts,
+};
@@ -0,0 +1,59 @@
+const User = require("../models/User");
+const sendMail = require("./sendMail");
+const { canViewNote, isSameUser } = require("./policy");
+
+/**
+ * @description This file contains the functions that resolve @username mentions in comments and notify the mentioned users
+ * @author [Hoang Le Chau](https://github.com/hoanglechau)
+ */
+
+// A mention is an @ that isn't part of a word or an email address, followed by a username
+const MENTION_PATTERN = /(^|[^\w@])@([\w.-]+)/g;
+
+/**
+ * @description Get the usernames that are mentioned in a text, without duplicates
+ * @param {*} text
+ * @returns
+ */
+const parseMentions = text => {
+  const usernames = new Set();
+  for (const match of text.matchAll(MENTION_PATTERN)) {
+    // A mention at the end of a sentence shouldn't include the full stop
+    usernames.add(match[2].replace(/[.-]+$/, "").toLowerCase());
+  }
+  return [...usernames].filter(Boolean);
+};
+
+/**
+ * @description Find the users that are mentioned in a text. Mentions of usernames that don't exist are ignored
+ * @param {*} text
+ * @returns
+ */
+const resolveMentions = async text => {
+  const usernames = parseMentions(text);
+  if (!usernames.length) return [];
+
+  return User.find({ username: { $in: usernames }, active: true })
+    .collation({ locale: "en", strength: 2 })
+    .select("username fullname email role")
+    .lean()
+    .exec();
+};
+
+/**
+ * @description Email the mentioned users about a comment. Users who can't see the note and the author themselves aren't notified
+ * @param {*} users
+ * @param {note, owner, author, text} comment The note with its assignee, the comment author's username and id, and the comment text
+ */
+const notifyMentionedUsers = (users, { note, owner, author, text }) => {
+  users
+    .filter(
+      user => !isSameUser(user._id, author._id) && canViewNote(user, owner)
+    )
+    .forEach(user => {
+      const message = `Hi ${user.username}! ${author.username} mentioned you in a comment on note #${note.ticket} "${note.title}" on Meganote:\n\n${text}`;
+      sendMail(user.email, "Meganote - You Were Mentioned", message);
+    });
+};
+
+module.exports = { parseMentions, resolveMentions, notifyMentionedUsers };
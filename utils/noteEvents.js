@@ -0,0 +1,100 @@
+const noteEvents = require("../config/noteEvents");
+const { logEvents } = require("../middleware/logger");
+const { canViewNote, findNoteOwner } = require("./policy");
+
+/**
+ * @description This file contains the helper functions for the real-time note events that are pushed to the open event streams
+ * @author [Hoang Le Chau](https://github.com/hoanglechau)
+ */
+
+// The types of note events
+const NOTE_EVENTS = {
+  created: "note.created",
+  updated: "note.updated",
+  deleted: "note.deleted",
+};
+
+/**
+ * @description Keep the id and role of a user, which is all that's needed to check who may see a note
+ * @param {*} user
+ * @returns
+ */
+const toEventOwner = user =>
+  user ? { _id: user._id.toString(), role: user.role } : null;
+
+/**
+ * @description Publish a note event to every open event stream. Failures are only logged, so they never fail the request that changed the note
+ * @param {*} type One of NOTE_EVENTS
+ * @param {*} note The note after the change
+ * @param {previousOwner} options The assignee before an update, so users who could only see the old assignee's notes learn that the note is gone for them
+ */
+const publishNoteEvent = async (type, note, { previousOwner } = {}) => {
+  try {
+    const owner = await findNoteOwner(note.user);
+
+    await noteEvents.publish({
+      type,
+      owner: toEventOwner(owner),
+      previousOwner: toEventOwner(previousOwner),
+      note:
+        type === NOTE_EVENTS.deleted
+          ? { _id: note._id.toString(), ticket: note.ticket }
+          : {
+              _id: note._id.toString(),
+              ticket: note.ticket,
+              title: note.title,
+              text: note.text,
+              user: note.user.toString(),
+              // The assignee may have been deleted since the note was assigned
+              username:
+                owner && !owner.isDeleted ? owner.fullname : "Unassigned",
+              status: note.status,
+              priority: note.priority,
+              dueAt: note.dueAt,
+              labels: (note.labels || []).map(label =>
+                (label._id || label).toString()
+              ),
+              parent: note.parent?.toString() ?? null,
+              blockedBy: (note.blockedBy || []).map(String),
+              boardRank: note.boardRank,
+              createdAt: note.createdAt,
+              updatedAt: note.updatedAt,
+              __v: note.__v,
+            },
+      createdAt: new Date(),
+    });
+  } catch (err) {
+    logEvents(
+      `Note event ${type} for note ${note?._id} couldn't be published: ${err.message}`,
+      "errLog.log"
+    );
+  }
+};
+
+/**
+ * @description Get the version of an event that a user may receive
+ * @param {*} actor
+ * @param {*} event
+ * @returns The event without the assignee details, or null if the user may not see the note
+ */
+const getVisibleEvent = (actor, event) => {
+  const { id, type, note, createdAt } = event;
+
+  if (canViewNote(actor, event.owner)) {
+    return { id, type, note, createdAt };
+  }
+
+  // The note has been reassigned to someone whose notes the user may not see
+  if (event.previousOwner && canViewNote(actor, event.previousOwner)) {
+    return {
+      id,
+      type: NOTE_EVENTS.deleted,
+      note: { _id: note._id, ticket: note.ticket },
+      createdAt,
+    };
+  }
+
+  return null;
+};
+
+module.exports = { NOTE_EVENTS, publishNoteEvent, getVisibleEvent };
@@ -0,0 +1,156 @@
+const mongoose = require("mongoose");
+const PRIORITIES = require("../config/priorities");
+const { noteVisibilityFilter } = require("./policy");
+const { parseDueAt, parseLabelIds } = require("./notes");
+const { getOpenBlockerIds } = require("./noteRelations");
+const {
+  getWorkflow,
+  getTerminalStatuses,
+  isKnownStatus,
+} = require("./workflow");
+
+/**
+ * @description This file contains the helper functions that turn the note list query strings into MongoDB filters, so every endpoint that lists notes filters them the same way
+ * @author [Hoang Le Chau](https://github.com/hoanglechau)
+ */
+
+// The fields that notes can be sorted by
+const SORT_FIELDS = ["createdAt", "updatedAt", "dueAt", "priority", "ticket"];
+
+/**
+ * @description Split a comma-separated status filter from the query string into a list of statuses
+ * @param {*} value A string, or a list of strings if the parameter is repeated
+ * @returns
+ */
+const parseStatusList = value =>
+  [value]
+    .flat()
+    .filter(Boolean)
+    .flatMap(item => String(item).split(","))
+    .map(status => status.trim())
+    .filter(Boolean);
+
+/**
+ * @description Get the sort field and order from the query string. Newest notes first by default
+ * @param {sort, order} query
+ * @returns The field and order (1 or -1), or an error message
+ */
+const parseNoteSort = ({ sort, order }) => {
+  const field = sort || "createdAt";
+  if (!SORT_FIELDS.includes(field)) {
+    return {
+      error: `Notes can only be sorted by: ${SORT_FIELDS.join(", ")}!`,
+    };
+  }
+  const sortOrder =
+    (order || (field === "createdAt" ? "desc" : "asc")) === "desc" ? -1 : 1;
+  return { sort: field, sortOrder };
+};
+
+/**
+ * @description Build the filter for the notes that the actor may see and that match the query string
+ * @param {*} actor
+ * @param {ticket, status, includeStatus, excludeStatus, priority, labels, labelMatch, dueBefore, dueAfter, overdue, blocked} filter
+ * @returns The filter criteria, or an error message
+ */
+const buildNoteFilter = async (actor, filter) => {
+  // Not showing notes that the logged-in user is not allowed to see. Soft deleted notes are hidden by the Note model
+  const filterConditions = [await noteVisibilityFilter(actor)];
+  // If there's a ticket number in the query, search for the ticket number
+  if (filter.ticket) {
+    filterConditions.push({
+      ticket: filter.ticket,
+    });
+  }
+  // Only show the notes with one of the statuses in 'includeStatus', and hide the notes with one of the statuses in 'excludeStatus'
+  // 'status' hides notes like 'excludeStatus', as it always has, e.g. ?status=Completed hides the completed notes
+  // All of them can be a comma-separated list, e.g. ?includeStatus=Open,In Progress
+  if (filter.status || filter.includeStatus || filter.excludeStatus) {
+    const workflow = await getWorkflow();
+    const includedStatuses = parseStatusList(filter.includeStatus);
+    const excludedStatuses = parseStatusList([
+      filter.status,
+      filter.excludeStatus,
+    ]);
+    const unknownStatus = [...includedStatuses, ...excludedStatuses].find(
+      status => !isKnownStatus(workflow, status)
+    );
+
+    if (unknownStatus) {
+      return { error: `Unknown status: ${unknownStatus}!` };
+    }
+
+    if (includedStatuses.length) {
+      filterConditions.push({ status: { $in: includedStatuses } });
+    }
+    if (excludedStatuses.length) {
+      filterConditions.push({ status: { $nin: excludedStatuses } });
+    }
+  }
+  // Only show the notes with one of the priorities in 'priority', e.g. ?priority=3,4
+  if (filter.priority) {
+    const priorities = String(filter.priority).split(",").map(Number);
+    if (
+      priorities.some(priority => !Object.values(PRIORITIES).includes(priority))
+    ) {
+      return { error: "Unknown priority!" };
+    }
+    filterConditions.push({ priority: { $in: priorities } });
+  }
+  // Only show the notes with any (default) or all of the labels in 'labels', e.g. ?labels=id1,id2&labelMatch=all
+  if (filter.labels) {
+    const labelIds = parseLabelIds(filter.labels);
+    if (labelIds.some(id => !mongoose.isValidObjectId(id))) {
+      return { error: "Labels must be a list of label ids!" };
+    }
+    filterConditions.push({
+      labels:
+        filter.labelMatch === "all" ? { $all: labelIds } : { $in: labelIds },
+    });
+  }
+  // Only show the notes that are due in a date range
+  if (filter.dueBefore || filter.dueAfter) {
+    const dueBefore = parseDueAt(filter.dueBefore);
+    const dueAfter = parseDueAt(filter.dueAfter);
+    if (dueBefore === undefined || dueAfter === undefined) {
+      return { error: "Due dates must be valid dates!" };
+    }
+    filterConditions.push({
+      dueAt: {
+        ...(dueBefore && { $lt: dueBefore }),
+        ...(dueAfter && { $gte: dueAfter }),
+        $ne: null,
+      },
+    });
+  }
+  // Only show the notes that are past their due date and not in a terminal status
+  if (filter.overdue === "true") {
+    filterConditions.push({
+      dueAt: { $lt: new Date() },
+      status: { $nin: getTerminalStatuses(await getWorkflow()) },
+    });
+  }
+
+  // Only show the notes that are (blocked=true) or aren't (blocked=false) blocked by an open note
+  if (filter.blocked !== undefined) {
+    if (!["true", "false"].includes(filter.blocked)) {
+      return { error: "Blocked must be true or false!" };
+    }
+    const openBlockerIds = await getOpenBlockerIds(await getWorkflow());
+    filterConditions.push({
+      blockedBy:
+        filter.blocked === "true"
+          ? { $in: openBlockerIds }
+          : { $nin: openBlockerIds },
+    });
+  }
+
+  return { filterCriteria: { $and: filterConditions } };
+};
+
+module.exports = {
+  SORT_FIELDS,
+  parseStatusList,
+  parseNoteSort,
+  buildNoteFilter,
+};
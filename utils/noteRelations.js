@@ -0,0 +1,258 @@
+const mongoose = require("mongoose");
+const { StatusCodes } = require("http-status-codes");
+const Note = require("../models/Note");
+const User = require("../models/User");
+const { canViewNote } = require("./policy");
+const { getWorkflow, getTerminalStatuses } = require("./workflow");
+
+/**
+ * @description This file contains the helper functions for the relations between notes: subtasks (parent) and blocking dependencies (blockedBy)
+ * @author [Hoang Le Chau](https://github.com/hoanglechau)
+ */
+
+// The most notes that can block one note
+const MAX_BLOCKERS = 50;
+// How many links are followed when looking for a cycle, in case the stored relations already have one
+const MAX_RELATION_DEPTH = 100;
+
+/**
+ * @description Get the blocking note ids from a request without duplicates
+ * @param {*} blockedBy
+ * @returns
+ */
+const parseBlockedBy = blockedBy => [
+  ...new Set([blockedBy].flat().filter(Boolean).map(String)),
+];
+
+/**
+ * @description Get the assignees of notes, to check who may see them
+ * @param {*} notes
+ * @returns A map from user id to the user
+ */
+const getOwners = async notes => {
+  // Deleted users are found too, like in findNoteOwner
+  const users = await User.find({ _id: { $in: notes.map(note => note.user) } })
+    .withDeleted()
+    .select("role")
+    .lean()
+    .exec();
+  return new Map(users.map(user => [user._id.toString(), user]));
+};
+
+/**
+ * @description Count the notes that exist and that the actor may see
+ * @param {*} actor
+ * @param {*} ids
+ * @returns
+ */
+const countViewableNotes = async (actor, ids) => {
+  const notes = await Note.find({ _id: { $in: ids } })
+    .select("user")
+    .lean()
+    .exec();
+  const owners = await getOwners(notes);
+  return notes.filter(note =>
+    canViewNote(actor, owners.get(note.user.toString()) || null)
+  ).length;
+};
+
+/**
+ * @description Check if a note can be reached from other notes by following one kind of relation
+ * @param {*} startIds
+ * @param {*} targetId
+ * @param {*} field parent or blockedBy
+ * @returns
+ */
+const leadsTo = async (startIds, targetId, field) => {
+  const target = targetId.toString();
+  const visited = new Set();
+  let frontier = startIds.map(String);
+
+  for (let depth = 0; frontier.length && depth < MAX_RELATION_DEPTH; depth++) {
+    if (frontier.includes(target)) return true;
+    frontier.forEach(id => visited.add(id));
+
+    // Notes in the trash count too, so restoring them can't bring back a cycle
+    const notes = await Note.find({ _id: { $in: frontier } })
+      .withDeleted()
+      .select(field)
+      .lean()
+      .exec();
+    frontier = [
+      ...new Set(
+        notes.flatMap(note => [note[field]].flat().filter(Boolean).map(String))
+      ),
+    ].filter(id => !visited.has(id));
+  }
+
+  return false;
+};
+
+/**
+ * @description Check the parent and the blocking notes of a note in a request body. Both are optional, but the notes have to exist, the actor has to be able to see them, and they can't make a cycle
+ * @param {*} actor
+ * @param {noteId, parent, blockedBy} relations noteId is the id of the note, or undefined for a new note
+ * @returns An error message, or null if the relations are valid
+ */
+const getRelationsError = async (actor, { noteId, parent, blockedBy }) => {
+  if (parent) {
+    if (!mongoose.isValidObjectId(parent)) return "Parent must be a note id!";
+    if (noteId && noteId.toString() === parent.toString()) {
+      return "A note can't be its own parent!";
+    }
+    if (!(await countViewableNotes(actor, [parent]))) {
+      return "Parent note not found!";
+    }
+    if (noteId && (await leadsTo([parent], noteId, "parent"))) {
+      return "A note can't be a subtask of its own subtask!";
+    }
+  }
+
+  if (blockedBy !== undefined && blockedBy !== null) {
+    const ids = Array.isArray(blockedBy) ? parseBlockedBy(blockedBy) : null;
+
+    if (!ids || ids.some(id => !mongoose.isValidObjectId(id))) {
+      return "Blocked by must be a list of note ids!";
+    }
+    if (ids.length > MAX_BLOCKERS) {
+      return `A note can be blocked by at most ${MAX_BLOCKERS} notes!`;
+    }
+    if (noteId && ids.includes(noteId.toString())) {
+      return "A note can't block itself!";
+    }
+    if ((await countViewableNotes(actor, ids)) !== ids.length) {
+      return "Blocking note not found!";
+    }
+    if (noteId && (await leadsTo(ids, noteId, "blockedBy"))) {
+      return "A note can't be blocked by a note that it blocks!";
+    }
+  }
+
+  return null;
+};
+
+/**
+ * @description Check if a note can be moved to a status. A note can only be moved to a terminal status when its blocking notes and its subtasks are all in terminal statuses
+ * @param {*} workflow
+ * @param {*} status The new status
+ * @param {noteId, blockedBy} dependencies noteId is the id of the note, or undefined for a new note
+ * @returns Null if the move is allowed, otherwise the HTTP status code and the message to send
+ */
+const getOpenDependenciesError = async (
+  workflow,
+  status,
+  { noteId, blockedBy = [] }
+) => {
+  const terminalStatuses = getTerminalStatuses(workflow);
+  if (!terminalStatuses.includes(status)) return null;
+
+  const tickets = notes => notes.map(note => `#${note.ticket}`).join(", ");
+
+  const openBlockers = blockedBy.length
+    ? await Note.find({
+        _id: { $in: blockedBy },
+        status: { $nin: terminalStatuses },
+      })
+        .select("ticket")
+        .lean()
+        .exec()
+    : [];
+
+  if (openBlockers.length) {
+    return {
+      statusCode: StatusCodes.CONFLICT,
+      message: `This note can't be moved to "${status}" while it's blocked by ${tickets(
+        openBlockers
+      )}!`,
+    };
+  }
+
+  const openSubtasks = noteId
+    ? await Note.find({ parent: noteId, status: { $nin: terminalStatuses } })
+        .select("ticket")
+        .lean()
+        .exec()
+    : [];
+
+  if (openSubtasks.length) {
+    return {
+      statusCode: StatusCodes.CONFLICT,
+      message: `This note can't be moved to "${status}" while its subtasks ${tickets(
+        openSubtasks
+      )} are open!`,
+    };
+  }
+
+  return null;
+};
+
+/**
+ * @description Get the ids of the notes that block another note and aren't in a terminal status
+ * @param {*} workflow
+ * @returns
+ */
+const getOpenBlockerIds = async workflow => {
+  const blockerIds = await Note.distinct("blockedBy");
+  return Note.find({
+    _id: { $in: blockerIds },
+    status: { $nin: getTerminalStatuses(workflow) },
+  }).distinct("_id");
+};
+
+/**
+ * @description Get the parent, subtasks, blocking notes, and blocked notes of a note. The titles of the notes that the actor may not see are left out
+ * @param {*} actor
+ * @param {*} note
+ * @returns
+ */
+const getNoteRelations = async (actor, note) => {
+  const terminalStatuses = getTerminalStatuses(await getWorkflow());
+  const findSummaries = filter =>
+    Note.find(filter)
+      .select("ticket title status user")
+      .sort({ ticket: 1 })
+      .lean()
+      .exec();
+
+  const [parents, children, blockedBy, blocks] = await Promise.all([
+    note.parent ? findSummaries({ _id: note.parent }) : [],
+    findSummaries({ parent: note._id }),
+    findSummaries({ _id: { $in: note.blockedBy || [] } }),
+    findSummaries({ blockedBy: note._id }),
+  ]);
+
+  const owners = await getOwners([
+    ...parents,
+    ...children,
+    ...blockedBy,
+    ...blocks,
+  ]);
+  const toSummary = related => ({
+    _id: related._id,
+    ticket: related.ticket,
+    ...(canViewNote(actor, owners.get(related.user.toString()) || null) && {
+      title: related.title,
+    }),
+    status: related.status,
+    done: terminalStatuses.includes(related.status),
+  });
+
+  return {
+    parent: parents.length ? toSummary(parents[0]) : null,
+    children: children.map(toSummary),
+    blockedBy: blockedBy.map(toSummary),
+    blocks: blocks.map(toSummary),
+    // A note is blocked while any of its blocking notes is open
+    blocked: blockedBy.some(
+      blocker => !terminalStatuses.includes(blocker.status)
+    ),
+  };
+};
+
+module.exports = {
+  parseBlockedBy,
+  getRelationsError,
+  getOpenDependenciesError,
+  getOpenBlockerIds,
+  getNoteRelations,
+};
@@ -0,0 +1,141 @@
+const NoteRevision = require("../models/NoteRevision");
+
+/**
+ * @description This file contains the helper functions to record and compare note revisions
+ * @author [Hoang Le Chau](https://github.com/hoanglechau)
+ */
+
+// The note fields that are saved in every revision
+const TRACKED_FIELDS = [
+  "user",
+  "title",
+  "text",
+  "status",
+  "dueAt",
+  "priority",
+  "labels",
+  "parent",
+  "blockedBy",
+];
+
+/**
+ * @description Get the tracked fields of a note
+ * @param {*} note
+ * @returns
+ */
+const getSnapshot = note =>
+  Object.fromEntries(
+    TRACKED_FIELDS.map(field => {
+      const value = note[field] ?? null;
+      // Copy arrays like labels, so the snapshot doesn't change with the note
+      return [field, Array.isArray(value) ? [...value] : value];
+    })
+  );
+
+/**
+ * @description Compare two values of a tracked field. ObjectIds and dates are compared by their JSON value
+ * @param {*} a
+ * @param {*} b
+ * @returns
+ */
+const isSameValue = (a, b) =>
+  JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+/**
+ * @description Get the field-level differences between two snapshots
+ * @param {*} from The older snapshot, or null
+ * @param {*} to The newer snapshot
+ * @returns
+ */
+const diffSnapshots = (from, to) =>
+  TRACKED_FIELDS.filter(field => !isSameValue(from?.[field], to?.[field])).map(
+    field => ({
+      field,
+      from: from?.[field] ?? null,
+      to: to?.[field] ?? null,
+    })
+  );
+
+// MongoDB's error code for a duplicate key in a unique index
+const DUPLICATE_KEY_ERROR = 11000;
+// How often a revision is saved again when another change to the same note took its number
+const MAX_REVISION_ATTEMPTS = 5;
+
+/**
+ * @description Save a revision with the next number of the note
+ * @param {*} note
+ * @param {*} previous The snapshot before the change, or null when the note was just created
+ * @param {author, action, restoredFrom, changes, snapshot} revisionData
+ * @returns The new revision
+ */
+const saveRevision = async (note, previous, revisionData) => {
+  const lastRevision = await NoteRevision.findOne({ note: note._id })
+    .sort({ revision: -1 })
+    .lean()
+    .exec();
+
+  let revision = lastRevision ? lastRevision.revision + 1 : 1;
+
+  // Notes that existed before revisions were recorded get their old state as a baseline, so it can be restored too
+  if (!lastRevision && previous) {
+    await NoteRevision.create({
+      note: note._id,
+      revision,
+      action: "baseline",
+      changes: diffSnapshots(null, previous),
+      snapshot: previous,
+    });
+    revision++;
+  }
+
+  return NoteRevision.create({ note: note._id, revision, ...revisionData });
+};
+
+/**
+ * @description Save a revision for a change to a note. Nothing is saved if no tracked field changed, except for restores, which are always recorded
+ * @param {*} note The note after the change
+ * @param {*} previous The snapshot before the change, or null when the note was just created
+ * @param {*} author The id of the user who made the change
+ * @param {*} action
+ * @param {*} restoredFrom The restored revision, or null when the note was restored from the trash
+ * @returns The new revision, or null
+ */
+const recordRevision = async (
+  note,
+  previous,
+  author,
+  action,
+  restoredFrom = null
+) => {
+  const snapshot = getSnapshot(note);
+  const changes = diffSnapshots(previous, snapshot);
+
+  if (previous && !changes.length && action !== "restore") return null;
+
+  // Two changes to the same note can read the same last revision at the same time. The unique index rejects the second one, which then tries again with the next number
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await saveRevision(note, previous, {
+        author,
+        action,
+        restoredFrom,
+        changes,
+        snapshot,
+      });
+    } catch (err) {
+      if (
+        err.code !== DUPLICATE_KEY_ERROR ||
+        attempt >= MAX_REVISION_ATTEMPTS
+      ) {
+        throw err;
+      }
+    }
+  }
+};
+
+module.exports = {
+  TRACKED_FIELDS,
+  getSnapshot,
+  diffSnapshots,
+  recordRevision,
+};
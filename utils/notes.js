@@ -0,0 +1,142 @@
+const mongoose = require("mongoose");
+const { StatusCodes } = require("http-status-codes");
+const Note = require("../models/Note");
+const Comment = require("../models/Comment");
+const Label = require("../models/Label");
+const Attachment = require("../models/Attachment");
+const PRIORITIES = require("../config/priorities");
+const { forbidden } = require("../middleware/authorize");
+const { getActor, canViewNote, findNoteOwner } = require("./policy");
+
+/**
+ * @description This file contains the helper functions that the note endpoints and their nested endpoints share
+ * @author [Hoang Le Chau](https://github.com/hoanglechau)
+ */
+
+/**
+ * @description Find the note in req.params.id and check if the logged-in user may see it
+ * @param {*} req
+ * @param {*} res
+ * @returns The note and its assignee, or null if a response has already been sent
+ */
+const findViewableNote = async (req, res) => {
+  const note = await Note.findById(req.params.id).exec();
+
+  if (!note) {
+    res
+      .status(StatusCodes.BAD_REQUEST)
+      .json({ message: `No note with id: ${req.params.id}` });
+    return null;
+  }
+
+  const owner = await findNoteOwner(note.user);
+
+  if (!canViewNote(getActor(req), owner)) {
+    forbidden(res);
+    return null;
+  }
+
+  return { note, owner };
+};
+
+/**
+ * @description Count the comments of each note in one query
+ * @param {*} noteIds
+ * @returns A map from note id to the number of comments
+ */
+const getCommentCounts = async noteIds => {
+  const counts = await Comment.aggregate([
+    { $match: { note: { $in: noteIds } } },
+    { $group: { _id: "$note", count: { $sum: 1 } } },
+  ]);
+  return new Map(counts.map(({ _id, count }) => [_id.toString(), count]));
+};
+
+/**
+ * @description Parse a due date from a request
+ * @param {*} value
+ * @returns The date, null if the value is empty, or undefined if it isn't a valid date
+ */
+const parseDueAt = value => {
+  if (value === undefined || value === null || value === "") return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? undefined : date;
+};
+
+/**
+ * @description Check the due date and priority of a note in a request body. Both are optional
+ * @param {dueAt, priority} body
+ * @returns An error message, or null if both are valid
+ */
+const getScheduleError = ({ dueAt, priority }) => {
+  if (dueAt !== undefined && parseDueAt(dueAt) === undefined) {
+    return "Due date must be a valid date!";
+  }
+  if (
+    priority !== undefined &&
+    !Object.values(PRIORITIES).includes(Number(priority))
+  ) {
+    return `Priority must be one of: ${Object.entries(PRIORITIES)
+      .map(([name, value]) => `${value} (${name})`)
+      .join(", ")}!`;
+  }
+  return null;
+};
+
+/**
+ * @description Get the label ids from a request without duplicates
+ * @param {*} labels A list of ids, or a comma-separated string from a query
+ * @returns
+ */
+const parseLabelIds = labels => [
+  ...new Set(
+    [labels]
+      .flat()
+      .filter(Boolean)
+      .flatMap(label => String(label).split(","))
+      .map(label => label.trim())
+      .filter(Boolean)
+  ),
+];
+
+/**
+ * @description Check the labels of a note in a request body. They're optional, but every label has to exist
+ * @param {*} labels
+ * @returns An error message, or null if the labels are valid
+ */
+const getLabelsError = async labels => {
+  if (labels === undefined) return null;
+  if (!Array.isArray(labels)) return "Labels must be a list of label ids!";
+
+  const labelIds = parseLabelIds(labels);
+  if (labelIds.some(id => !mongoose.isValidObjectId(id))) {
+    return "Labels must be a list of label ids!";
+  }
+
+  const count = await Label.countDocuments({ _id: { $in: labelIds } });
+  return count === labelIds.length ? null : "Label not found!";
+};
+
+/**
+ * @description Soft delete a note together with its attachments, so they can be restored together from the trash
+ * @param {*} noteId
+ * @returns The deleted note, or null if it doesn't exist
+ */
+const softDeleteNote = async noteId => {
+  const deletedAt = new Date();
+  const note = await Note.softDeleteOne({ _id: noteId }, deletedAt).exec();
+  if (note) {
+    await Attachment.softDeleteMany({ note: note._id }, deletedAt).exec();
+  }
+  return note;
+};
+
+module.exports = {
+  findViewableNote,
+  softDeleteNote,
+  getCommentCounts,
+  parseDueAt,
+  getScheduleError,
+  parseLabelIds,
+  getLabelsError,
+};
@@ -0,0 +1,210 @@
+const crypto = require("crypto");
+const bcrypt = require("bcrypt");
+const jwt = require("jsonwebtoken");
+const { Issuer, generators } = require("openid-client");
+const User = require("../models/User");
+const oidcOptions = require("../config/oidc");
+
+/**
+ * @description This file contains the helper functions for the OpenID Connect authorization-code flow with PKCE
+ * @author [Hoang Le Chau](https://github.com/hoanglechau)
+ */
+
+// Name of the httpOnly cookie that holds the state, nonce and PKCE verifier between the redirect and the callback
+const OIDC_COOKIE_NAME = "oidc";
+const OIDC_COOKIE_MAX_AGE = 10 * 60 * 1000; // 10 minutes
+const OIDC_COOKIE_AUDIENCE = "oidc";
+
+const oidcCookieOptions = {
+  httpOnly: true,
+  secure: true,
+  // The provider redirects back to us with a top-level navigation, so 'Lax' is enough
+  sameSite: "Lax",
+};
+
+// Discover the provider's endpoints once and reuse the client
+let clientPromise = null;
+
+/**
+ * @description Get the OIDC client for the configured provider
+ * @returns
+ */
+const getOidcClient = () => {
+  if (!clientPromise) {
+    clientPromise = Issuer.discover(oidcOptions.issuer)
+      .then(
+        issuer =>
+          new issuer.Client({
+            client_id: oidcOptions.clientId,
+            client_secret: oidcOptions.clientSecret,
+            redirect_uris: [oidcOptions.redirectUri],
+            response_types: ["code"],
+            token_endpoint_auth_method: oidcOptions.clientSecret
+              ? "client_secret_basic"
+              : "none",
+          })
+      )
+      .catch(err => {
+        // Try the discovery again on the next login instead of caching the failure
+        clientPromise = null;
+        throw err;
+      });
+  }
+  return clientPromise;
+};
+
+/**
+ * @description Build the provider's authorization URL and store the state, nonce and PKCE verifier in a cookie
+ * @param {*} res
+ * @returns
+ */
+const createAuthorizationUrl = async res => {
+  const client = await getOidcClient();
+
+  const state = generators.state();
+  const nonce = generators.nonce();
+  const codeVerifier = generators.codeVerifier();
+
+  // Sign the cookie so it can't be changed by the browser
+  const oidcToken = jwt.sign(
+    { state, nonce, codeVerifier },
+    process.env.ACCESS_TOKEN_SECRET,
+    {
+      expiresIn: OIDC_COOKIE_MAX_AGE / 1000,
+      audience: OIDC_COOKIE_AUDIENCE,
+    }
+  );
+  res.cookie(OIDC_COOKIE_NAME, oidcToken, {
+    ...oidcCookieOptions,
+    maxAge: OIDC_COOKIE_MAX_AGE,
+  });
+
+  return client.authorizationUrl({
+    scope: oidcOptions.scope,
+    state,
+    nonce,
+    code_challenge: generators.codeChallenge(codeVerifier),
+    code_challenge_method: "S256",
+  });
+};
+
+/**
+ * @description Exchange the authorization code for tokens. openid-client checks the state, the nonce and the ID token signature against the provider's JWKS
+ * @param {*} req
+ * @param {*} res
+ * @returns The claims of the validated ID token
+ */
+const handleCallback = async (req, res) => {
+  const oidcToken = req.cookies?.[OIDC_COOKIE_NAME];
+  res.clearCookie(OIDC_COOKIE_NAME, oidcCookieOptions);
+
+  if (!oidcToken) {
+    throw new Error("Missing OIDC login state");
+  }
+
+  const { state, nonce, codeVerifier } = jwt.verify(
+    oidcToken,
+    process.env.ACCESS_TOKEN_SECRET,
+    { audience: OIDC_COOKIE_AUDIENCE }
+  );
+
+  const client = await getOidcClient();
+  const params = client.callbackParams(req);
+  const tokenSet = await client.callback(oidcOptions.redirectUri, params, {
+    state,
+    nonce,
+    code_verifier: codeVerifier,
+  });
+
+  return tokenSet.claims();
+};
+
+/**
+ * @description Find a username that isn't taken yet, based on the one the provider suggests
+ * @param {*} base
+ * @returns
+ */
+const findFreeUsername = async base => {
+  const cleanBase = base.replace(/[^a-zA-Z0-9._-]/g, "") || "user";
+  for (let suffix = 0; ; suffix++) {
+    const username = suffix ? `${cleanBase}${suffix}` : cleanBase;
+    // Usernames are case-insensitive, like in register
+    const existingUser = await User.findOne({ username })
+      .collation({ locale: "en", strength: 2 })
+      .lean()
+      .exec();
+    if (!existingUser) return username;
+  }
+};
+
+/**
+ * @description Find the user for the ID token claims. Identities are linked by verified email to existing users that aren't linked yet, and new users are created just-in-time if that's enabled
+ * @param {*} claims
+ * @returns The user, or null if there is no user for this identity
+ */
+const findOrCreateOidcUser = async claims => {
+  // Users who logged in with this identity before
+  const linkedUser = await User.findOne({
+    oidcIssuer: claims.iss,
+    oidcSubject: claims.sub,
+  })
+    // Deleted users are found too, so they're rejected instead of being created again
+    .withDeleted()
+    .select("+isDeleted")
+    .exec();
+
+  if (linkedUser) return linkedUser;
+
+  // Only trust the email address if the provider has verified it, otherwise anyone could take over an account by using its email
+  if (!claims.email || claims.email_verified !== true) return null;
+
+  const existingUser = await User.findOne({ email: claims.email })
+    .withDeleted()
+    .select("+isDeleted")
+    .exec();
+
+  if (existingUser) {
+    // Don't replace another identity's link, and don't link deleted or deactivated users
+    if (
+      existingUser.oidcSubject ||
+      existingUser.isDeleted ||
+      !existingUser.active
+    ) {
+      return null;
+    }
+
+    existingUser.oidcIssuer = claims.iss;
+    existingUser.oidcSubject = claims.sub;
+    existingUser.emailVerified = true;
+    return existingUser.save();
+  }
+
+  if (!oidcOptions.jitProvisioning) return null;
+
+  const username = await findFreeUsername(
+    claims.preferred_username || claims.email.split("@")[0]
+  );
+
+  // The user logs in through the provider, so their password is a random one that nobody knows
+  const hashedPassword = await bcrypt.hash(
+    crypto.randomBytes(32).toString("hex"),
+    10
+  );
+
+  return User.create({
+    username,
+    fullname: claims.name || username,
+    email: claims.email,
+    password: hashedPassword,
+    role: oidcOptions.defaultRole,
+    emailVerified: true,
+    oidcIssuer: claims.iss,
+    oidcSubject: claims.sub,
+  });
+};
+
+module.exports = {
+  createAuthorizationUrl,
+  handleCallback,
+  findOrCreateOidcUser,
+};
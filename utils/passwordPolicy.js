@@ -0,0 +1,138 @@
+const fs = require("fs");
+const path = require("path");
+const bcrypt = require("bcrypt");
+const { StatusCodes } = require("http-status-codes");
+const passwordPolicy = require("../config/passwordPolicy");
+
+/**
+ * @description This file contains the functions that check new passwords against the password policy
+ * @author [Hoang Le Chau](https://github.com/hoanglechau)
+ */
+
+// Load the bundled list of common and breached passwords once, and compare case-insensitively
+const commonPasswords = new Set(
+  fs
+    .readFileSync(path.join(__dirname, "..", "config", "commonPasswords.txt"))
+    .toString()
+    .split(/\r?\n/)
+    .map(line => line.trim().toLowerCase())
+    .filter(Boolean)
+);
+
+// Personal info shorter than this is too likely to appear by chance
+const MIN_PERSONAL_INFO_LENGTH = 3;
+
+/**
+ * @description Check a new password against the password policy
+ * @param {*} password
+ * @param {username, email, passwordHashes} context The user the password is for, and the hashes of their current and previous passwords
+ * @returns A list of errors with the field, a code, and a message that the frontend can show. The list is empty if the password is valid
+ */
+const validatePassword = async (
+  password,
+  { username, email, passwordHashes = [] } = {}
+) => {
+  const errors = [];
+  const addError = (code, message) =>
+    errors.push({ field: "password", code, message });
+
+  if (typeof password !== "string" || !password) {
+    addError("required", "Password is required!");
+    return errors;
+  }
+
+  if (password.length < passwordPolicy.minLength) {
+    addError(
+      "minLength",
+      `Password must be at least ${passwordPolicy.minLength} characters long!`
+    );
+  }
+  if (passwordPolicy.requireLowercase && !/[a-z]/.test(password)) {
+    addError("lowercase", "Password must contain a lowercase letter!");
+  }
+  if (passwordPolicy.requireUppercase && !/[A-Z]/.test(password)) {
+    addError("uppercase", "Password must contain an uppercase letter!");
+  }
+  if (passwordPolicy.requireNumber && !/[0-9]/.test(password)) {
+    addError("number", "Password must contain a number!");
+  }
+  if (passwordPolicy.requireSymbol && !/[^a-zA-Z0-9]/.test(password)) {
+    addError("symbol", "Password must contain a symbol!");
+  }
+
+  const lowerPassword = password.toLowerCase();
+
+  if (passwordPolicy.disallowPersonalInfo) {
+    const personalInfo = [username, email?.split("@")[0]].filter(
+      info => info && info.length >= MIN_PERSONAL_INFO_LENGTH
+    );
+    if (personalInfo.some(info => lowerPassword.includes(info.toLowerCase()))) {
+      addError(
+        "personalInfo",
+        "Password must not contain your username or email address!"
+      );
+    }
+  }
+
+  if (passwordPolicy.disallowCommon && commonPasswords.has(lowerPassword)) {
+    addError(
+      "common",
+      "This password is too common or has appeared in a data breach, please choose another one!"
+    );
+  }
+
+  // Only compare against the old passwords if the new one is otherwise valid, since bcrypt is slow
+  if (!errors.length && passwordPolicy.historySize) {
+    const recentHashes = passwordHashes
+      .filter(Boolean)
+      .slice(0, passwordPolicy.historySize);
+    for (const hash of recentHashes) {
+      if (await bcrypt.compare(password, hash)) {
+        addError(
+          "reused",
+          `Password must be different from your last ${passwordPolicy.historySize} passwords!`
+        );
+        break;
+      }
+    }
+  }
+
+  return errors;
+};
+
+/**
+ * @description Send the password policy errors
+ * @param {*} res
+ * @param {*} errors
+ * @returns
+ */
+const sendPasswordErrors = (res, errors) =>
+  res.status(StatusCodes.BAD_REQUEST).json({
+    message: errors[0].message,
+    errors,
+  });
+
+/**
+ * @description Get the hashes of a user's current and previous passwords, newest first
+ * @param {*} user A user selected with '+passwordHistory'
+ * @returns
+ */
+const getPasswordHashes = user => [
+  user.password,
+  ...(user.passwordHistory || []),
+];
+
+/**
+ * @description Get the password history to store when a user's current password is replaced
+ * @param {*} user A user selected with '+passwordHistory'
+ * @returns
+ */
+const nextPasswordHistory = user =>
+  getPasswordHashes(user).slice(0, Math.max(passwordPolicy.historySize - 1, 0));
+
+module.exports = {
+  validatePassword,
+  sendPasswordErrors,
+  getPasswordHashes,
+  nextPasswordHistory,
+};
@@ -0,0 +1,156 @@
+const ROLES = require("../config/roles");
+const User = require("../models/User");
+
+/**
+ * @description This file contains the authorization rules from the role matrix in the README
+ * @author [Hoang Le Chau](https://github.com/hoanglechau)
+ */
+
+/**
+ * @description Get the logged-in user (set by verifyJWT) that the rules are checked against
+ * @param {*} req
+ * @returns
+ */
+const getActor = req => ({
+  _id: req.userId,
+  username: req.user,
+  role: req.role,
+});
+
+/**
+ * @description Check if two ids point to the same user
+ * @param {*} a
+ * @param {*} b
+ * @returns
+ */
+const isSameUser = (a, b) => !!a && !!b && a.toString() === b.toString();
+
+/**
+ * @description Check if the actor may see a note assigned to owner
+ * Admins see every note, managers see every note except admins' notes, employees only see their own notes
+ * Notes whose assignee has been purged (owner is null) are visible to admins and managers, like in noteVisibilityFilter
+ * @param {*} actor
+ * @param {*} owner The assigned user from findNoteOwner, or null if the user has been purged
+ * @returns
+ */
+const canViewNote = (actor, owner) => {
+  switch (actor.role) {
+    case ROLES.Admin:
+      return true;
+    case ROLES.Manager:
+      return owner?.role !== ROLES.Admin;
+    case ROLES.Employee:
+      return isSameUser(actor._id, owner?._id);
+    default:
+      return false;
+  }
+};
+
+/**
+ * @description Check if the actor may edit a note assigned to owner
+ * The edit rules are the same as the view rules
+ * @param {*} actor
+ * @param {*} owner
+ * @returns
+ */
+const canEditNote = (actor, owner) => canViewNote(actor, owner);
+
+/**
+ * @description Check if the actor may delete a note assigned to owner
+ * Admins can't delete other admins' notes, managers can only delete their own notes and employees' notes, employees can't delete notes
+ * @param {*} actor
+ * @param {*} owner
+ * @returns
+ */
+const canDeleteNote = (actor, owner) => {
+  if (isSameUser(actor._id, owner?._id)) {
+    return actor.role !== ROLES.Employee;
+  }
+  switch (actor.role) {
+    case ROLES.Admin:
+      return owner?.role !== ROLES.Admin;
+    case ROLES.Manager:
+      return !owner || owner.role === ROLES.Employee;
+    default:
+      return false;
+  }
+};
+
+/**
+ * @description Check if the actor may assign a note to assignee
+ * Admins can assign notes to anyone, managers to anyone except admins, employees to themselves or other employees
+ * @param {*} actor
+ * @param {*} assignee
+ * @returns
+ */
+const canAssignNote = (actor, assignee) => {
+  if (!assignee) return false;
+  switch (actor.role) {
+    case ROLES.Admin:
+      return true;
+    case ROLES.Manager:
+      return assignee.role !== ROLES.Admin;
+    case ROLES.Employee:
+      return (
+        isSameUser(actor._id, assignee._id) || assignee.role === ROLES.Employee
+      );
+    default:
+      return false;
+  }
+};
+
+/**
+ * @description Check if the actor may edit or delete a comment
+ * Only the author of the comment and admins can
+ * @param {*} actor
+ * @param {*} comment
+ * @returns
+ */
+const canEditComment = (actor, comment) =>
+  actor.role === ROLES.Admin || isSameUser(actor._id, comment.author);
+
+/**
+ * @description Find the assignee of a note to check the rules above. Soft deleted users are found too, so the notes of a deleted admin stay hidden from managers
+ * @param {*} userId
+ * @returns The user with isDeleted, or null if the user has been purged
+ */
+const findNoteOwner = userId =>
+  User.findById(userId).withDeleted().select("+isDeleted").lean().exec();
+
+/**
+ * @description Build the query condition that limits a notes query to the notes the actor may see
+ * @param {*} actor
+ * @returns
+ */
+const noteVisibilityFilter = async actor => {
+  switch (actor.role) {
+    case ROLES.Admin:
+      return {};
+    case ROLES.Manager: {
+      // Deleted admins' notes stay hidden, and notes of purged users stay visible, like in canViewNote
+      const admins = await User.find({ role: ROLES.Admin })
+        .withDeleted()
+        .select("_id")
+        .lean()
+        .exec();
+      return { user: { $nin: admins.map(admin => admin._id) } };
+    }
+    case ROLES.Employee:
+      return { user: actor._id };
+    default:
+      // Unknown roles can't see any notes
+      return { _id: null };
+  }
+};
+
+module.exports = {
+  getActor,
+  isSameUser,
+  canViewNote,
+  canEditNote,
+  canDeleteNote,
+  canAssignNote,
+  canEditComment,
+  findNoteOwner,
+  noteVisibilityFilter,
+};
@@ -0,0 +1,138 @@
+const { EventEmitter } = require("events");
+const NoteEvent = require("../models/NoteEvent");
+const { logEvents } = require("../middleware/logger");
+
+/**
+ * @description This file contains the pub/sub backends that deliver note events to the open event streams
+ * Every backend has the same interface:
+ * - publish(event): give the event the next id and send it to every subscriber, on every server instance
+ * - subscribe(listener): call listener(event) for every new event. Returns a function that unsubscribes
+ * - getEventsSince(id): return the events after the one with this id, oldest first, or null if that event isn't kept anymore, so the events after it may be missing
+ * Event ids are numbers that only go up
+ * @author [Hoang Le Chau](https://github.com/hoanglechau)
+ */
+
+/**
+ * @description Create a backend that keeps the events in memory. It only works with a single server instance
+ * @param {historySize} options The number of recent events that are kept for replays
+ * @returns
+ */
+const createMemoryPubSub = ({ historySize }) => {
+  const emitter = new EventEmitter();
+  // Every open event stream is a listener
+  emitter.setMaxListeners(0);
+  const history = [];
+  // Starting from the current time keeps the ids going up after a restart, so old ids from clients are never mistaken for new ones
+  let lastId = Date.now();
+
+  return {
+    publish: async event => {
+      lastId = Math.max(lastId + 1, Date.now());
+      const storedEvent = { ...event, id: lastId };
+      history.push(storedEvent);
+      if (history.length > historySize) history.shift();
+      emitter.emit("event", storedEvent);
+      return storedEvent;
+    },
+    subscribe: listener => {
+      emitter.on("event", listener);
+      return () => emitter.off("event", listener);
+    },
+    getEventsSince: async id => {
+      // The event has been dropped from the history, or was sent before a restart
+      if (!history.some(event => event.id === id)) return null;
+      return history.filter(event => event.id > id);
+    },
+  };
+};
+
+/**
+ * @description Create a backend that stores the events in MongoDB, so the events of every server instance reach every subscriber
+ * Each instance polls for new events. The events are numbered by one shared sequence, so an event that is numbered but not stored yet is waited for instead of skipped
+ * @param {pollIntervalMs, gapTimeoutMs} options How often to look for new events, and how long to wait for a missing event before skipping it
+ * @returns
+ */
+const createMongoPubSub = ({ pollIntervalMs, gapTimeoutMs }) => {
+  const emitter = new EventEmitter();
+  emitter.setMaxListeners(0);
+  let lastSeq = null;
+  let gapSince = null;
+  let timer = null;
+  let polling = false;
+
+  const toEvent = noteEvent => ({ ...noteEvent.event, id: noteEvent.seq });
+
+  const poll = async () => {
+    // Skip this round if the last one is still running
+    if (polling) return;
+    polling = true;
+
+    try {
+      if (lastSeq === null) {
+        const latest = await NoteEvent.findOne()
+          .sort({ seq: -1 })
+          .select("seq")
+          .lean()
+          .exec();
+        lastSeq = latest ? latest.seq : 0;
+      }
+
+      const noteEvents = await NoteEvent.find({ seq: { $gt: lastSeq } })
+        .sort({ seq: 1 })
+        .lean()
+        .exec();
+
+      for (const noteEvent of noteEvents) {
+        if (noteEvent.seq !== lastSeq + 1) {
+          gapSince = gapSince || Date.now();
+          // An earlier event may still be being stored by another instance
+          if (Date.now() - gapSince < gapTimeoutMs) break;
+        }
+        gapSince = null;
+        lastSeq = noteEvent.seq;
+        emitter.emit("event", toEvent(noteEvent));
+      }
+    } catch (err) {
+      logEvents(`Note event polling failed: ${err.message}`, "errLog.log");
+    } finally {
+      polling = false;
+    }
+  };
+
+  return {
+    publish: async event => {
+      const noteEvent = await NoteEvent.create({ event });
+      // The subscribers of this instance get the event when it's polled, in order with the events of the other instances
+      return toEvent(noteEvent);
+    },
+    subscribe: listener => {
+      emitter.on("event", listener);
+      // Only poll while someone is listening
+      if (!timer) {
+        timer = setInterval(poll, pollIntervalMs);
+        timer.unref();
+        poll();
+      }
+      return () => {
+        emitter.off("event", listener);
+        if (!emitter.listenerCount("event")) {
+          clearInterval(timer);
+          timer = null;
+          lastSeq = null;
+        }
+      };
+    },
+    getEventsSince: async id => {
+      // Events expire oldest first, so all the events after this one are still kept if it is
+      if (!(await NoteEvent.exists({ seq: id }))) return null;
+
+      const noteEvents = await NoteEvent.find({ seq: { $gt: id } })
+        .sort({ seq: 1 })
+        .lean()
+        .exec();
+      return noteEvents.map(toEvent);
+    },
+  };
+};
+
+module.exports = { createMemoryPubSub, createMongoPubSub };
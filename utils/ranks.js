@@ -0,0 +1,60 @@
+/**
+ * @description This file contains the helper functions for the fractional ranks that keep the order of the notes in a board column
+ * A rank is a string that is compared character by character, so a note can always be put between two others by giving it a rank between theirs, without changing the ranks of the other notes
+ * @author [Hoang Le Chau](https://github.com/hoanglechau)
+ */
+
+// The digits of a rank, in the order that MongoDB and JavaScript compare them
+const RANK_DIGITS =
+  "0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz";
+const MAX_DIGIT = RANK_DIGITS.length - 1;
+
+/**
+ * @description Get a rank between two ranks. Ranks never end with the lowest digit, so there's always room below them
+ * @param {*} before The rank to come after, or "" for the start of the column
+ * @param {*} after The rank to come before, or null for the end of the column. Must be greater than before
+ * @returns
+ */
+const rankBetween = (before, after) => {
+  // Keep the common prefix, and find a rank between the rest
+  if (after !== null) {
+    let n = 0;
+    while ((before[n] || RANK_DIGITS[0]) === after[n]) n++;
+    if (n > 0) {
+      return after.slice(0, n) + rankBetween(before.slice(n), after.slice(n));
+    }
+  }
+
+  const digitBefore = before ? RANK_DIGITS.indexOf(before[0]) : 0;
+  const digitAfter =
+    after !== null ? RANK_DIGITS.indexOf(after[0]) : RANK_DIGITS.length;
+
+  // There's a digit between the two first digits
+  if (digitAfter - digitBefore > 1) {
+    return RANK_DIGITS[Math.round((digitBefore + digitAfter) / 2)];
+  }
+  // The first digit of after is enough, since after has more digits
+  if (after && after.length > 1) {
+    return after.slice(0, 1);
+  }
+  // Otherwise keep the first digit of before, and find a rank after the rest of it
+  return RANK_DIGITS[digitBefore] + rankBetween(before.slice(1), null);
+};
+
+/**
+ * @description Get a short rank after a rank, for adding notes at the end of a column
+ * Increasing the first digit that can be increased keeps the ranks short, even when many notes are added at the end
+ * @param {*} before The last rank in the column, or null if the column is empty
+ * @returns
+ */
+const rankAfter = before => {
+  if (!before) return rankBetween("", null);
+
+  for (let i = 0; i < before.length; i++) {
+    const digit = RANK_DIGITS.indexOf(before[i]);
+    if (digit < MAX_DIGIT) return before.slice(0, i) + RANK_DIGITS[digit + 1];
+  }
+  return before + RANK_DIGITS[1];
+};
+
+module.exports = { rankBetween, rankAfter };
@@ -0,0 +1,156 @@
+const RateLimit = require("../models/RateLimit");
+
+/**
+ * @description This file contains the stores that keep rate limit and failed login counters
+ * Every store has the same interface:
+ * - increment(key, windowMs): count a hit and return { count, resetTime }. A new window starts when the old one has ended
+ * - decrement(key): take back a hit
+ * - get(key): return { count, resetTime } for the current window, or null
+ * - reset(key): remove the counter
+ * @author [Hoang Le Chau](https://github.com/hoanglechau)
+ */
+
+// MongoDB error code for a duplicate key in a unique index
+const DUPLICATE_KEY_ERROR = 11000;
+
+/**
+ * @description Count a hit for a key in MongoDB, and create the counter if there is none yet
+ * @param {*} key
+ * @param {*} windowMs
+ * @returns
+ */
+const incrementCounter = (key, windowMs) => {
+  const now = new Date();
+  // Use an update pipeline so that checking the window and counting the hit happen in one atomic step
+  return RateLimit.findOneAndUpdate(
+    { key },
+    [
+      {
+        $set: {
+          count: {
+            $cond: [{ $gt: ["$expiresAt", now] }, { $add: ["$count", 1] }, 1],
+          },
+          expiresAt: {
+            $cond: [
+              { $gt: ["$expiresAt", now] },
+              "$expiresAt",
+              new Date(now.getTime() + windowMs),
+            ],
+          },
+        },
+      },
+    ],
+    { new: true, upsert: true }
+  )
+    .lean()
+    .exec();
+};
+
+/**
+ * @description Create a store that keeps the counters in MongoDB, so they are shared by every server instance and survive restarts
+ * @returns
+ */
+const createMongoStore = () => ({
+  increment: async (key, windowMs) => {
+    let counter;
+    try {
+      counter = await incrementCounter(key, windowMs);
+    } catch (err) {
+      if (err.code !== DUPLICATE_KEY_ERROR) throw err;
+      // Two first hits on a key can both try to create its counter. The unique index rejects the second one, which then counts its hit on the counter that the first one created
+      counter = await incrementCounter(key, windowMs);
+    }
+    return { count: counter.count, resetTime: counter.expiresAt };
+  },
+  decrement: async key => {
+    await RateLimit.updateOne(
+      { key, count: { $gt: 0 } },
+      { $inc: { count: -1 } }
+    ).exec();
+  },
+  get: async key => {
+    const counter = await RateLimit.findOne({
+      key,
+      expiresAt: { $gt: new Date() },
+    })
+      .lean()
+      .exec();
+    return counter
+      ? { count: counter.count, resetTime: counter.expiresAt }
+      : null;
+  },
+  reset: async key => {
+    await RateLimit.deleteOne({ key }).exec();
+  },
+});
+
+/**
+ * @description Create a store that keeps the counters in memory. Only for development, since the counters are lost on restart and not shared between instances
+ * @returns
+ */
+const createMemoryStore = () => {
+  const counters = new Map();
+
+  // Get a counter, and forget it once its window has ended
+  const getCounter = key => {
+    const counter = counters.get(key);
+    if (counter && counter.resetTime <= new Date()) {
+      counters.delete(key);
+      return null;
+    }
+    return counter || null;
+  };
+
+  return {
+    increment: async (key, windowMs) => {
+      const counter = getCounter(key) || {
+        count: 0,
+        resetTime: new Date(Date.now() + windowMs),
+      };
+      counter.count += 1;
+      counters.set(key, counter);
+      return { ...counter };
+    },
+    decrement: async key => {
+      const counter = getCounter(key);
+      if (counter && counter.count > 0) counter.count -= 1;
+    },
+    get: async key => {
+      const counter = getCounter(key);
+      return counter ? { ...counter } : null;
+    },
+    reset: async key => {
+      counters.delete(key);
+    },
+  };
+};
+
+/**
+ * @description Wrap a store so it can be used by the express-rate-limit middleware
+ * @param {*} store
+ * @param {*} prefix Keeps the keys of different limiters apart
+ * @returns
+ */
+const toExpressRateLimitStore = (store, prefix) => {
+  let windowMs;
+  return {
+    init: options => {
+      windowMs = options.windowMs;
+    },
+    increment: async key => {
+      const { count, resetTime } = await store.increment(
+        `${prefix}${key}`,
+        windowMs
+      );
+      return { totalHits: count, resetTime };
+    },
+    decrement: key => store.decrement(`${prefix}${key}`),
+    resetKey: key => store.reset(`${prefix}${key}`),
+  };
+};
+
+module.exports = {
+  createMongoStore,
+  createMemoryStore,
+  toExpressRateLimitStore,
+};
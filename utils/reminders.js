@@ -0,0 +1,97 @@
+const { format } = require("date-fns");
+const Note = require("../models/Note");
+const User = require("../models/User");
+const sendMail = require("./sendMail");
+const { getWorkflow, getTerminalStatuses } = require("./workflow");
+
+/**
+ * @description This file contains the functions that email assignees about notes that are due soon or overdue
+ * @author [Hoang Le Chau](https://github.com/hoanglechau)
+ */
+
+// Assignees are reminded this many hours before a note is due
+const DUE_SOON_HOURS = parseInt(process.env.DUE_SOON_REMINDER_HOURS) || 24;
+
+// At most this many reminders of each kind are sent per run, the rest are sent on the next runs
+const MAX_REMINDERS_PER_RUN = 100;
+
+/**
+ * @description Send one kind of reminder for every note that matches the criteria and hasn't had it yet
+ * Each note is claimed by setting the sent date before the email is sent, so a reminder is never sent twice, even if the server restarts or another instance runs the same job
+ * @param {*} criteria
+ * @param {*} sentAtField The field that records when this reminder was sent
+ * @param {*} buildMessage Builds the subject and text of the email for a note and its assignee
+ * @returns The number of reminders that were sent
+ */
+const sendReminders = async (criteria, sentAtField, buildMessage) => {
+  const filter = { ...criteria, [sentAtField]: null };
+  let sent = 0;
+
+  for (;;) {
+    const now = new Date();
+    const note = await Note.findOneAndUpdate(
+      filter,
+      // The version stays the same, so sending a reminder doesn't make anyone's edit of the note fail. Saves only write the fields they change, so they can't undo the claim
+      { [sentAtField]: now },
+      // Sending a reminder isn't a change to the note, so updatedAt stays the same
+      { new: true, sort: { dueAt: 1 }, timestamps: false }
+    )
+      .lean()
+      .exec();
+
+    if (!note) break;
+
+    const user = await User.findById(note.user).lean().exec();
+
+    // Deleted and inactive users don't get reminders, but the note is still marked so it isn't checked again
+    if (user?.active) {
+      const { subject, text } = buildMessage(note, user);
+      sendMail(user.email, subject, text);
+      sent++;
+    }
+
+    if (sent >= MAX_REMINDERS_PER_RUN) break;
+  }
+
+  return sent;
+};
+
+/**
+ * @description Email the assignees of the notes that are due soon or overdue
+ * @returns The number of reminders of each kind that were sent
+ */
+const sendDueReminders = async () => {
+  const now = new Date();
+  const dueSoon = new Date(now.getTime() + DUE_SOON_HOURS * 60 * 60 * 1000);
+  // Finished notes don't need reminders
+  const openStatuses = { $nin: getTerminalStatuses(await getWorkflow()) };
+
+  const dueSoonCount = await sendReminders(
+    { dueAt: { $gt: now, $lte: dueSoon }, status: openStatuses },
+    "dueSoonReminderSentAt",
+    (note, user) => ({
+      subject: "Meganote - Note Due Soon",
+      text: `Hi ${user.username}! Your note #${note.ticket} "${
+        note.title
+      }" on Meganote is due on ${format(note.dueAt, "PPpp")}!`,
+    })
+  );
+
+  const overdueCount = await sendReminders(
+    { dueAt: { $lte: now }, status: openStatuses },
+    "overdueReminderSentAt",
+    (note, user) => ({
+      subject: "Meganote - Note Overdue",
+      text: `Hi ${user.username}! Your note #${note.ticket} "${
+        note.title
+      }" on Meganote was due on ${format(
+        note.dueAt,
+        "PPpp"
+      )} and is now overdue!`,
+    })
+  );
+
+  return { dueSoon: dueSoonCount, overdue: overdueCount };
+};
+
+module.exports = { DUE_SOON_HOURS, sendDueReminders };
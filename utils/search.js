@@ -0,0 +1,207 @@
+const Note = require("../models/Note");
+const User = require("../models/User");
+
+/**
+ * @description This file contains the helper functions for the full-text note search
+ * @author [Hoang Le Chau](https://github.com/hoanglechau)
+ */
+
+// A search returns at most this many notes, ranked by relevance
+const MAX_SEARCH_RESULTS = 1000;
+// Added to the text score of notes whose assignee's name matches the search
+const ASSIGNEE_MATCH_SCORE = 1;
+// Number of characters that are shown around a match in the text snippet
+const SNIPPET_CONTEXT = 60;
+
+// A token is a "quoted phrase" or a word, and a leading '-' excludes it
+const TOKEN_PATTERN = /(-?)"([^"]*)"|(-?)(\S+)/g;
+
+/**
+ * @description Escape the special characters in user input so it can be used in a regex as plain text
+ * @param {*} value
+ * @returns
+ */
+const escapeRegex = value =>
+  String(value).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * @description Split a search term into words, "quoted phrases", and -excluded words or phrases
+ * @param {*} term
+ * @returns
+ */
+const parseSearchTerm = term => {
+  const words = [];
+  const phrases = [];
+  const excluded = [];
+
+  for (const match of String(term).matchAll(TOKEN_PATTERN)) {
+    const [, phraseNegation, phrase, wordNegation, word] = match;
+    if (phrase !== undefined) {
+      const trimmed = phrase.trim();
+      if (!trimmed) continue;
+      if (phraseNegation) excluded.push(trimmed);
+      else phrases.push(trimmed);
+    } else if (word !== "-") {
+      if (wordNegation) excluded.push(word);
+      else words.push(word);
+    }
+  }
+
+  return { words, phrases, excluded };
+};
+
+/**
+ * @description Build the $search string for a MongoDB $text query from a parsed search term
+ * @param {*} parsedTerm
+ * @returns
+ */
+const toTextSearch = ({ words, phrases, excluded }) =>
+  [
+    ...words,
+    ...phrases.map(phrase => `"${phrase}"`),
+    ...excluded.map(item => (item.includes(" ") ? `-"${item}"` : `-${item}`)),
+  ].join(" ");
+
+/**
+ * @description Find the notes that match a search, ranked by relevance
+ * Notes match if their title or text matches the text index, or if their assignee's full name contains one of the words or phrases
+ * @param {*} filterCriteria The other getNotes filters, which every result has to match too
+ * @param {*} parsedTerm
+ * @returns The ids and relevance scores of the matching notes, best match first
+ */
+const searchNotes = async (filterCriteria, parsedTerm) => {
+  const { words, phrases, excluded } = parsedTerm;
+  const positiveTerms = [...words, ...phrases];
+
+  if (!positiveTerms.length) return [];
+
+  const textMatches = await Note.find({
+    $and: [filterCriteria, { $text: { $search: toTextSearch(parsedTerm) } }],
+  })
+    .select({ _id: 1, createdAt: 1, score: { $meta: "textScore" } })
+    .sort({ score: { $meta: "textScore" } })
+    .limit(MAX_SEARCH_RESULTS)
+    .lean()
+    .exec();
+
+  const foundUsers = await User.find({
+    $or: positiveTerms.map(item => ({
+      fullname: { $regex: escapeRegex(item), $options: "i" },
+    })),
+  })
+    .select("_id")
+    .lean()
+    .exec();
+
+  // Excluded words and phrases also hide the notes that only match by their assignee
+  const assigneeMatches = foundUsers.length
+    ? await Note.find({
+        $and: [
+          filterCriteria,
+          { user: { $in: foundUsers.map(user => user._id) } },
+          ...excluded.map(item => {
+            const regex = { $regex: escapeRegex(item), $options: "i" };
+            return { title: { $not: regex }, text: { $not: regex } };
+          }),
+        ],
+      })
+        .select({ _id: 1, createdAt: 1 })
+        .limit(MAX_SEARCH_RESULTS)
+        .lean()
+        .exec()
+    : [];
+
+  const results = new Map(
+    textMatches.map(note => [note._id.toString(), { ...note }])
+  );
+  assigneeMatches.forEach(note => {
+    const result = results.get(note._id.toString()) || { ...note, score: 0 };
+    result.score += ASSIGNEE_MATCH_SCORE;
+    results.set(note._id.toString(), result);
+  });
+
+  // Notes with the same score are shown newest first
+  return [...results.values()]
+    .sort((a, b) => b.score - a.score || b.createdAt - a.createdAt)
+    .slice(0, MAX_SEARCH_RESULTS)
+    .map(({ _id, score }) => ({ _id, score }));
+};
+
+/**
+ * @description Find where the words and phrases of a search appear in a string
+ * Words also match longer words that start with them, like the text index does for 'login' and 'logins'
+ * @param {*} value
+ * @param {*} parsedTerm
+ * @returns The start and end of each match, sorted and without overlaps
+ */
+const findMatches = (value, { words, phrases }) => {
+  const patterns = [
+    ...phrases.map(phrase => escapeRegex(phrase)),
+    ...words.map(word => `${escapeRegex(word)}\\w*`),
+  ];
+  if (!patterns.length) return [];
+
+  const regex = new RegExp(patterns.join("|"), "gi");
+  const matches = [...value.matchAll(regex)]
+    .filter(match => match[0].length)
+    .map(match => ({ start: match.index, end: match.index + match[0].length }))
+    .sort((a, b) => a.start - b.start);
+
+  return matches.reduce((merged, match) => {
+    const last = merged[merged.length - 1];
+    if (last && match.start <= last.end) {
+      last.end = Math.max(last.end, match.end);
+    } else {
+      merged.push(match);
+    }
+    return merged;
+  }, []);
+};
+
+/**
+ * @description Get the highlighted snippets of a note for a search. The title is returned in full, the text is cut around the first match
+ * @param {*} note
+ * @param {*} parsedTerm
+ * @returns A list of snippets with the field, the snippet, and the start and end of each match in the snippet
+ */
+const getHighlights = (note, parsedTerm) => {
+  const highlights = [];
+
+  if (typeof note.title === "string") {
+    const matches = findMatches(note.title, parsedTerm);
+    if (matches.length) {
+      highlights.push({ field: "title", snippet: note.title, matches });
+    }
+  }
+
+  if (typeof note.text === "string") {
+    const matches = findMatches(note.text, parsedTerm);
+    if (matches.length) {
+      const start = Math.max(0, matches[0].start - SNIPPET_CONTEXT);
+      const end = Math.min(note.text.length, matches[0].end + SNIPPET_CONTEXT);
+      const prefix = start > 0 ? "…" : "";
+      const suffix = end < note.text.length ? "…" : "";
+      const offset = prefix.length - start;
+
+      highlights.push({
+        field: "text",
+        snippet: `${prefix}${note.text.slice(start, end)}${suffix}`,
+        matches: matches
+          .filter(match => match.start >= start && match.end <= end)
+          .map(match => ({
+            start: match.start + offset,
+            end: match.end + offset,
+          })),
+      });
+    }
+  }
+
+  return highlights;
+};
+
+module.exports = {
+  escapeRegex,
+  parseSearchTerm,
+  searchNotes,
+  getHighlights,
+};
@@ -0,0 +1,93 @@
+const { v4: uuid } = require("uuid");
+const Session = require("../models/Session");
+const RefreshToken = require("../models/RefreshToken");
+const { REFRESH_TOKEN_MAX_AGE } = require("./tokens");
+
+/**
+ * @description This file contains the helper functions to record and revoke login sessions
+ * @author [Hoang Le Chau](https://github.com/hoanglechau)
+ */
+
+// Don't write to the database on every request, only when the last-seen time is older than this
+const LAST_SEEN_INTERVAL = 60 * 1000; // 1 minute
+
+/**
+ * @description Record a new session for a login, with its own refresh token family
+ * @param {*} req
+ * @param {*} user
+ * @returns
+ */
+const createSession = (req, user) =>
+  Session.create({
+    user: user._id,
+    family: uuid(),
+    userAgent: req.headers["user-agent"] || "",
+    ip: req.ip || "",
+    lastSeenAt: new Date(),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_MAX_AGE),
+  });
+
+/**
+ * @description Update the last-seen time of a session
+ * @param {*} session
+ */
+const touchSession = async session => {
+  if (Date.now() - new Date(session.lastSeenAt).getTime() < LAST_SEEN_INTERVAL)
+    return;
+  await Session.updateOne(
+    { _id: session._id },
+    { lastSeenAt: new Date() }
+  ).exec();
+};
+
+/**
+ * @description Keep a session alive for as long as its newest refresh token
+ * @param {*} session
+ */
+const extendSession = async session => {
+  await Session.updateOne(
+    { _id: session._id },
+    {
+      lastSeenAt: new Date(),
+      expiresAt: new Date(Date.now() + REFRESH_TOKEN_MAX_AGE),
+    }
+  ).exec();
+};
+
+/**
+ * @description Revoke the sessions that match the filter and every refresh token that belongs to them
+ * @param {*} filter
+ * @returns The number of revoked sessions
+ */
+const revokeSessions = async filter => {
+  const sessions = await Session.find({ ...filter, revokedAt: null })
+    .select("+family")
+    .lean()
+    .exec();
+
+  if (!sessions.length) return 0;
+
+  const date = new Date();
+
+  await Session.updateMany(
+    { _id: { $in: sessions.map(session => session._id) } },
+    { revokedAt: date }
+  ).exec();
+
+  await RefreshToken.updateMany(
+    {
+      family: { $in: sessions.map(session => session.family) },
+      revokedAt: null,
+    },
+    { revokedAt: date }
+  ).exec();
+
+  return sessions.length;
+};
+
+module.exports = {
+  createSession,
+  touchSession,
+  extendSession,
+  revokeSessions,
+};
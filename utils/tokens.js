@@ -0,0 +1,224 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const { v4: uuid } = require("uuid");
+const RefreshToken = require("../models/RefreshToken");
+
+/**
+ * @description This file contains the helper functions to create access and refresh tokens
+ * @author [Hoang Le Chau](https://github.com/hoanglechau)
+ */
+
+// Access tokens are short-lived, the refresh token cookie is used to get a new one
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || "15m";
+const REFRESH_TOKEN_MAX_AGE = 7 * 24 * 60 * 60 * 1000; // 7 days
+// The 2FA challenge token only has to live long enough for the user to type a code
+const CHALLENGE_TOKEN_EXPIRES_IN = "5m";
+const CHALLENGE_TOKEN_AUDIENCE = "2fa";
+const EMAIL_VERIFICATION_TOKEN_EXPIRES_IN = "1d";
+const EMAIL_VERIFICATION_TOKEN_AUDIENCE = "email-verification";
+// The note event stream ticket only has to live until the browser opens the stream
+const EVENT_TICKET_EXPIRES_IN = "1m";
+const EVENT_TICKET_AUDIENCE = "note-events";
+
+// Name of the httpOnly cookie that holds the refresh token
+const REFRESH_COOKIE_NAME = "jwt";
+
+const refreshCookieOptions = {
+  httpOnly: true, // Only accessible by the web server
+  secure: true, // https
+  sameSite: "None", // Cross-site cookie, the frontend is hosted on another domain
+};
+
+/**
+ * @description Hash a token with sha256 before storing or looking it up in the database
+ * @param {*} token
+ * @returns
+ */
+const hashToken = token =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+/**
+ * @description Generate a random token and its sha256 hash. The token is sent to the user, only the hash is stored
+ * @returns
+ */
+const createHashedToken = () => {
+  const token = crypto.randomBytes(32).toString("hex");
+  return { token, hashedToken: hashToken(token) };
+};
+
+/**
+ * @description Create a short-lived access token for a user
+ * @param {*} user
+ * @param {sessionId, twoFactorSetupRequired} options
+ * @returns
+ */
+const createAccessToken = (
+  user,
+  { sessionId, twoFactorSetupRequired = false } = {}
+) =>
+  jwt.sign(
+    {
+      // Insert this information into the access token
+      UserInfo: {
+        username: user.username,
+        role: user.role,
+        avatarUrl: user.avatarUrl,
+        _id: user._id,
+        // verifyJWT rejects the token once this session has been revoked
+        sessionId,
+        // Only set when the user's role requires 2FA but the user hasn't enabled it yet
+        ...(twoFactorSetupRequired && { twoFactorSetupRequired }),
+      },
+    },
+    // Pass in the environment variable that contains the secret token
+    process.env.ACCESS_TOKEN_SECRET,
+    { expiresIn: ACCESS_TOKEN_EXPIRES_IN }
+  );
+
+/**
+ * @description Create the challenge token that login returns when the user has 2FA enabled
+ * @param {*} user
+ * @returns
+ */
+const createChallengeToken = user =>
+  jwt.sign(
+    { TwoFactor: { username: user.username, _id: user._id } },
+    process.env.ACCESS_TOKEN_SECRET,
+    {
+      expiresIn: CHALLENGE_TOKEN_EXPIRES_IN,
+      // The audience keeps challenge tokens from being used as access tokens and the other way around
+      audience: CHALLENGE_TOKEN_AUDIENCE,
+    }
+  );
+
+/**
+ * @description Verify a 2FA challenge token and return its payload, or null if it's invalid or expired
+ * @param {*} challengeToken
+ * @returns
+ */
+const verifyChallengeToken = challengeToken => {
+  try {
+    return jwt.verify(challengeToken, process.env.ACCESS_TOKEN_SECRET, {
+      audience: CHALLENGE_TOKEN_AUDIENCE,
+    }).TwoFactor;
+  } catch (err) {
+    return null;
+  }
+};
+
+/**
+ * @description Create the signed token for the email verification link. It's tied to the email address, so changing the email again invalidates older links
+ * @param {*} user
+ * @returns
+ */
+const createEmailVerificationToken = user =>
+  jwt.sign(
+    { EmailVerification: { _id: user._id, email: user.email } },
+    process.env.ACCESS_TOKEN_SECRET,
+    {
+      expiresIn: EMAIL_VERIFICATION_TOKEN_EXPIRES_IN,
+      audience: EMAIL_VERIFICATION_TOKEN_AUDIENCE,
+    }
+  );
+
+/**
+ * @description Verify an email verification token and return its payload, or null if it's invalid or expired
+ * @param {*} verificationToken
+ * @returns
+ */
+const verifyEmailVerificationToken = verificationToken => {
+  try {
+    return jwt.verify(verificationToken, process.env.ACCESS_TOKEN_SECRET, {
+      audience: EMAIL_VERIFICATION_TOKEN_AUDIENCE,
+    }).EmailVerification;
+  } catch (err) {
+    return null;
+  }
+};
+
+/**
+ * @description Create the ticket that browsers put in the URL of the note event stream, since EventSource can't send an Authorization header
+ * @param {username, role, _id, sessionId, scopes, tokenExpiresAt} claims The logged-in user of the request that asks for the ticket
+ * @returns
+ */
+const createEventTicket = claims =>
+  jwt.sign({ EventTicket: claims }, process.env.ACCESS_TOKEN_SECRET, {
+    expiresIn: EVENT_TICKET_EXPIRES_IN,
+    audience: EVENT_TICKET_AUDIENCE,
+  });
+
+/**
+ * @description Verify a note event stream ticket and return its payload, or null if it's invalid or expired
+ * @param {*} ticket
+ * @returns
+ */
+const verifyEventTicket = ticket => {
+  try {
+    return jwt.verify(ticket, process.env.ACCESS_TOKEN_SECRET, {
+      audience: EVENT_TICKET_AUDIENCE,
+    }).EventTicket;
+  } catch (err) {
+    return null;
+  }
+};
+
+/**
+ * @description Create a refresh token in a session's token family for a user and store its hash
+ * @param {*} user
+ * @param {*} family
+ * @returns
+ */
+const createRefreshToken = async (user, family) => {
+  const refreshToken = jwt.sign(
+    { username: user.username, family },
+    process.env.REFRESH_TOKEN_SECRET,
+    // The jwtid makes every refresh token unique, even when two are signed in the same second
+    { expiresIn: REFRESH_TOKEN_MAX_AGE / 1000, jwtid: uuid() }
+  );
+
+  await RefreshToken.create({
+    user: user._id,
+    tokenHash: hashToken(refreshToken),
+    family,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_MAX_AGE),
+  });
+
+  return refreshToken;
+};
+
+/**
+ * @description Set the refresh token cookie on the response
+ * @param {*} res
+ * @param {*} refreshToken
+ */
+const setRefreshCookie = (res, refreshToken) => {
+  res.cookie(REFRESH_COOKIE_NAME, refreshToken, {
+    ...refreshCookieOptions,
+    maxAge: REFRESH_TOKEN_MAX_AGE,
+  });
+};
+
+/**
+ * @description Clear the refresh token cookie on the response
+ * @param {*} res
+ */
+const clearRefreshCookie = res => {
+  res.clearCookie(REFRESH_COOKIE_NAME, refreshCookieOptions);
+};
+
+module.exports = {
+  REFRESH_COOKIE_NAME,
+  REFRESH_TOKEN_MAX_AGE,
+  hashToken,
+  createHashedToken,
+  createAccessToken,
+  createChallengeToken,
+  verifyChallengeToken,
+  createEmailVerificationToken,
+  verifyEmailVerificationToken,
+  createEventTicket,
+  verifyEventTicket,
+  createRefreshToken,
+  setRefreshCookie,
+  clearRefreshCookie,
+};
@@ -0,0 +1,132 @@
+const Note = require("../models/Note");
+const NoteRevision = require("../models/NoteRevision");
+const Comment = require("../models/Comment");
+const Attachment = require("../models/Attachment");
+const fileStorage = require("../config/fileStorage");
+const User = require("../models/User");
+const Session = require("../models/Session");
+const RefreshToken = require("../models/RefreshToken");
+const ApiToken = require("../models/ApiToken");
+
+/**
+ * @description This file contains the functions that permanently remove soft-deleted notes and users
+ * @author [Hoang Le Chau](https://github.com/hoanglechau)
+ */
+
+// Soft-deleted notes and users are purged after this many days
+const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS) || 30;
+
+/**
+ * @description Permanently delete attachments and their files
+ * @param {*} filter
+ * @returns The number of purged attachments
+ */
+const removeAttachments = async filter => {
+  const attachments = await Attachment.find(filter)
+    .withDeleted()
+    .select("+storageKey")
+    .lean()
+    .exec();
+
+  if (!attachments.length) return 0;
+
+  for (const attachment of attachments) {
+    await fileStorage.remove(attachment.storageKey);
+  }
+  await Attachment.deleteMany({
+    _id: { $in: attachments.map(attachment => attachment._id) },
+  }).exec();
+
+  return attachments.length;
+};
+
+/**
+ * @description Permanently delete the soft-deleted attachments that match the filter, like the ones that were deleted on their own
+ * @param {*} filter
+ * @returns The number of purged attachments
+ */
+const purgeAttachments = filter =>
+  removeAttachments({ ...filter, isDeleted: true });
+
+/**
+ * @description Permanently delete the soft-deleted notes that match the filter, together with their revisions, comments, and attachments
+ * @param {*} filter
+ * @returns The number of purged notes
+ */
+const purgeNotes = async filter => {
+  const notes = await Note.find({ ...filter, isDeleted: true })
+    .select("_id")
+    .lean()
+    .exec();
+
+  if (!notes.length) return 0;
+
+  const ids = notes.map(note => note._id);
+
+  await NoteRevision.deleteMany({ note: { $in: ids } }).exec();
+  await Comment.deleteMany({ note: { $in: ids } }).exec();
+  await removeAttachments({ note: { $in: ids } });
+  // Other notes, also the ones in the trash, can't stay subtasks of or blocked by notes that no longer exist
+  await Note.updateMany(
+    { parent: { $in: ids } },
+    { parent: null, $inc: { __v: 1 } }
+  )
+    .withDeleted()
+    .exec();
+  await Note.updateMany(
+    { blockedBy: { $in: ids } },
+    { $pull: { blockedBy: { $in: ids } }, $inc: { __v: 1 } }
+  )
+    .withDeleted()
+    .exec();
+  await Note.deleteMany({ _id: { $in: ids } }).exec();
+
+  return ids.length;
+};
+
+/**
+ * @description Permanently delete the soft-deleted users that match the filter, together with their sessions and tokens
+ * @param {*} filter
+ * @returns The number of purged users
+ */
+const purgeUsers = async filter => {
+  const users = await User.find({ ...filter, isDeleted: true })
+    .select("_id")
+    .lean()
+    .exec();
+
+  if (!users.length) return 0;
+
+  const ids = users.map(user => user._id);
+
+  await Session.deleteMany({ user: { $in: ids } }).exec();
+  await RefreshToken.deleteMany({ user: { $in: ids } }).exec();
+  await ApiToken.deleteMany({ user: { $in: ids } }).exec();
+  await User.deleteMany({ _id: { $in: ids } }).exec();
+
+  return ids.length;
+};
+
+/**
+ * @description Purge every note and user that has been in the trash for longer than the retention period
+ * @returns
+ */
+const purgeExpiredTrash = async () => {
+  const deletedBefore = new Date();
+  deletedBefore.setDate(deletedBefore.getDate() - TRASH_RETENTION_DAYS);
+
+  const filter = { deletedAt: { $lt: deletedBefore } };
+  const notes = await purgeNotes(filter);
+  const users = await purgeUsers(filter);
+  const attachments = await purgeAttachments(filter);
+
+  return { notes, users, attachments };
+};
+
+module.exports = {
+  TRASH_RETENTION_DAYS,
+  purgeNotes,
+  purgeUsers,
+  purgeAttachments,
+  purgeExpiredTrash,
+};
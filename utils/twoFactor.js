@@ -0,0 +1,120 @@
+const crypto = require("crypto");
+const { authenticator } = require("otplib");
+const Setting = require("../models/Setting");
+const User = require("../models/User");
+const { hashToken } = require("./tokens");
+
+/**
+ * @description This file contains the helper functions for TOTP two-factor authentication (RFC 6238)
+ * @author [Hoang Le Chau](https://github.com/hoanglechau)
+ */
+
+// Key of the setting that stores the roles for which 2FA is mandatory
+const TWO_FACTOR_SETTING_KEY = "twoFactorRequiredRoles";
+
+const TWO_FACTOR_ISSUER = "Meganote";
+const RECOVERY_CODE_COUNT = 10;
+
+// Accept the codes of the previous and next 30-second steps to allow for clock drift
+authenticator.options = { window: 1 };
+
+/**
+ * @description Get the roles for which admins made 2FA mandatory
+ * @returns
+ */
+const getTwoFactorRequiredRoles = async () => {
+  const setting = await Setting.findOne({ key: TWO_FACTOR_SETTING_KEY })
+    .lean()
+    .exec();
+  return setting?.value || [];
+};
+
+/**
+ * @description Check if a user's role requires 2FA but the user hasn't enabled it yet
+ * @param {*} user
+ * @returns
+ */
+const isTwoFactorSetupRequired = async user => {
+  if (user.twoFactorEnabled) return false;
+  const requiredRoles = await getTwoFactorRequiredRoles();
+  return requiredRoles.includes(user.role);
+};
+
+/**
+ * @description Generate a new TOTP secret and the otpauth URI for authenticator apps
+ * @param {*} user
+ * @returns
+ */
+const generateTwoFactorSecret = user => {
+  const secret = authenticator.generateSecret();
+  const otpauthUrl = authenticator.keyuri(
+    user.username,
+    TWO_FACTOR_ISSUER,
+    secret
+  );
+  return { secret, otpauthUrl };
+};
+
+/**
+ * @description Check a TOTP code against a secret
+ * @param {*} secret
+ * @param {*} code
+ * @returns The time step that the code belongs to, or null if the code is wrong
+ */
+const getTwoFactorTimeStep = (secret, code) => {
+  if (!secret || !code) return null;
+  try {
+    const delta = authenticator.checkDelta(code.toString().trim(), secret);
+    if (delta === null) return null;
+    return (
+      Math.floor(Date.now() / 1000 / authenticator.allOptions().step) + delta
+    );
+  } catch (err) {
+    return null;
+  }
+};
+
+/**
+ * @description Check a TOTP code of a user and use it up. A code is only accepted once, and never after a code of a later time step
+ * @param {*} user The user, with their twoFactorSecret
+ * @param {*} code
+ * @returns
+ */
+const useTwoFactorCode = async (user, code) => {
+  const timeStep = getTwoFactorTimeStep(user.twoFactorSecret, code);
+  if (timeStep === null) return false;
+
+  // Claim the time step in the same update that checks it, so two requests can't both use the same code
+  const updatedUser = await User.findOneAndUpdate(
+    {
+      _id: user._id,
+      $or: [
+        { twoFactorLastTimeStep: null },
+        { twoFactorLastTimeStep: { $lt: timeStep } },
+      ],
+    },
+    { twoFactorLastTimeStep: timeStep }
+  ).exec();
+  return !!updatedUser;
+};
+
+/**
+ * @description Generate one-time recovery codes. Only the hashes are stored, the codes are shown to the user once
+ * @returns
+ */
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () =>
+    crypto.randomBytes(5).toString("hex")
+  );
+  return { codes, hashes: codes.map(hashToken) };
+};
+
+module.exports = {
+  TWO_FACTOR_SETTING_KEY,
+  getTwoFactorRequiredRoles,
+  isTwoFactorSetupRequired,
+  generateTwoFactorSecret,
+  getTwoFactorTimeStep,
+  useTwoFactorCode,
+  generateRecoveryCodes,
+};
@@ -0,0 +1,76 @@
+const { StatusCodes } = require("http-status-codes");
+
+/**
+ * @description This file contains the helper functions for optimistic concurrency. Documents are sent with their version (__v) as their ETag, and updates can say which version they were made from
+ * @author [Hoang Le Chau](https://github.com/hoanglechau)
+ */
+
+/**
+ * @description Set the ETag header of a response to the version of a document
+ * @param {*} res
+ * @param {*} doc
+ */
+const setVersionETag = (res, doc) => {
+  res.set("ETag", `"${doc.__v}"`);
+};
+
+/**
+ * @description Get the versions that an update was made from, from the If-Match header or the __v field of the body
+ * @param {*} req
+ * @returns The versions and whether they came from the header, or null if the request doesn't send a version, like clients from before versions were checked
+ */
+const getExpectedVersion = req => {
+  const ifMatch = req.get("If-Match");
+
+  // "*" matches any version
+  if (ifMatch && ifMatch.trim() !== "*") {
+    return {
+      versions: ifMatch
+        .split(",")
+        .map(tag => tag.trim().replace(/^W\//, "").replace(/"/g, "")),
+      fromHeader: true,
+    };
+  }
+
+  if (req.body?.__v !== undefined && req.body.__v !== null) {
+    return { versions: [String(req.body.__v)], fromHeader: false };
+  }
+
+  return null;
+};
+
+/**
+ * @description Check if an update was made from an older version of a document
+ * @param {*} expected The versions from getExpectedVersion
+ * @param {*} doc
+ * @returns
+ */
+const isStaleVersion = (expected, doc) =>
+  !!expected && !expected.versions.includes(String(doc.__v));
+
+/**
+ * @description Send the current state of a document that has been changed since the update was made from it
+ * The status is 412 if the version came from the If-Match header, and 409 otherwise
+ * @param {*} res
+ * @param {*} expected The versions from getExpectedVersion, or null
+ * @param {*} current The current state of the document
+ * @param {*} message
+ * @returns
+ */
+const sendStaleVersion = (res, expected, current, message) => {
+  setVersionETag(res, current);
+  return res
+    .status(
+      expected?.fromHeader
+        ? StatusCodes.PRECONDITION_FAILED
+        : StatusCodes.CONFLICT
+    )
+    .json({ message, current });
+};
+
+module.exports = {
+  setVersionETag,
+  getExpectedVersion,
+  isStaleVersion,
+  sendStaleVersion,
+};
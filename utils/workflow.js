@@ -0,0 +1,205 @@
+const { StatusCodes } = require("http-status-codes");
+const Setting = require("../models/Setting");
+const ROLES = require("../config/roles");
+const defaultWorkflow = require("../config/workflow");
+
+/**
+ * @description This file contains the helper functions for the note status workflow
+ * @author [Hoang Le Chau](https://github.com/hoanglechau)
+ */
+
+// Key of the setting that stores the workflow that admins saved
+const WORKFLOW_SETTING_KEY = "noteWorkflow";
+
+/**
+ * @description Get the current workflow, or the default one if admins haven't changed it
+ * @returns
+ */
+const getWorkflow = async () => {
+  const setting = await Setting.findOne({ key: WORKFLOW_SETTING_KEY })
+    .lean()
+    .exec();
+  return setting?.value || defaultWorkflow;
+};
+
+/**
+ * @description Get the names of the statuses in a workflow
+ * @param {*} workflow
+ * @returns
+ */
+const getStatusNames = workflow => workflow.statuses.map(status => status.name);
+
+/**
+ * @description Get the names of the terminal statuses in a workflow
+ * @param {*} workflow
+ * @returns
+ */
+const getTerminalStatuses = workflow =>
+  workflow.statuses
+    .filter(status => status.terminal)
+    .map(status => status.name);
+
+/**
+ * @description Check if a status is one of the statuses in a workflow
+ * @param {*} workflow
+ * @param {*} status
+ * @returns
+ */
+const isKnownStatus = (workflow, status) =>
+  getStatusNames(workflow).includes(status);
+
+/**
+ * @description Check a workflow that an admin wants to save
+ * @param {*} workflow
+ * @returns A list of error messages. The list is empty if the workflow is valid
+ */
+const validateWorkflow = workflow => {
+  const errors = [];
+  const roles = Object.values(ROLES);
+
+  if (!workflow || typeof workflow !== "object") {
+    return ["Workflow must be an object!"];
+  }
+
+  const { initialStatus, statuses, transitions } = workflow;
+
+  if (
+    !Array.isArray(statuses) ||
+    !statuses.length ||
+    statuses.some(status => typeof status?.name !== "string" || !status.name)
+  ) {
+    return ["Statuses must be a list of objects with a name!"];
+  }
+
+  const names = statuses.map(status => status.name);
+
+  if (new Set(names).size !== names.length) {
+    errors.push("Status names must be unique!");
+  }
+  if (!names.includes(initialStatus)) {
+    errors.push("The initial status must be one of the statuses!");
+  }
+  if (
+    statuses.some(
+      status =>
+        status.terminal !== undefined && typeof status.terminal !== "boolean"
+    )
+  ) {
+    errors.push("The terminal flag of a status must be true or false!");
+  }
+  if (
+    statuses.some(
+      ({ wipLimit }) =>
+        wipLimit !== undefined &&
+        wipLimit !== null &&
+        !(Number.isInteger(wipLimit) && wipLimit > 0)
+    )
+  ) {
+    errors.push("The WIP limit of a status must be a positive whole number!");
+  }
+
+  if (!Array.isArray(transitions)) {
+    errors.push("Transitions must be a list!");
+    return errors;
+  }
+
+  transitions.forEach(({ from, to, roles: transitionRoles } = {}, index) => {
+    const label = `Transition ${index + 1}`;
+    if (!names.includes(from) || !names.includes(to)) {
+      errors.push(`${label} must be between two of the statuses!`);
+    } else if (from === to) {
+      errors.push(`${label} must change the status!`);
+    }
+    if (
+      !Array.isArray(transitionRoles) ||
+      !transitionRoles.length ||
+      transitionRoles.some(role => !roles.includes(role))
+    ) {
+      errors.push(
+        `${label} must have a list of roles from: ${roles.join(", ")}!`
+      );
+    }
+  });
+
+  const pairs = transitions.map(({ from, to } = {}) => `${from}\u0000${to}`);
+  if (new Set(pairs).size !== pairs.length) {
+    errors.push("A transition between two statuses can only be listed once!");
+  }
+
+  return errors;
+};
+
+/**
+ * @description Keep only the workflow fields that are stored, so unknown fields aren't saved
+ * @param {*} workflow A valid workflow
+ * @returns
+ */
+const normalizeWorkflow = ({ initialStatus, statuses, transitions }) => ({
+  initialStatus,
+  statuses: statuses.map(({ name, terminal, wipLimit }) => ({
+    name,
+    terminal: !!terminal,
+    wipLimit: wipLimit ?? null,
+  })),
+  transitions: transitions.map(({ from, to, roles }) => ({
+    from,
+    to,
+    roles: [...new Set(roles)],
+  })),
+});
+
+/**
+ * @description Check if a role may change a note's status
+ * @param {*} workflow
+ * @param {*} from The current status of the note, or null for a new note
+ * @param {*} to The new status
+ * @param {*} role
+ * @returns Null if the change is allowed, otherwise the HTTP status code and the message to send
+ */
+const getStatusChangeError = (workflow, from, to, role) => {
+  if (!isKnownStatus(workflow, to)) {
+    return {
+      statusCode: StatusCodes.BAD_REQUEST,
+      message: `Status must be one of: ${getStatusNames(workflow).join(", ")}!`,
+    };
+  }
+
+  // New notes can start in the initial status, or in any status that can be reached from it
+  const currentStatus = from ?? workflow.initialStatus;
+
+  // Notes with a status that isn't in the workflow, like notes from before it existed, can be moved to any status
+  if (currentStatus === to || !isKnownStatus(workflow, currentStatus)) {
+    return null;
+  }
+
+  const transition = workflow.transitions.find(
+    transition => transition.from === currentStatus && transition.to === to
+  );
+
+  if (!transition) {
+    return {
+      statusCode: StatusCodes.BAD_REQUEST,
+      message: `A note can't be moved from "${currentStatus}" to "${to}"!`,
+    };
+  }
+
+  if (!transition.roles.includes(role)) {
+    return {
+      statusCode: StatusCodes.FORBIDDEN,
+      message: `${role}s can't move a note from "${currentStatus}" to "${to}"!`,
+    };
+  }
+
+  return null;
+};
+
+module.exports = {
+  WORKFLOW_SETTING_KEY,
+  getWorkflow,
+  getStatusNames,
+  getTerminalStatuses,
+  isKnownStatus,
+  validateWorkflow,
+  normalizeWorkflow,
+  getStatusChangeError,
+};